@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+/**
+ * Tenant OpenSearch Operator CLI
+ * 
+ * Runs provisioning operations directly against OpenSearch and the database,
+ * without hand-crafting SQS messages. Uses the same services as the SQS
+ * consumer, so provisioning, retries and deprovisioning follow the same flow,
+ * are tracked step by step and are recorded in the audit log (source 'cli').
+ * 
+ * Usage: node cli.js <command> [arguments] [--json] [--actor=<name>]
+ * 
+ * Commands:
+ * - provision <tenant> [--region=] [--role-arn=] [--kms-key-arn=] [--dry-run [--offline]]
+ * - retry-failed [--limit=<n>] [--dry-run]
+ * - status <tenant>
+ * - deprovision <tenant> --yes | --dry-run
+ * - list-collections
+ * - describe-policies <tenant>
+ * 
+ * Output is human-readable by default; --json prints a single JSON document.
+ * Logs go to stderr (LOG_LEVEL defaults to 'warn').
+ * 
+ * Exit codes: 0 success, 2 completed with failures, 1 error or invalid usage.
+ */
+
+require('dotenv').config();
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.LOG_TO_STDERR = 'true';
+
+const logger = require('./utils/logger');
+
+let config;
+try {
+  config = require('./config');
+} catch (error) {
+  logger.error('Invalid configuration', {
+    error: error.message,
+    problems: error.problems
+  });
+  process.exit(1);
+}
+
+const { initializeDatabase, closeDatabase } = require('./config/database');
+const OpenSearchService = require('./services/opensearchService');
+const DatabaseService = require('./services/databaseService');
+const ProvisioningService = require('./services/provisioningService');
+const AuditService = require('./services/auditService');
+const { retryDelaySeconds } = require('./services/retryScheduler');
+
+// Service instances. Events written to the outbox are delivered by the running service
+const openSearchService = new OpenSearchService();
+const databaseService = new DatabaseService();
+const auditService = new AuditService(databaseService);
+const provisioningService = new ProvisioningService(openSearchService, databaseService);
+
+// Errors resolveSettings raises for --region, --role-arn and --kms-key-arn values
+const PLACEMENT_ERRORS = new Set(['InvalidPlacementError', 'InvalidKmsKeyError']);
+
+/**
+ * Splits command-line arguments into positional arguments, --name=value options and --flags
+ * 
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} Positional arguments and options
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    if (separator === -1) {
+      options[arg.slice(2)] = true;
+    } else {
+      options[arg.slice(2, separator)] = arg.slice(separator + 1);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Creates an error for invalid command-line usage
+ * 
+ * @param {string} message - Description of the problem
+ * @returns {Error} Error named UsageError
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+}
+
+/**
+ * Loads a tenant or fails
+ * 
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<object>} Tenant record
+ * @throws {Error} TenantNotFoundError if the tenant does not exist
+ */
+async function requireTenant(tenantId) {
+  if (!tenantId) {
+    throw usageError('A tenant id is required');
+  }
+
+  const tenant = await databaseService.getTenant(tenantId);
+  if (!tenant) {
+    const error = new Error(`Tenant not found: ${tenantId}`);
+    error.name = 'TenantNotFoundError';
+    throw error;
+  }
+  return tenant;
+}
+
+/**
+ * Runs a write operation for a tenant and records it in the audit log
+ * 
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} action - Audited action
+ * @param {object} options - Parsed options (for the actor)
+ * @param {object} details - Audit details
+ * @param {Function} fn - Operation
+ * @returns {Promise<*>} Result of the operation
+ */
+function audited(tenantId, action, options, details, fn) {
+  return auditService.run({
+    tenantId,
+    action,
+    source: 'cli',
+    actor: options.actor || process.env.USER || null,
+    details
+  }, fn);
+}
+
+/**
+ * Indents a JSON document for text output
+ * 
+ * @param {*} value - Value to print
+ * @returns {string} Indented JSON
+ */
+function indentJson(value) {
+  return JSON.stringify(value, null, 2).replace(/^/gm, '    ');
+}
+
+const COMMANDS = {
+  provision: {
+    usage: 'provision <tenant> [--region=<region>] [--role-arn=<arn>] [--kms-key-arn=<arn>] [--dry-run [--offline]]',
+    async run([tenantId], options) {
+      const overrides = {
+        region: options.region || null,
+        roleArn: options['role-arn'] || null,
+        kmsKeyArn: options['kms-key-arn'] || null
+      };
+
+      // Unknown ids fail here instead of leaving an audit entry without a tenant
+      const tenant = await requireTenant(tenantId);
+
+      // Disallowed flags are a usage error, reported before anything is audited or changed
+      try {
+        provisioningService.resolveSettings(tenant, overrides);
+      } catch (error) {
+        if (PLACEMENT_ERRORS.has(error.name)) {
+          throw usageError(error.message);
+        }
+        throw error;
+      }
+
+      if (options['dry-run']) {
+        const result = await provisioningService.plan(tenantId, { ...overrides, offline: Boolean(options.offline) });
+        return {
+          dryRun: true,
+          ...result,
+          // Steps that would fail, e.g. a collection tagged for another tenant
+          failed: result.plan ? result.plan.steps.filter(step => step.action === 'blocked').length : 0
+        };
+      }
+
+      // Same lease as the retry scheduler, so a tenant is never reprovisioned twice at once
+      const attempt = await databaseService.claimTenantRetry(tenantId, {
+        leaseMinutes: config.retry.stuckAfterMinutes,
+        ignoreBackoff: true
+      });
+      if (!attempt) {
+        return { tenantId, outcome: 'busy', reason: 'being provisioned by another task', failed: 1 };
+      }
+
+      try {
+        return await audited(tenantId, 'provision', options, { ...overrides, attempt }, () => (
+          provisioningService.provision(tenantId, { ...overrides, attempts: attempt })
+        ));
+      } catch (error) {
+        await databaseService.recordTenantRetryFailure(tenantId, error, {
+          delaySeconds: retryDelaySeconds(attempt)
+        });
+        throw error;
+      }
+    },
+    format(result) {
+      const lines = [`${result.tenantId}: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`];
+      if (result.collection) {
+        lines.push(`  collection: ${result.collection.name} (${result.collection.arn})`);
+        lines.push(`  endpoint:   ${result.collection.endpoint}`);
+      }
+      if (result.plan) {
+        const { plan } = result;
+        lines.push(`  collection: ${plan.collectionName} in ${plan.region}, account ${plan.accountId}${plan.roleArn ? ` via ${plan.roleArn}` : ''}`);
+        lines.push(`  kms key:    ${plan.kmsKeyArn || 'AWS-owned'}`);
+        lines.push(`  network:    ${plan.network.mode}`);
+        if (plan.offline) {
+          lines.push('  (offline: not compared with existing OpenSearch resources)');
+        }
+        for (const step of plan.steps) {
+          lines.push(`  ${step.step}: ${step.action} - ${step.command}${step.reason ? ` (${step.reason})` : ''}`);
+          lines.push(indentJson(step.input));
+          lines.push(...(step.changes || []).map(change => (
+            `    ~ ${change.path}: ${JSON.stringify(change.current)} -> ${JSON.stringify(change.desired)}`
+          )));
+          lines.push(...(step.events || []).map(event => `    + event ${event}`));
+        }
+        lines.push('  Dry run: nothing was created or written');
+      }
+      return lines;
+    }
+  },
+
+  'retry-failed': {
+    usage: 'retry-failed [--limit=<n>] [--dry-run]',
+    async run(positional, options) {
+      const limit = options.limit ? Number.parseInt(options.limit, 10) : null;
+      if (options.limit && !(limit > 0)) {
+        throw usageError('--limit must be a positive integer');
+      }
+
+      const failed = (await databaseService.listTenants())
+        .filter(tenant => tenant.opensearch_status === 'failed')
+        .filter(tenant => databaseService.validateTenantForProvisioning(tenant).isValid)
+        .slice(0, limit || undefined);
+
+      const results = [];
+      for (const tenant of failed) {
+        const result = {
+          tenantId: tenant.id,
+          tenantSlug: tenant.slug,
+          lastError: tenant.opensearch_failure?.message || null
+        };
+
+        if (options['dry-run']) {
+          results.push({ ...result, outcome: 'would-retry' });
+          continue;
+        }
+
+        // Same lease as the retry scheduler, so a tenant is never reprovisioned twice at once
+        const attempt = await databaseService.claimTenantRetry(tenant.id, {
+          leaseMinutes: config.retry.stuckAfterMinutes,
+          ignoreBackoff: true
+        });
+        if (!attempt) {
+          results.push({ ...result, outcome: 'busy', error: 'being retried by another task' });
+          continue;
+        }
+
+        try {
+          const { outcome } = await audited(tenant.id, 'provision', options, { retry: true, attempt }, () => (
+            provisioningService.provision(tenant.id, { attempts: attempt })
+          ));
+          results.push({ ...result, outcome });
+        } catch (error) {
+          await databaseService.recordTenantRetryFailure(tenant.id, error, {
+            delaySeconds: retryDelaySeconds(attempt)
+          });
+          results.push({ ...result, outcome: 'failed', error: error.message });
+        }
+      }
+
+      return {
+        dryRun: Boolean(options['dry-run']),
+        tenants: results.length,
+        failed: results.filter(result => result.outcome === 'failed').length,
+        results
+      };
+    },
+    format(result) {
+      const lines = result.results.map(tenant => (
+        `${tenant.tenantId} ${tenant.tenantSlug}: ${tenant.outcome}${tenant.error || tenant.lastError ? ` - ${tenant.error || tenant.lastError}` : ''}`
+      ));
+      lines.push(`${result.tenants} failed tenant(s) ${result.dryRun ? 'to retry' : `retried, ${result.failed} failed again`}`);
+      return lines;
+    }
+  },
+
+  status: {
+    usage: 'status <tenant>',
+    async run([tenantId]) {
+      const tenant = await requireTenant(tenantId);
+      const steps = await databaseService.getProvisioningSteps(tenantId);
+      const history = await databaseService.getStatusHistory(tenantId, { limit: 20 });
+      const retry = await databaseService.getTenantRetry(tenantId);
+
+      // Live collection state in the tenant's region and account
+      let collection = null;
+      if (tenant.opensearch_status !== 'deleted') {
+        try {
+          collection = await openSearchService.forTenant(tenant).getCollection(
+            tenant.opensearch_collection_name || openSearchService.getCollectionName(tenant.slug)
+          );
+        } catch (error) {
+          collection = { error: error.message };
+        }
+      }
+
+      return { tenant, steps, history, retry, collection };
+    },
+    format({ tenant, steps, history, retry, collection }) {
+      const lines = [
+        `${tenant.id} ${tenant.slug} (${tenant.status})`,
+        `  opensearch: ${tenant.opensearch_status || 'none'}${tenant.opensearch_arn ? ` ${tenant.opensearch_arn}` : ''}`,
+        `  endpoint:   ${tenant.opensearch_endpoint || '-'}`,
+        `  region:     ${tenant.opensearch_region || config.opensearch.region}${tenant.opensearch_role_arn ? ` via ${tenant.opensearch_role_arn}` : ''}`,
+        `  collection: ${collection ? collection.error || `${collection.name} ${collection.status}` : 'not found'}`
+      ];
+      if (tenant.opensearch_failure) {
+        const failure = tenant.opensearch_failure;
+        lines.push(`  failure:    ${failure.errorClass || 'Error'}: ${failure.message}${failure.step ? ` (step ${failure.step})` : ''}`);
+      }
+      if (retry) {
+        lines.push(`  retries:    ${retry.attempts}/${config.retry.maxAttempts}, next after ${new Date(retry.next_attempt_at).toISOString()}`);
+      }
+      lines.push('  steps:');
+      lines.push(...(steps.length ? steps.map(step => `    ${step.step}: ${step.status}`) : ['    none']));
+      lines.push('  history:');
+      lines.push(...(history.length
+        ? history.map(entry => `    ${new Date(entry.changed_at).toISOString()} ${entry.from_status || '-'} -> ${entry.to_status || '-'}`)
+        : ['    none']));
+      return lines;
+    }
+  },
+
+  deprovision: {
+    usage: 'deprovision <tenant> --yes | --dry-run',
+    async run([tenantId], options) {
+      if (options['dry-run']) {
+        const tenant = await requireTenant(tenantId);
+        const validation = databaseService.validateTenantForDeprovisioning(tenant);
+        if (!validation.isValid) {
+          return { tenantId, dryRun: true, outcome: 'skipped', reason: validation.message };
+        }
+
+        const regionalService = openSearchService.forTenant(tenant);
+        const collectionName = regionalService.getCollectionName(tenant.slug);
+        return {
+          tenantId,
+          dryRun: true,
+          outcome: 'would-delete',
+          collectionName,
+          collectionArn: tenant.opensearch_arn,
+          region: regionalService.region,
+          policyNames: regionalService.getPolicyNames(collectionName)
+        };
+      }
+
+      if (!options.yes) {
+        throw usageError('deprovision deletes the collection and its data; pass --yes to confirm or --dry-run to preview');
+      }
+      return audited(tenantId, 'deprovision', options, {}, () => provisioningService.deprovision(tenantId));
+    },
+    format(result) {
+      const lines = [`${result.tenantId}: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`];
+      if (result.collection) {
+        lines.push(`  collection: ${result.collection.name}`);
+      }
+      if (result.dryRun && result.collectionName) {
+        lines.push(`  collection: ${result.collectionName} in ${result.region}`);
+        lines.push(`  policies:   ${Object.values(result.policyNames).join(', ')}`);
+      }
+      return lines;
+    }
+  },
+
+  'list-collections': {
+    usage: 'list-collections',
+    async run() {
+      const tenants = await databaseService.listTenants();
+      const tenantsById = new Map(tenants.map(tenant => [tenant.id, tenant]));
+
+      // Scan every region and account a tenant is placed in, plus the service default
+      const services = new Map([[`${openSearchService.region}|`, openSearchService]]);
+      const errors = [];
+      for (const tenant of tenants.filter(tenant => tenant.opensearch_status !== 'deleted')) {
+        try {
+          const service = openSearchService.forTenant(tenant);
+          services.set(`${service.region}|${service.roleArn || ''}`, service);
+        } catch (error) {
+          errors.push({ tenantId: tenant.id, error: error.message });
+        }
+      }
+
+      const collections = [];
+      for (const service of services.values()) {
+        try {
+          for (const collection of await service.listManagedCollections()) {
+            const tenant = tenantsById.get(collection.tags.TenantId);
+            collections.push({
+              name: collection.name,
+              id: collection.id,
+              arn: collection.arn,
+              status: collection.status,
+              region: service.region,
+              roleArn: service.roleArn || null,
+              tenantId: collection.tags.TenantId || null,
+              tenantSlug: collection.tags.TenantSlug || null,
+              tenantStatus: tenant ? tenant.opensearch_status : null
+            });
+          }
+        } catch (error) {
+          errors.push({ region: service.region, roleArn: service.roleArn || null, error: error.message });
+        }
+      }
+
+      return { collections, errors, failed: errors.length };
+    },
+    format({ collections, errors }) {
+      const lines = collections.map(collection => (
+        `${collection.name} ${collection.status} ${collection.region} tenant=${collection.tenantId || '-'} (${collection.tenantStatus || 'no tenant record'})`
+      ));
+      lines.push(...errors.map(error => `error: ${error.tenantId || error.region}: ${error.error}`));
+      lines.push(`${collections.length} managed collection(s)`);
+      return lines;
+    }
+  },
+
+  'describe-policies': {
+    usage: 'describe-policies <tenant>',
+    async run([tenantId]) {
+      const tenant = await requireTenant(tenantId);
+      if (!tenant.opensearch_arn) {
+        return { tenantId, skipped: 'Tenant has no OpenSearch collection' };
+      }
+
+      const regionalService = openSearchService.forTenant(tenant);
+      const collectionName = tenant.opensearch_collection_name || regionalService.getCollectionName(tenant.slug);
+      const policyNames = regionalService.getPolicyNames(collectionName);
+      const network = regionalService.resolveNetworkOptions(tenant.opensearch_network_mode);
+
+      return {
+        tenantId,
+        collectionName,
+        region: regionalService.region,
+        policies: {
+          encryption: await regionalService.getSecurityPolicy(policyNames.encryption, 'encryption'),
+          network: await regionalService.getSecurityPolicy(policyNames.network, 'network'),
+          access: await regionalService.getDataAccessPolicy(policyNames.access)
+        },
+        // Differences from the policies the current configuration would generate
+        drift: [
+          await regionalService.syncNetworkPolicy(collectionName, network, { dryRun: true }),
+          await regionalService.syncDataAccessPolicy(collectionName, tenant.id, tenant.slug, { dryRun: true })
+        ]
+      };
+    },
+    format(result) {
+      if (result.skipped) {
+        return [`${result.tenantId}: skipped (${result.skipped})`];
+      }
+
+      const lines = [`${result.tenantId} ${result.collectionName} (${result.region})`];
+      for (const [type, detail] of Object.entries(result.policies)) {
+        lines.push(`  ${type}: ${detail ? `${detail.name} version ${detail.policyVersion}` : 'missing'}`);
+        if (detail) {
+          lines.push(indentJson(detail.policy));
+        }
+      }
+      for (const policy of result.drift) {
+        lines.push(`  ${policy.policyName}: ${policy.outcome}`);
+        lines.push(...policy.changes.map(change => `    ${JSON.stringify(change)}`));
+      }
+      return lines;
+    }
+  }
+};
+
+/**
+ * Prints usage
+ * 
+ * @param {NodeJS.WriteStream} stream - Output stream
+ */
+function printUsage(stream) {
+  stream.write('Usage: node cli.js <command> [arguments] [--json] [--actor=<name>]\n\nCommands:\n');
+  for (const command of Object.values(COMMANDS)) {
+    stream.write(`  ${command.usage}\n`);
+  }
+}
+
+/**
+ * Runs the command given on the command line
+ */
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [name, ...args] = positional;
+  const command = COMMANDS[name];
+
+  if (options.help || !name) {
+    printUsage(process.stdout);
+    process.exit(0);
+  }
+  if (!command) {
+    process.stderr.write(`Unknown command: ${name}\n\n`);
+    printUsage(process.stderr);
+    process.exit(1);
+  }
+
+  try {
+    await initializeDatabase({ migrate: false });
+
+    const result = await command.run(args, options);
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(command.format(result).join('\n'));
+    }
+
+    await closeDatabase();
+    process.exit(result.failed > 0 ? 2 : 0);
+  } catch (error) {
+    logger.error(`${name} failed`, {
+      error: error.message,
+      errorName: error.name
+    });
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message, errorName: error.name }, null, 2));
+    }
+    if (error.name === 'UsageError') {
+      process.stderr.write(`\nUsage: node cli.js ${command.usage}\n`);
+    }
+    process.exit(1);
+  }
+}
+
+// Run only when invoked directly, so tests can load the commands
+if (require.main === module) {
+  main();
+}
+
+module.exports = { COMMANDS, parseArgs };
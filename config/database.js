@@ -15,15 +15,10 @@ const { Pool } = require('pg');
 const { Signer } = require('@aws-sdk/rds-signer');
 const { defaultProvider } = require('@aws-sdk/credential-provider-node');
 const logger = require('../utils/logger');
+const { runMigrations } = require('./migrations');
 
-// Database configuration (hardcoded per FedRAMP requirements)
-const DB_CONFIG = {
-  region: 'us-east-1',
-  hostname: 'accreda-pool-db-cluster-instance-1.cudoqm04qddr.us-east-1.rds.amazonaws.com',
-  port: 5432,
-  database: 'control_plane',
-  username: 'accreda'
-};
+// Database connection settings (see config/index.js)
+const DB_CONFIG = require('./index').database;
 
 let pool = null;
 
@@ -56,16 +51,22 @@ async function getFreshToken() {
  * Initializes the database connection pool
  * Must be called before any database operations
  * 
+ * @param {object} options - Initialization options
+ * @param {boolean} options.migrate - Apply pending schema migrations (default: DB_MIGRATE_ON_STARTUP)
  * @returns {Promise<void>}
  */
-async function initializeDatabase() {
+async function initializeDatabase({ migrate = DB_CONFIG.migrateOnStartup } = {}) {
   if (pool) {
     logger.warn('Database pool already initialized');
     return;
   }
 
   try {
-    logger.info('Initializing database connection pool');
+    logger.info('Initializing database connection pool', {
+      host: DB_CONFIG.hostname,
+      database: DB_CONFIG.database,
+      auth: DB_CONFIG.auth
+    });
 
     // Create pool configuration
     const poolConfig = {
@@ -73,27 +74,30 @@ async function initializeDatabase() {
       port: DB_CONFIG.port,
       database: DB_CONFIG.database,
       user: DB_CONFIG.username,
-      max: 20,
+      max: DB_CONFIG.poolMax,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 30000,
       statement_timeout: 30000,
       query_timeout: 30000,
-      ssl: {
-        rejectUnauthorized: false // Set to true in production with proper CA certificates
-      }
+      // Set DB_SSL_REJECT_UNAUTHORIZED=true in production with proper CA certificates
+      ssl: DB_CONFIG.ssl ? { rejectUnauthorized: DB_CONFIG.sslRejectUnauthorized } : false,
+      // Static password only for local stand-ins; IAM tokens are injected below otherwise
+      ...(DB_CONFIG.auth === 'password' && { password: DB_CONFIG.password })
     };
 
     pool = new Pool(poolConfig);
 
-    // Override the connect method to inject fresh IAM tokens
-    const originalConnect = pool.connect.bind(pool);
-    pool.connect = async () => {
-      // Generate fresh token for this connection
-      const token = await getFreshToken();
-      pool.options.password = token;
-      
-      return originalConnect();
-    };
+    if (DB_CONFIG.auth === 'iam') {
+      // Override the connect method to inject fresh IAM tokens
+      const originalConnect = pool.connect.bind(pool);
+      pool.connect = async () => {
+        // Generate fresh token for this connection
+        const token = await getFreshToken();
+        pool.options.password = token;
+        
+        return originalConnect();
+      };
+    }
 
     // Setup error handling
     pool.on('error', (err) => {
@@ -108,6 +112,10 @@ async function initializeDatabase() {
         database: result.rows[0].current_database,
         timestamp: result.rows[0].current_time
       });
+
+      if (migrate) {
+        await runMigrations(client);
+      }
     } finally {
       client.release();
     }
@@ -154,6 +162,39 @@ async function getClient() {
   return await pool.connect();
 }
 
+/**
+ * Returns connection pool statistics for metrics
+ * 
+ * @returns {object|null} Total, idle and waiting counts, or null before initialization
+ */
+function getPoolStats() {
+  if (!pool) {
+    return null;
+  }
+
+  return {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount
+  };
+}
+
+/**
+ * Applies pending schema migrations, or lists them in dry-run mode
+ * 
+ * @param {object} options - Migration options
+ * @param {boolean} options.dryRun - Report pending migrations without applying them
+ * @returns {Promise<object>} Applied and pending migration files
+ */
+async function migrateDatabase({ dryRun = false } = {}) {
+  const client = await getClient();
+  try {
+    return await runMigrations(client, { dryRun });
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Closes the database pool gracefully
  * Should be called on application shutdown
@@ -173,6 +214,8 @@ module.exports = {
   initializeDatabase,
   query,
   getClient,
+  getPoolStats,
+  migrateDatabase,
   closeDatabase
 };
 
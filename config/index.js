@@ -0,0 +1,452 @@
+/**
+ * Service Configuration
+ * 
+ * Single source of configuration for the service. Values are resolved in order of
+ * precedence from environment variables, an optional JSON file named by CONFIG_FILE,
+ * and built-in defaults, then validated against the schema below. Any invalid value
+ * fails startup with a ConfigurationError listing every problem, so the same image
+ * can run in staging, production, GovCloud or against local stand-ins safely.
+ * 
+ * Security Features:
+ * - No credentials are read from configuration except an optional local DB password
+ * - ARNs, URLs and identifiers are validated before any AWS call is made
+ */
+
+const fs = require('fs');
+
+// Default permission sets for data access policies
+const DEFAULT_PERMISSION_SETS = {
+  'read-write': {
+    collection: [
+      'aoss:CreateCollectionItems',
+      'aoss:DeleteCollectionItems',
+      'aoss:UpdateCollectionItems',
+      'aoss:DescribeCollectionItems'
+    ],
+    index: [
+      'aoss:CreateIndex',
+      'aoss:DeleteIndex',
+      'aoss:UpdateIndex',
+      'aoss:DescribeIndex',
+      'aoss:ReadDocument',
+      'aoss:WriteDocument'
+    ]
+  },
+  'read-only': {
+    collection: ['aoss:DescribeCollectionItems'],
+    index: ['aoss:DescribeIndex', 'aoss:ReadDocument']
+  }
+};
+
+/**
+ * Derives the AWS partition from a region name
+ * 
+ * @param {string} region - AWS region
+ * @returns {string} Partition ('aws', 'aws-us-gov' or 'aws-cn')
+ */
+function partitionForRegion(region) {
+  if (region.startsWith('us-gov-')) {
+    return 'aws-us-gov';
+  }
+  if (region.startsWith('cn-')) {
+    return 'aws-cn';
+  }
+  return 'aws';
+}
+
+// Time provisioning may spend outside the collection wait without recording progress,
+// e.g. retrying vector index requests while the data access policy propagates
+const RETRY_STUCK_MARGIN_MINUTES = 10;
+
+// AWS region names, e.g. us-east-1 or us-gov-west-1
+const REGION_PATTERN = /^[a-z]{2}(-gov)?-[a-z]+-\d$/;
+
+/**
+ * Configuration schema
+ * Each entry maps a config path to its environment variable, type and default.
+ * Defaults may be functions of the values resolved before them.
+ */
+const SCHEMA = [
+  // AWS environment
+  { path: 'aws.region', env: 'AWS_REGION', type: 'string', pattern: REGION_PATTERN, default: 'us-east-1' },
+  { path: 'aws.accountId', env: 'AWS_ACCOUNT_ID', type: 'string', pattern: /^\d{12}$/, default: '625867133463' },
+  { path: 'aws.partition', env: 'AWS_PARTITION', type: 'enum', values: ['aws', 'aws-us-gov', 'aws-cn'], default: c => partitionForRegion(c.aws.region) },
+
+  // Database (RDS PostgreSQL)
+  { path: 'database.region', env: 'DB_REGION', type: 'string', pattern: REGION_PATTERN, default: c => c.aws.region },
+  { path: 'database.hostname', env: 'DB_HOST', type: 'string', default: 'accreda-pool-db-cluster-instance-1.cudoqm04qddr.us-east-1.rds.amazonaws.com' },
+  { path: 'database.port', env: 'DB_PORT', type: 'int', min: 1, max: 65535, default: 5432 },
+  { path: 'database.database', env: 'DB_NAME', type: 'string', default: 'control_plane' },
+  { path: 'database.username', env: 'DB_USER', type: 'string', default: 'accreda' },
+  // 'iam' uses RDS IAM tokens; 'password' is for local stand-ins only
+  { path: 'database.auth', env: 'DB_AUTH', type: 'enum', values: ['iam', 'password'], default: 'iam' },
+  { path: 'database.password', env: 'DB_PASSWORD', type: 'string', default: null, secret: true },
+  { path: 'database.ssl', env: 'DB_SSL', type: 'bool', default: true },
+  { path: 'database.sslRejectUnauthorized', env: 'DB_SSL_REJECT_UNAUTHORIZED', type: 'bool', default: false },
+  { path: 'database.poolMax', env: 'DB_POOL_MAX', type: 'int', min: 1, max: 100, default: 20 },
+  // Apply pending migrations/ files when the pool is initialized
+  { path: 'database.migrateOnStartup', env: 'DB_MIGRATE_ON_STARTUP', type: 'bool', default: true },
+
+  // SQS
+  { path: 'sqs.region', env: 'SQS_REGION', type: 'string', pattern: REGION_PATTERN, default: c => c.aws.region },
+  { path: 'sqs.endpoint', env: 'SQS_ENDPOINT', type: 'url', default: null },
+  { path: 'sqs.queueUrl', env: 'SQS_QUEUE_URL', type: 'url', default: c => `https://sqs.${c.sqs.region}.amazonaws.com/${c.aws.accountId}/tenant-opensearch.fifo` },
+  { path: 'sqs.deadLetterQueueUrl', env: 'SQS_DLQ_URL', type: 'url', default: c => `https://sqs.${c.sqs.region}.amazonaws.com/${c.aws.accountId}/tenant-opensearch-dlq.fifo` },
+  { path: 'sqs.maxReceiveCount', env: 'SQS_MAX_RECEIVE_COUNT', type: 'int', min: 1, max: 1000, default: 5 },
+  { path: 'sqs.visibilityTimeout', env: 'SQS_VISIBILITY_TIMEOUT', type: 'int', min: 30, max: 43200, default: 300 },
+  { path: 'sqs.heartbeatIntervalSeconds', env: 'SQS_HEARTBEAT_INTERVAL_SECONDS', type: 'int', min: 5, max: 43200, default: 60 },
+  { path: 'sqs.maxConcurrency', env: 'SQS_MAX_CONCURRENCY', type: 'int', min: 1, max: 100, default: 5 },
+
+  // OpenSearch Serverless
+  { path: 'opensearch.region', env: 'OPENSEARCH_REGION', type: 'string', pattern: REGION_PATTERN, default: c => c.aws.region },
+  { path: 'opensearch.accountId', env: 'OPENSEARCH_ACCOUNT_ID', type: 'string', pattern: /^\d{12}$/, default: c => c.aws.accountId },
+  { path: 'opensearch.endpoint', env: 'OPENSEARCH_ENDPOINT', type: 'url', default: null },
+  // How long provisioning waits for a new collection to become ACTIVE
+  { path: 'opensearch.collectionActiveTimeoutMinutes', env: 'OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES', type: 'int', min: 1, max: 120, default: 30 },
+  // Regions tenants may be placed in, and roles that may be assumed to place them in other accounts
+  { path: 'opensearch.allowedRegions', env: 'OPENSEARCH_ALLOWED_REGIONS', type: 'list', itemPattern: REGION_PATTERN, default: c => [c.opensearch.region] },
+  { path: 'opensearch.placementRoleArns', env: 'OPENSEARCH_PLACEMENT_ROLE_ARNS', type: 'list', itemPattern: /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@/-]+$/, default: [] },
+  { path: 'opensearch.kmsKeyArn', env: 'OPENSEARCH_KMS_KEY_ARN', type: 'string', pattern: /^arn:aws[a-z-]*:kms:[a-z0-9-]+:\d{12}:key\/(mrk-)?[a-f0-9-]+$/, default: null },
+  { path: 'opensearch.network.mode', env: 'OPENSEARCH_NETWORK_MODE', type: 'enum', values: ['public', 'private'], default: 'public' },
+  { path: 'opensearch.network.vpcEndpointIds', env: 'OPENSEARCH_VPC_ENDPOINT_IDS', type: 'list', itemPattern: /^vpce-[0-9a-z]+$/, default: [] },
+  { path: 'opensearch.network.sourceServices', env: 'OPENSEARCH_SOURCE_SERVICES', type: 'list', itemPattern: /^[a-z0-9.-]+\.amazonaws\.com$/, default: ['bedrock.amazonaws.com'] },
+  { path: 'opensearch.network.dashboardsEnabled', env: 'OPENSEARCH_DASHBOARDS_ENABLED', type: 'bool', default: true },
+  {
+    path: 'opensearch.accessPolicy.readWritePrincipals',
+    env: 'OPENSEARCH_READ_WRITE_PRINCIPALS',
+    type: 'list',
+    itemPattern: /^arn:aws[a-z-]*:iam::\d{12}:(root|role\/[\w+=,.@/-]+|user\/[\w+=,.@/-]+)$/,
+    default: c => [
+      // Allow Bedrock service to access the collection for knowledge base integration
+      `arn:${c.aws.partition}:iam::${c.opensearch.accountId}:root`,
+      // Allow the tenant infrastructure service to create indexes and manage data
+      `arn:${c.aws.partition}:iam::${c.opensearch.accountId}:role/tenant-infra-build-task-role`,
+      // Allow the tenant data store service to create indexes on collections
+      `arn:${c.aws.partition}:iam::${c.opensearch.accountId}:role/tenant-data-store-task-role`
+    ]
+  },
+  {
+    path: 'opensearch.accessPolicy.readOnlyPrincipals',
+    env: 'OPENSEARCH_READ_ONLY_PRINCIPALS',
+    type: 'list',
+    itemPattern: /^arn:aws[a-z-]*:iam::\d{12}:(root|role\/[\w+=,.@/-]+|user\/[\w+=,.@/-]+)$/,
+    default: []
+  },
+  { path: 'opensearch.accessPolicy.tenantRoleArnTemplate', env: 'OPENSEARCH_TENANT_ROLE_ARN_TEMPLATE', type: 'string', pattern: /^arn:aws[a-z-]*:iam::\d{12}:role\//, default: null },
+  { path: 'opensearch.accessPolicy.tenantRoleAccess', env: 'OPENSEARCH_TENANT_ROLE_ACCESS', type: 'enum', values: ['read-write', 'read-only'], default: 'read-write' },
+  { path: 'opensearch.accessPolicy.permissionSets', env: 'OPENSEARCH_PERMISSION_SETS', type: 'json', default: DEFAULT_PERMISSION_SETS },
+
+  // Bedrock knowledge base vector index created in each new collection
+  { path: 'opensearch.vectorIndex.enabled', env: 'OPENSEARCH_VECTOR_INDEX_ENABLED', type: 'bool', default: true },
+  { path: 'opensearch.vectorIndex.name', env: 'OPENSEARCH_VECTOR_INDEX_NAME', type: 'string', pattern: /^[a-z0-9][a-z0-9_-]{0,254}$/, default: 'bedrock-knowledge-base-default-index' },
+  { path: 'opensearch.vectorIndex.dimension', env: 'OPENSEARCH_VECTOR_DIMENSION', type: 'int', min: 1, max: 16000, default: 1024 },
+  { path: 'opensearch.vectorIndex.engine', env: 'OPENSEARCH_VECTOR_ENGINE', type: 'enum', values: ['faiss', 'nmslib', 'lucene'], default: 'faiss' },
+  { path: 'opensearch.vectorIndex.spaceType', env: 'OPENSEARCH_VECTOR_SPACE_TYPE', type: 'enum', values: ['l2', 'innerproduct', 'cosinesimil'], default: 'l2' },
+  { path: 'opensearch.vectorIndex.vectorField', env: 'OPENSEARCH_VECTOR_FIELD', type: 'string', pattern: /^[\w.@-]+$/, default: 'bedrock-knowledge-base-default-vector' },
+  { path: 'opensearch.vectorIndex.textField', env: 'OPENSEARCH_TEXT_FIELD', type: 'string', pattern: /^[\w.@-]+$/, default: 'AMAZON_BEDROCK_TEXT_CHUNK' },
+  { path: 'opensearch.vectorIndex.metadataField', env: 'OPENSEARCH_METADATA_FIELD', type: 'string', pattern: /^[\w.@-]+$/, default: 'AMAZON_BEDROCK_METADATA' },
+  // Additional field mappings, e.g. {"tenant_document_id": {"type": "keyword"}}
+  { path: 'opensearch.vectorIndex.extraMappings', env: 'OPENSEARCH_VECTOR_INDEX_MAPPINGS', type: 'json', default: {} },
+
+  // Provisioning events published from the outbox
+  // 'log' writes events to the service log instead of delivering them (local stand-in)
+  { path: 'events.transport', env: 'EVENTS_TRANSPORT', type: 'enum', values: ['log', 'sns', 'sqs', 'eventbridge'], default: 'log' },
+  // SNS topic ARN, SQS queue URL or EventBridge bus name, depending on the transport
+  { path: 'events.target', env: 'EVENTS_TARGET', type: 'string', default: null },
+  { path: 'events.region', env: 'EVENTS_REGION', type: 'string', pattern: REGION_PATTERN, default: c => c.aws.region },
+  { path: 'events.endpoint', env: 'EVENTS_ENDPOINT', type: 'url', default: null },
+  { path: 'events.source', env: 'EVENTS_SOURCE', type: 'string', pattern: /^[\w.-]+$/, default: 'accreda.tenant-opensearch' },
+  { path: 'events.pollIntervalSeconds', env: 'EVENTS_POLL_INTERVAL_SECONDS', type: 'int', min: 1, max: 3600, default: 5 },
+  { path: 'events.batchSize', env: 'EVENTS_BATCH_SIZE', type: 'int', min: 1, max: 100, default: 10 },
+
+  // Embedded HTTP server for health checks and status
+  { path: 'admin.enabled', env: 'ADMIN_SERVER_ENABLED', type: 'bool', default: true },
+  { path: 'admin.host', env: 'ADMIN_HOST', type: 'string', default: '0.0.0.0' },
+  { path: 'admin.port', env: 'ADMIN_PORT', type: 'int', min: 1, max: 65535, default: 8080 },
+  // /healthz fails when the polling loop has shown no progress for this long
+  { path: 'admin.livenessMaxAgeSeconds', env: 'ADMIN_LIVENESS_MAX_AGE_SECONDS', type: 'int', min: 30, max: 3600, default: 120 },
+
+  // Automatic reprovisioning of tenants that failed with a transient error or stopped making progress
+  { path: 'retry.enabled', env: 'RETRY_ENABLED', type: 'bool', default: true },
+  { path: 'retry.intervalSeconds', env: 'RETRY_INTERVAL_SECONDS', type: 'int', min: 10, max: 86400, default: 300 },
+  // Failed and initializing tenants are picked up after this long without progress; dead-lettered failures right away
+  { path: 'retry.stuckAfterMinutes', env: 'RETRY_STUCK_AFTER_MINUTES', type: 'int', min: 1, max: 10080, default: 60 },
+  { path: 'retry.maxAttempts', env: 'RETRY_MAX_ATTEMPTS', type: 'int', min: 1, max: 100, default: 5 },
+  { path: 'retry.baseDelaySeconds', env: 'RETRY_BASE_DELAY_SECONDS', type: 'int', min: 1, max: 86400, default: 300 },
+  { path: 'retry.maxDelaySeconds', env: 'RETRY_MAX_DELAY_SECONDS', type: 'int', min: 1, max: 604800, default: 21600 },
+  { path: 'retry.batchSize', env: 'RETRY_BATCH_SIZE', type: 'int', min: 1, max: 100, default: 5 }
+];
+
+/**
+ * Reads a nested value by dotted path
+ * 
+ * @param {object} source - Object to read from
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Writes a nested value by dotted path, creating intermediate objects
+ * 
+ * @param {object} target - Object to write to
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to write
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Converts and validates a raw value against its schema entry
+ * Environment values arrive as strings; config file values may already be typed
+ * 
+ * @param {object} entry - Schema entry
+ * @param {*} raw - Raw value
+ * @returns {*} Typed value
+ * @throws {Error} If the value is invalid
+ */
+function coerce(entry, raw) {
+  switch (entry.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value) || value < entry.min || value > entry.max) {
+        throw new Error(`must be an integer between ${entry.min} and ${entry.max}`);
+      }
+      return value;
+    }
+
+    case 'bool': {
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      const value = String(raw).trim().toLowerCase();
+      if (!['true', 'false', '1', '0'].includes(value)) {
+        throw new Error('must be true or false');
+      }
+      return value === 'true' || value === '1';
+    }
+
+    case 'enum':
+      if (!entry.values.includes(raw)) {
+        throw new Error(`must be one of ${entry.values.join(', ')}`);
+      }
+      return raw;
+
+    case 'url': {
+      try {
+        const url = new URL(raw);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error();
+        }
+      } catch (error) {
+        throw new Error('must be an http(s) URL');
+      }
+      return raw;
+    }
+
+    case 'list': {
+      const items = Array.isArray(raw)
+        ? raw
+        : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.find(item => entry.itemPattern && !entry.itemPattern.test(item));
+      if (invalid !== undefined) {
+        throw new Error(`contains invalid value '${invalid}'`);
+      }
+      return items;
+    }
+
+    case 'json': {
+      if (typeof raw !== 'string') {
+        return raw;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error('must be valid JSON');
+      }
+    }
+
+    default: {
+      const value = String(raw);
+      if (entry.pattern && !entry.pattern.test(value)) {
+        throw new Error(`has an invalid format: '${value}'`);
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * Validates relationships between configuration values
+ * 
+ * @param {object} config - Resolved configuration
+ * @returns {Array<string>} Problems found
+ */
+function validateCrossFields(config) {
+  const problems = [];
+  const { sqs, opensearch, database, events, admin, retry } = config;
+
+  if (sqs.heartbeatIntervalSeconds >= sqs.visibilityTimeout) {
+    problems.push('SQS_HEARTBEAT_INTERVAL_SECONDS must be lower than SQS_VISIBILITY_TIMEOUT');
+  }
+
+  if (admin.livenessMaxAgeSeconds <= sqs.heartbeatIntervalSeconds) {
+    problems.push('ADMIN_LIVENESS_MAX_AGE_SECONDS must be greater than SQS_HEARTBEAT_INTERVAL_SECONDS');
+  }
+
+  // Otherwise a tenant still waiting for its collection looks stuck and is reprovisioned twice
+  if (retry.stuckAfterMinutes < opensearch.collectionActiveTimeoutMinutes + RETRY_STUCK_MARGIN_MINUTES) {
+    problems.push(`RETRY_STUCK_AFTER_MINUTES must be at least OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES plus ${RETRY_STUCK_MARGIN_MINUTES}`);
+  }
+
+  if (retry.maxDelaySeconds < retry.baseDelaySeconds) {
+    problems.push('RETRY_MAX_DELAY_SECONDS must not be lower than RETRY_BASE_DELAY_SECONDS');
+  }
+
+  if (database.auth === 'password' && !database.password) {
+    problems.push('DB_PASSWORD is required when DB_AUTH is password');
+  }
+
+  const { network } = opensearch;
+  if (network.mode === 'private' && network.vpcEndpointIds.length === 0 && network.sourceServices.length === 0) {
+    problems.push('OPENSEARCH_NETWORK_MODE=private requires OPENSEARCH_VPC_ENDPOINT_IDS or OPENSEARCH_SOURCE_SERVICES');
+  }
+
+  if (!opensearch.allowedRegions.includes(opensearch.region)) {
+    problems.push(`OPENSEARCH_ALLOWED_REGIONS must include the default region ${opensearch.region}`);
+  }
+
+  if (opensearch.kmsKeyArn && opensearch.kmsKeyArn.split(':')[3] !== opensearch.region) {
+    problems.push(`OPENSEARCH_KMS_KEY_ARN must be a key in ${opensearch.region}`);
+  }
+
+  const permissionSets = opensearch.accessPolicy.permissionSets;
+  for (const name of ['read-write', 'read-only']) {
+    const set = permissionSets && permissionSets[name];
+    const isValidList = list => Array.isArray(list) && list.length > 0 && list.every(item => /^aoss:\w+$/.test(item));
+    if (!set || !isValidList(set.collection) || !isValidList(set.index)) {
+      problems.push(`OPENSEARCH_PERMISSION_SETS must define '${name}' with non-empty aoss: collection and index permission lists`);
+    }
+  }
+
+  const { vectorIndex } = opensearch;
+  const extraMappings = vectorIndex.extraMappings;
+  if (!extraMappings || typeof extraMappings !== 'object' || Array.isArray(extraMappings)) {
+    problems.push('OPENSEARCH_VECTOR_INDEX_MAPPINGS must be a JSON object of field mappings');
+  } else if ([vectorIndex.vectorField, vectorIndex.textField, vectorIndex.metadataField].some(field => field in extraMappings)) {
+    problems.push('OPENSEARCH_VECTOR_INDEX_MAPPINGS must not redefine the vector, text or metadata field');
+  }
+
+  if (events.transport !== 'log' && !events.target) {
+    problems.push(`EVENTS_TARGET is required when EVENTS_TRANSPORT is ${events.transport}`);
+  } else if (events.transport === 'sns' && !/^arn:aws[a-z-]*:sns:/.test(events.target)) {
+    problems.push('EVENTS_TARGET must be an SNS topic ARN when EVENTS_TRANSPORT is sns');
+  } else if (events.transport === 'sqs' && !/^https?:\/\//.test(events.target)) {
+    problems.push('EVENTS_TARGET must be an SQS queue URL when EVENTS_TRANSPORT is sqs');
+  }
+
+  return problems;
+}
+
+/**
+ * Loads and validates the service configuration
+ * 
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {object} Frozen configuration object
+ * @throws {Error} ConfigurationError listing every invalid value
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  let fileConfig = {};
+
+  if (env.CONFIG_FILE) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      problems.push(`CONFIG_FILE '${env.CONFIG_FILE}' could not be read: ${error.message}`);
+    }
+  }
+
+  const config = {};
+  for (const entry of SCHEMA) {
+    const envValue = env[entry.env];
+    const fileValue = getPath(fileConfig, entry.path);
+    let value;
+
+    if (envValue !== undefined && envValue !== '') {
+      value = envValue;
+    } else if (fileValue !== undefined && fileValue !== null) {
+      value = fileValue;
+    } else {
+      // Defaults are trusted and may depend on values resolved earlier
+      setPath(config, entry.path, typeof entry.default === 'function' ? entry.default(config) : entry.default);
+      continue;
+    }
+
+    try {
+      setPath(config, entry.path, coerce(entry, value));
+    } catch (error) {
+      problems.push(`${entry.env} (${entry.path}) ${error.message}`);
+      setPath(config, entry.path, typeof entry.default === 'function' ? entry.default(config) : entry.default);
+    }
+  }
+
+  if (problems.length === 0) {
+    problems.push(...validateCrossFields(config));
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    error.name = 'ConfigurationError';
+    error.problems = problems;
+    throw error;
+  }
+
+  return deepFreeze(config);
+}
+
+/**
+ * Recursively freezes an object so configuration cannot be mutated at runtime
+ * 
+ * @param {object} value - Object to freeze
+ * @returns {object} The frozen object
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Returns the configuration with secrets masked, for logging at startup
+ * 
+ * @param {object} config - Configuration from loadConfig()
+ * @returns {object} Loggable configuration
+ */
+function describeConfig(config) {
+  const described = JSON.parse(JSON.stringify(config));
+  for (const entry of SCHEMA.filter(item => item.secret)) {
+    if (getPath(described, entry.path)) {
+      setPath(described, entry.path, '********');
+    }
+  }
+  return described;
+}
+
+// Loaded once per process; helpers are exposed alongside the sections
+module.exports = Object.freeze({
+  ...loadConfig(),
+  loadConfig,
+  describeConfig
+});
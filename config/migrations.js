@@ -0,0 +1,164 @@
+/**
+ * Schema Migrations
+ * 
+ * Applies the versioned SQL files in migrations/ to the control plane database,
+ * so new columns, tables and status values ship together with the code that uses them.
+ * 
+ * - Files are named <version>_<description>.sql and applied in version order
+ * - Applied versions are recorded with a checksum in public.tenant_opensearch_schema_migrations;
+ *   editing a file after it was applied fails startup instead of silently diverging
+ * - Each file runs in its own transaction
+ * - A PostgreSQL advisory lock serializes runners, so ECS tasks starting together
+ *   apply each migration exactly once; a task waits for the lock without a timeout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'public.tenant_opensearch_schema_migrations';
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// Advisory lock shared by every task running this service's migrations
+const LOCK_NAME = 'tenant-opensearch-service:migrations';
+
+/**
+ * Reads the migration files in version order
+ * 
+ * @returns {Array<object>} Migrations with version, name, sql and checksum
+ * @throws {Error} MigrationError if two files share a version
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_REGEX.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, index) => (
+    index > 0 && migrations[index - 1].version === migration.version
+  ));
+  if (duplicate) {
+    const error = new Error(`Duplicate migration version ${duplicate.version} (${duplicate.file})`);
+    error.name = 'MigrationError';
+    throw error;
+  }
+
+  return migrations;
+}
+
+/**
+ * Applies pending migrations
+ * 
+ * @param {object} client - Connected database client (not in a transaction)
+ * @param {object} options - Migration options
+ * @param {boolean} options.dryRun - Report pending migrations without applying them
+ * @returns {Promise<object>} Applied and pending migration files
+ * @throws {Error} MigrationChecksumError if an applied file was modified, MigrationError if a file fails
+ */
+async function runMigrations(client, { dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  logger.info('Acquiring migration lock', { lock: LOCK_NAME });
+  // Wait as long as another task's migrations take: the pool's statement timeout is
+  // lifted for the lock statement only. The session-level lock outlives the transaction
+  await client.query('BEGIN');
+  try {
+    await client.query('SET LOCAL statement_timeout = 0');
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  try {
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+         version     INTEGER      PRIMARY KEY,
+         name        VARCHAR(255) NOT NULL,
+         checksum    CHAR(64)     NOT NULL,
+         applied_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+         duration_ms INTEGER      NOT NULL
+       )`
+    );
+
+    const result = await client.query(`SELECT version, name, checksum FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    for (const migration of migrations) {
+      const record = applied.get(migration.version);
+      if (record && record.checksum !== migration.checksum) {
+        const error = new Error(
+          `Migration ${migration.file} was modified after it was applied; add a new migration instead`
+        );
+        error.name = 'MigrationChecksumError';
+        throw error;
+      }
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (dryRun || pending.length === 0) {
+      logger.info('Database schema migrations checked', {
+        applied: applied.size,
+        pending: pending.map(migration => migration.file),
+        dryRun
+      });
+      return { applied: [], pending: pending.map(migration => migration.file) };
+    }
+
+    const appliedFiles = [];
+    for (const migration of pending) {
+      const startedAt = Date.now();
+      logger.info('Applying database migration', { migration: migration.file });
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+
+        logger.error('Database migration failed', {
+          migration: migration.file,
+          error: error.message
+        });
+
+        const migrationError = new Error(`Migration ${migration.file} failed: ${error.message}`);
+        migrationError.name = 'MigrationError';
+        throw migrationError;
+      }
+
+      appliedFiles.push(migration.file);
+      logger.info('Database migration applied', {
+        migration: migration.file,
+        durationMs: Date.now() - startedAt
+      });
+    }
+
+    return { applied: appliedFiles, pending: [] };
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations
+};
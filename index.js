@@ -2,13 +2,17 @@
  * Tenant OpenSearch Provisioning Service
  * 
  * This service provisions OpenSearch Serverless collections for tenants.
- * It listens to an SQS queue for tenant creation events, creates the collection,
- * and updates the tenant record in the database.
+ * It listens to an SQS queue for tenant events, routes each message to the
+ * handler registered for its action, and updates the tenant record in the database.
+ * Provisioning creates the collection; deprovisioning tears it and its policies down.
  * 
  * Architecture:
  * 1. SQS Queue → Receives tenant provisioning requests
- * 2. OpenSearch Service → Creates serverless collections
- * 3. Database Service → Updates tenant records
+ * 2. Message Router → Validates and dispatches messages by action
+ * 3. OpenSearch Service → Creates serverless collections
+ * 4. Database Service → Updates tenant records and writes events to the outbox
+ * 5. Outbox Publisher → Delivers tenant.opensearch.ready / .failed events
+ * 6. Retry Scheduler → Reprovisions tenants that failed transiently or stalled
  * 
  * Security & Compliance:
  * - IAM-based authentication for all AWS services
@@ -16,26 +20,76 @@
  * - Encryption at rest and in transit
  * - Comprehensive audit logging
  * - Meets FedRAMP security standards
+ * - Configuration is validated at startup (config/index.js)
+ * 
+ * Modes:
+ * - Default: long-running SQS consumer
+ * - --reconcile [--auto-repair]: one-shot drift detection between
+ *   accreda_tenants and OpenSearch, suitable for a scheduled ECS task
+ * - --update-policies [--tenant=<id>] [--dry-run]: converge network and data
+ *   access policies of existing collections with the current configuration
+ * - --migrate [--dry-run]: apply (or list) pending database schema migrations
+ * - --audit-export --tenant=<id> [--format=json|csv]: export a tenant's audit log
  * 
  * Scalability:
  * - Containerized for ECS deployment
  * - Horizontal scaling via ECS task count
  * - Long-polling SQS for efficient message consumption
+ * - Bounded worker pool with per-tenant (MessageGroupId) ordering
  * - Connection pooling for database efficiency
  */
 
 require('dotenv').config();
 
+// One-shot modes print their report or export to stdout; keep logs out of it.
+// Must be set before the logger is created
+const REPORT_MODES = ['--reconcile', '--update-policies', '--migrate', '--audit-export'];
+if (REPORT_MODES.some(mode => process.argv.includes(mode))) {
+  process.env.LOG_TO_STDERR = 'true';
+}
+
 const logger = require('./utils/logger');
-const { initializeDatabase, closeDatabase } = require('./config/database');
+
+// Configuration is validated on load; refuse to start with an invalid environment
+let config;
+try {
+  config = require('./config');
+} catch (error) {
+  logger.error('Invalid configuration, refusing to start', {
+    error: error.message,
+    problems: error.problems
+  });
+  process.exit(1);
+}
+
+const { initializeDatabase, query, migrateDatabase, closeDatabase } = require('./config/database');
 const SQSService = require('./services/sqsService');
+const MessageRouter = require('./services/messageRouter');
 const OpenSearchService = require('./services/opensearchService');
 const DatabaseService = require('./services/databaseService');
+const ProvisioningService = require('./services/provisioningService');
+const ReconciliationService = require('./services/reconciliationService');
+const PolicyUpdateService = require('./services/policyUpdateService');
+const AuditService = require('./services/auditService');
+const OutboxPublisher = require('./services/outboxPublisher');
+const AdminServer = require('./services/adminServer');
+const RetryScheduler = require('./services/retryScheduler');
+const metrics = require('./utils/metrics');
 
 // Service instances
 const sqsService = new SQSService();
 const openSearchService = new OpenSearchService();
 const databaseService = new DatabaseService();
+const messageRouter = new MessageRouter();
+const auditService = new AuditService(databaseService);
+const outboxPublisher = new OutboxPublisher(databaseService);
+const adminServer = new AdminServer(config.admin);
+const policyUpdateService = new PolicyUpdateService(openSearchService, databaseService, auditService);
+const provisioningService = new ProvisioningService(openSearchService, databaseService, outboxPublisher);
+const retryScheduler = new RetryScheduler(provisioningService, databaseService, auditService);
+
+// Readiness checks that take longer than this count as failed
+const READINESS_CHECK_TIMEOUT_MS = 5000;
 
 /**
  * Processes a tenant provisioning message
@@ -44,9 +98,14 @@ const databaseService = new DatabaseService();
  * @param {string} message.tenant_id - Tenant UUID
  * @param {string} message.tenant_slug - Tenant slug
  * @param {string} message.timestamp - Message timestamp
- * @returns {Promise<void>}
+ * @param {string} [message.kms_key_arn] - Customer-managed KMS key overriding tenant and service defaults
+ * @param {string} [message.region] - Region overriding the tenant's and service's placement
+ * @param {string} [message.role_arn] - Allow-listed role for placing the collection in another account
+ * @param {object} context - Delivery context from the router
+ * @param {number} context.receiveCount - Times the message was received
+ * @returns {Promise<object>} Provisioning outcome, recorded as the audit response
  */
-async function processTenantMessage(message) {
+async function processTenantProvision(message, context = {}) {
   const { tenant_id, tenant_slug, timestamp } = message;
   
   logger.info('Processing tenant provisioning request', {
@@ -55,65 +114,238 @@ async function processTenantMessage(message) {
     timestamp
   });
 
-  try {
-    // Step 1: Validate tenant exists and is in correct state
-    const tenant = await databaseService.getTenant(tenant_id);
-    
-    const validation = databaseService.validateTenantForProvisioning(tenant);
-    if (!validation.isValid) {
-      logger.warn('Tenant validation failed', {
-        tenant_id,
-        reason: validation.message
-      });
-      // Don't throw - this is a valid scenario (idempotency)
-      return;
-    }
+  return provisioningService.provision(tenant_id, {
+    region: message.region,
+    roleArn: message.role_arn,
+    kmsKeyArn: message.kms_key_arn,
+    attempts: context.receiveCount || null
+  });
+}
 
-    logger.info('Tenant validation passed, creating OpenSearch collection', {
-      tenant_id,
-      tenant_slug: tenant.slug
-    });
+/**
+ * Processes a tenant deprovisioning message
+ * Deletes the collection and its policies, then clears the tenant record
+ * 
+ * @param {object} message - SQS message body
+ * @param {string} message.tenant_id - Tenant UUID
+ * @param {string} message.tenant_slug - Tenant slug
+ * @param {string} message.timestamp - Message timestamp
+ * @returns {Promise<object>} Deprovisioning outcome, recorded as the audit response
+ */
+async function processTenantDeprovision(message) {
+  const { tenant_id, tenant_slug, timestamp } = message;
 
-    // Step 2: Create OpenSearch collection
-    const collection = await openSearchService.createCollection(tenant_id, tenant.slug);
-    
-    logger.info('OpenSearch collection created', {
-      tenant_id,
-      collection_arn: collection.arn,
-      collection_endpoint: collection.endpoint
-    });
+  logger.info('Processing tenant deprovisioning request', {
+    tenant_id,
+    tenant_slug,
+    timestamp
+  });
 
-    // Step 3: Update tenant record in database
-    await databaseService.updateTenantOpenSearch(tenant_id, collection.arn, 'ready');
-    
-    logger.info('Tenant provisioning completed successfully', {
-      tenant_id,
-      tenant_slug: tenant.slug,
-      opensearch_arn: collection.arn
-    });
-  } catch (error) {
-    logger.error('Failed to provision tenant', {
-      tenant_id,
-      tenant_slug,
-      error: error.message,
-      stack: error.stack
-    });
+  return provisioningService.deprovision(tenant_id);
+}
+
+/**
+ * Processes a tenant policy update message
+ * Converges the tenant's network and data access policies with the current configuration
+ * 
+ * @param {object} message - SQS message body
+ * @param {string} message.tenant_id - Tenant UUID
+ * @param {string} message.timestamp - Message timestamp
+ * @param {boolean} [message.dry_run] - Log the differences without applying them
+ * @returns {Promise<object|undefined>} Per-policy results recorded as the audit response;
+ *   nothing when the tenant was not found
+ */
+async function processTenantPolicyUpdate(message) {
+  const { tenant_id, timestamp } = message;
+
+  logger.info('Processing tenant policy update request', { tenant_id, timestamp });
+
+  const tenant = await databaseService.getTenant(tenant_id);
+  if (!tenant) {
+    logger.warn('Tenant not found for policy update', { tenant_id });
+    AuditService.annotate({ outcome: 'skipped', details: { reason: 'Tenant not found' } });
+    return;
+  }
+
+  const result = await policyUpdateService.updateTenantPolicies(tenant, { dryRun: message.dry_run === true });
+
+  logger.info('Tenant policy update completed', {
+    tenant_id,
+    skipped: result.skipped,
+    policies: result.policies.map(policy => ({
+      policyName: policy.policyName,
+      outcome: policy.outcome,
+      changes: policy.changes
+    }))
+  });
+
+  return result;
+}
+
+/**
+ * Records the final failure of a dead-lettered message
+ * Called once SQS retries are exhausted and the message has been moved to the DLQ.
+ * Every dead-letter is recorded in the audit log; only a failed provision marks the
+ * tenant failed, as a failed policy update or deprovision leaves the collection in place
+ * 
+ * @param {object} message - SQS message body
+ * @param {Error} error - Last processing error
+ * @param {number} receiveCount - Number of times the message was received
+ * @param {object} context - Dead-letter context
+ * @param {string} context.messageId - SQS message id
+ * @returns {Promise<void>}
+ */
+async function handleDeadLetter(message, error, receiveCount, { messageId = null } = {}) {
+  if (!message.tenant_id) {
+    return;
+  }
+
+  const action = messageRouter.getAction(message);
+  logger.error('Tenant message dead-lettered', {
+    tenant_id: message.tenant_id,
+    action,
+    receiveCount,
+    error: error.message
+  });
+
+  await auditService.record({
+    tenantId: message.tenant_id,
+    action,
+    messageId,
+    actor: message.actor || null,
+    source: 'sqs',
+    outcome: 'failed',
+    error,
+    details: { deadLettered: true, receiveCount, timestamp: message.timestamp }
+  });
 
-    // Mark tenant as failed in database for visibility
-    try {
-      await databaseService.markTenantOpenSearchFailed(tenant_id, error.message);
-    } catch (dbError) {
-      logger.error('Failed to mark tenant as failed', {
-        tenant_id,
-        error: dbError.message
-      });
+  if (action !== 'provision') {
+    return;
+  }
+
+  await databaseService.markTenantOpenSearchFailed(message.tenant_id, error, {
+    attempts: receiveCount,
+    deadLettered: true
+  });
+  outboxPublisher.notify();
+}
+
+/**
+ * Wraps a message handler so each message is recorded in the audit log
+ * 
+ * @param {string} action - Action name
+ * @param {Function} handler - Message handler
+ * @returns {Function} Audited handler
+ */
+function audited(action, handler) {
+  return (message, context = {}) => auditService.run({
+    tenantId: message.tenant_id,
+    action,
+    messageId: context.messageId || null,
+    // Optional field set by the publisher, e.g. the admin who onboarded the tenant
+    actor: message.actor || null,
+    source: 'sqs',
+    details: { receiveCount: context.receiveCount, timestamp: message.timestamp }
+  }, () => handler(message, context));
+}
+
+// Message actions handled by this service
+// Messages without an action are routed to 'provision'
+messageRouter
+  .register('provision', audited('provision', processTenantProvision), {
+    validate: (message) => {
+      let regionalService = openSearchService;
+      if (message.region || message.role_arn) {
+        try {
+          regionalService = openSearchService.forPlacement(openSearchService.resolvePlacement({
+            region: message.region,
+            roleArn: message.role_arn
+          }));
+        } catch (error) {
+          return error.message;
+        }
+      }
+
+      return message.kms_key_arn && !regionalService.isValidKmsKeyArn(message.kms_key_arn)
+        ? 'kms_key_arn must be a KMS key ARN in the collection region'
+        : null;
     }
+  })
+  .register('deprovision', audited('deprovision', processTenantDeprovision))
+  .register('policy-update', audited('policy-update', processTenantPolicyUpdate), {
+    requiredFields: ['tenant_id', 'timestamp']
+  });
+
+/**
+ * Runs a readiness check with a timeout
+ * 
+ * @param {Function} check - Async check; its result is reported as details
+ * @returns {Promise<object>} Check result with ok, durationMs and details or error
+ */
+async function runReadinessCheck(check) {
+  const startedAt = Date.now();
+  let timer;
 
-    // Re-throw to allow SQS message retry
-    throw error;
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timed out after ${READINESS_CHECK_TIMEOUT_MS}ms`)),
+          READINESS_CHECK_TIMEOUT_MS
+        );
+      })
+    ]);
+    return { ok: true, durationMs: Date.now() - startedAt, ...(details !== undefined && { details }) };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
+// Health, status and metrics endpoints used by ECS, Prometheus and operators
+adminServer
+  // Liveness: the polling loop is running and making progress
+  .route('/healthz', async () => {
+    const alive = sqsService.isAlive(config.admin.livenessMaxAgeSeconds * 1000);
+    const { lastPollAt, lastHeartbeatAt } = sqsService.getStatus();
+    return {
+      statusCode: alive ? 200 : 503,
+      body: { status: alive ? 'ok' : 'stalled', lastPollAt, lastHeartbeatAt }
+    };
+  })
+  // Readiness: the database and queue are reachable
+  .route('/readyz', async () => {
+    const [database, queue] = await Promise.all([
+      runReadinessCheck(async () => {
+        await query('SELECT 1');
+      }),
+      runReadinessCheck(async () => ({ approximateMessages: await sqsService.checkQueue() }))
+    ]);
+    const ready = sqsService.isPolling && database.ok && queue.ok;
+    return {
+      statusCode: ready ? 200 : 503,
+      body: { status: ready ? 'ready' : 'not_ready', polling: sqsService.isPolling, checks: { database, queue } }
+    };
+  })
+  .route('/metrics', async () => ({
+    statusCode: 200,
+    body: await metrics.register.metrics(),
+    contentType: metrics.register.contentType
+  }))
+  .route('/status', async () => ({
+    statusCode: 200,
+    body: {
+      uptimeSeconds: Math.round(process.uptime()),
+      startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+      region: config.aws.region,
+      actions: messageRouter.getActions(),
+      retryScheduler: retryScheduler.getStatus(),
+      ...sqsService.getStatus()
+    }
+  }));
+
 /**
  * Main application startup
  */
@@ -122,8 +354,10 @@ async function main() {
   logger.info('Environment', {
     nodeVersion: process.version,
     logLevel: process.env.LOG_LEVEL || 'info',
-    region: 'us-east-1'
+    region: config.aws.region,
+    accountId: config.aws.accountId
   });
+  logger.debug('Resolved configuration', config.describeConfig(config));
 
   try {
     // Initialize database connection pool
@@ -131,9 +365,21 @@ async function main() {
     await initializeDatabase();
     logger.info('Database initialized successfully');
 
+    // Deliver tenant.opensearch.* events written by tenant updates
+    outboxPublisher.start();
+
+    // Reprovision tenants that failed with a transient error or stopped making progress
+    if (config.retry.enabled) {
+      retryScheduler.start();
+    }
+
+    if (config.admin.enabled) {
+      await adminServer.start();
+    }
+
     // Start SQS polling
-    logger.info('Starting SQS message polling');
-    await sqsService.startPolling(processTenantMessage);
+    logger.info('Starting SQS message polling', { actions: messageRouter.getActions() });
+    await sqsService.startPolling(messageRouter, { onDeadLetter: handleDeadLetter });
   } catch (error) {
     logger.error('Fatal error in main process', {
       error: error.message,
@@ -143,6 +389,162 @@ async function main() {
   }
 }
 
+/**
+ * One-shot reconciliation run
+ * Reports drift between tenant records and OpenSearch, repairing it when --auto-repair is set
+ */
+async function runReconciliation() {
+  const autoRepair = process.argv.includes('--auto-repair');
+  logger.info('Starting OpenSearch drift reconciliation', { autoRepair });
+
+  try {
+    await initializeDatabase();
+
+    const reconciliationService = new ReconciliationService(
+      openSearchService,
+      databaseService,
+      sqsService,
+      auditService
+    );
+    const report = await reconciliationService.reconcile({ autoRepair });
+
+    // Emit the full report as a single JSON document for downstream tooling
+    console.log(JSON.stringify(report, null, 2));
+
+    await closeDatabase();
+    process.exit(report.issues.length > 0 && !autoRepair ? 2 : 0);
+  } catch (error) {
+    logger.error('Reconciliation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+/**
+ * Reads a --name=value command-line argument
+ * 
+ * @param {string} name - Argument name without leading dashes
+ * @returns {string|null} Argument value or null if not given
+ */
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(value => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+/**
+ * One-shot policy update run
+ * Updates one tenant (--tenant=<id>) or every tenant with a collection
+ */
+async function runPolicyUpdate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const tenantId = getArgValue('tenant');
+  logger.info('Starting OpenSearch policy update', { dryRun, tenantId: tenantId || 'all' });
+
+  try {
+    await initializeDatabase();
+
+    let report;
+    if (tenantId) {
+      const tenant = await databaseService.getTenant(tenantId);
+      if (!tenant) {
+        throw new Error(`Tenant not found: ${tenantId}`);
+      }
+      report = await auditService.run({
+        tenantId,
+        action: 'policy-update',
+        source: 'cli',
+        details: { dryRun }
+      }, () => policyUpdateService.updateTenantPolicies(tenant, { dryRun }));
+    } else {
+      report = await policyUpdateService.updateAllTenantPolicies({ dryRun });
+    }
+
+    // Emit the full report as a single JSON document for downstream tooling
+    console.log(JSON.stringify(report, null, 2));
+
+    await closeDatabase();
+    process.exit(report.summary?.failed > 0 ? 2 : 0);
+  } catch (error) {
+    logger.error('Policy update failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+/**
+ * Exports a tenant's audit log to stdout
+ * Usage: --audit-export --tenant=<id> [--format=json|csv] [--since=<ISO date>] [--until=<ISO date>]
+ */
+async function runAuditExport() {
+  const tenantId = getArgValue('tenant');
+  const format = getArgValue('format') || 'json';
+  const parseDate = (name) => {
+    const value = getArgValue(name);
+    if (value && Number.isNaN(Date.parse(value))) {
+      throw new Error(`--${name} must be an ISO 8601 date`);
+    }
+    return value ? new Date(value) : null;
+  };
+
+  try {
+    if (!tenantId) {
+      throw new Error('--tenant=<id> is required');
+    }
+    if (!['json', 'csv'].includes(format)) {
+      throw new Error('--format must be json or csv');
+    }
+    const since = parseDate('since');
+    const until = parseDate('until');
+
+    await initializeDatabase();
+
+    const output = await auditService.exportTenantAuditLog(tenantId, { format, since, until });
+    process.stdout.write(format === 'csv' ? output : `${output}\n`);
+
+    await closeDatabase();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Audit log export failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+/**
+ * One-shot schema migration run
+ * Applies pending migrations, or lists them with --dry-run
+ */
+async function runMigrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  logger.info('Starting database schema migration', { dryRun });
+
+  try {
+    await initializeDatabase({ migrate: false });
+
+    const report = await migrateDatabase({ dryRun });
+
+    // Emit the full report as a single JSON document for downstream tooling
+    console.log(JSON.stringify({ generatedAt: new Date().toISOString(), dryRun, ...report }, null, 2));
+
+    await closeDatabase();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Database migration failed', {
+      error: error.message,
+      errorName: error.name,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
 /**
  * Graceful shutdown handler
  */
@@ -150,11 +552,18 @@ async function shutdown(signal) {
   logger.info(`Received ${signal}, starting graceful shutdown`);
 
   try {
-    // Stop polling for new messages
+    // Stop polling for new messages and starting retries
     sqsService.stopPolling();
+    retryScheduler.stop();
     
     // Wait a moment for in-flight processing to complete
     await new Promise(resolve => setTimeout(resolve, 5000));
+
+    // Publish events of the messages that just finished, then stop
+    await outboxPublisher.runOnce();
+    await outboxPublisher.stop();
+
+    await adminServer.stop();
     
     // Close database connections
     await closeDatabase();
@@ -191,5 +600,15 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Start the application
-main();
+if (process.argv.includes('--reconcile')) {
+  runReconciliation();
+} else if (process.argv.includes('--update-policies')) {
+  runPolicyUpdate();
+} else if (process.argv.includes('--migrate')) {
+  runMigrate();
+} else if (process.argv.includes('--audit-export')) {
+  runAuditExport();
+} else {
+  main();
+}
 
@@ -0,0 +1,14 @@
+-- OpenSearch columns on the shared tenant table that the service has always relied on.
+-- Written with IF NOT EXISTS so databases that already have them are left unchanged.
+
+ALTER TABLE public.accreda_tenants
+  ADD COLUMN IF NOT EXISTS opensearch_arn VARCHAR(2048),
+  ADD COLUMN IF NOT EXISTS opensearch_status VARCHAR(32) NOT NULL DEFAULT 'initializing',
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- NOT VALID: enforced for new writes without rejecting rows that predate the constraint
+ALTER TABLE public.accreda_tenants
+  DROP CONSTRAINT IF EXISTS accreda_tenants_opensearch_status_check;
+ALTER TABLE public.accreda_tenants
+  ADD CONSTRAINT accreda_tenants_opensearch_status_check
+  CHECK (opensearch_status IN ('initializing', 'ready', 'failed', 'deleted')) NOT VALID;
@@ -0,0 +1,14 @@
+-- Per-step provisioning progress, so retried messages resume after the last completed step
+
+CREATE TABLE IF NOT EXISTS public.tenant_opensearch_provisioning_steps (
+  tenant_id    UUID        NOT NULL REFERENCES public.accreda_tenants(id),
+  step         VARCHAR(64) NOT NULL,
+  status       VARCHAR(32) NOT NULL,  -- in_progress, completed, failed
+  details      JSONB,                 -- step result, replayed when the step is skipped
+  error        TEXT,
+  attempts     INTEGER     NOT NULL DEFAULT 0,
+  started_at   TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, step)
+);
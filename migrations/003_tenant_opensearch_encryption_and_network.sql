@@ -0,0 +1,11 @@
+-- Customer-managed KMS key and network mode per tenant
+
+ALTER TABLE public.accreda_tenants
+  ADD COLUMN IF NOT EXISTS opensearch_kms_key_arn VARCHAR(2048),
+  ADD COLUMN IF NOT EXISTS opensearch_network_mode VARCHAR(16);
+
+ALTER TABLE public.accreda_tenants
+  DROP CONSTRAINT IF EXISTS accreda_tenants_opensearch_network_mode_check;
+ALTER TABLE public.accreda_tenants
+  ADD CONSTRAINT accreda_tenants_opensearch_network_mode_check
+  CHECK (opensearch_network_mode IS NULL OR opensearch_network_mode IN ('public', 'private')) NOT VALID;
@@ -0,0 +1,5 @@
+-- Region and account (assumed role) each tenant's collection is placed in
+
+ALTER TABLE public.accreda_tenants
+  ADD COLUMN IF NOT EXISTS opensearch_region VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS opensearch_role_arn VARCHAR(2048);
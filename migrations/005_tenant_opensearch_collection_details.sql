@@ -0,0 +1,8 @@
+-- Collection details stored alongside the ARN so consumers need not call OpenSearch
+
+ALTER TABLE public.accreda_tenants
+  ADD COLUMN IF NOT EXISTS opensearch_endpoint VARCHAR(2048),
+  ADD COLUMN IF NOT EXISTS opensearch_collection_name VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS opensearch_collection_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS opensearch_policy_names JSONB,
+  ADD COLUMN IF NOT EXISTS opensearch_provisioned_at TIMESTAMPTZ;
@@ -0,0 +1,35 @@
+-- Append-only audit log of every provisioning action, kept as FedRAMP evidence.
+-- tenant_id is deliberately not a foreign key: entries must outlive the tenant.
+
+CREATE TABLE IF NOT EXISTS public.tenant_opensearch_audit_log (
+  id           BIGSERIAL    PRIMARY KEY,
+  tenant_id    UUID,
+  action       VARCHAR(64)  NOT NULL,
+  message_id   VARCHAR(128),
+  actor        VARCHAR(255),
+  source       VARCHAR(64)  NOT NULL,
+  outcome      VARCHAR(32)  NOT NULL,  -- succeeded, failed, skipped
+  error        TEXT,
+  started_at   TIMESTAMPTZ  NOT NULL,
+  completed_at TIMESTAMPTZ  NOT NULL,
+  duration_ms  INTEGER      NOT NULL,
+  aws_calls    JSONB        NOT NULL DEFAULT '[]',
+  policies     JSONB        NOT NULL DEFAULT '[]',
+  details      JSONB        NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS tenant_opensearch_audit_log_tenant_idx
+  ON public.tenant_opensearch_audit_log (tenant_id, started_at);
+
+-- Reject updates and deletes, including from the service's own role
+CREATE OR REPLACE FUNCTION public.tenant_opensearch_audit_log_append_only()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'tenant_opensearch_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tenant_opensearch_audit_log_append_only ON public.tenant_opensearch_audit_log;
+CREATE TRIGGER tenant_opensearch_audit_log_append_only
+  BEFORE UPDATE OR DELETE OR TRUNCATE ON public.tenant_opensearch_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION public.tenant_opensearch_audit_log_append_only();
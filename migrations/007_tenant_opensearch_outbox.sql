@@ -0,0 +1,20 @@
+-- Transactional outbox for provisioning events (tenant.opensearch.ready / .failed).
+-- Rows are written in the same transaction as the tenant update and delivered
+-- by the outbox publisher, which marks them published.
+
+CREATE TABLE IF NOT EXISTS public.tenant_opensearch_outbox (
+  id              BIGSERIAL    PRIMARY KEY,
+  event_id        UUID         NOT NULL UNIQUE,
+  tenant_id       UUID         NOT NULL,
+  event_type      VARCHAR(64)  NOT NULL,
+  payload         JSONB        NOT NULL,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  published_at    TIMESTAMPTZ,
+  attempts        INTEGER      NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  next_attempt_at TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tenant_opensearch_outbox_pending_idx
+  ON public.tenant_opensearch_outbox (tenant_id, id)
+  WHERE published_at IS NULL;
@@ -0,0 +1,40 @@
+-- Why a tenant's provisioning failed, and every status change it went through.
+-- opensearch_failure holds the last failure (error class, message, step, AWS request id,
+-- attempts) and is cleared when the tenant becomes ready or is deprovisioned.
+
+ALTER TABLE public.accreda_tenants
+  ADD COLUMN IF NOT EXISTS opensearch_failure JSONB;
+
+CREATE TABLE IF NOT EXISTS public.tenant_opensearch_status_history (
+  id             BIGSERIAL    PRIMARY KEY,
+  tenant_id      UUID         NOT NULL,
+  from_status    VARCHAR(32),
+  to_status      VARCHAR(32),
+  opensearch_arn VARCHAR(2048),
+  failure        JSONB,
+  changed_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tenant_opensearch_status_history_tenant_idx
+  ON public.tenant_opensearch_status_history (tenant_id, changed_at);
+
+-- Recorded by trigger so status changes made outside this service are captured too.
+-- A repeated failure with new details is recorded even though the status stays 'failed'.
+CREATE OR REPLACE FUNCTION public.tenant_opensearch_record_status_change()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO public.tenant_opensearch_status_history
+    (tenant_id, from_status, to_status, opensearch_arn, failure)
+  VALUES
+    (NEW.id, OLD.opensearch_status, NEW.opensearch_status, NEW.opensearch_arn, NEW.opensearch_failure);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tenant_opensearch_status_history ON public.accreda_tenants;
+CREATE TRIGGER tenant_opensearch_status_history
+  AFTER UPDATE OF opensearch_status, opensearch_failure ON public.accreda_tenants
+  FOR EACH ROW
+  WHEN (OLD.opensearch_status IS DISTINCT FROM NEW.opensearch_status
+        OR OLD.opensearch_failure IS DISTINCT FROM NEW.opensearch_failure)
+  EXECUTE FUNCTION public.tenant_opensearch_record_status_change();
@@ -0,0 +1,12 @@
+-- Automatic provisioning retries: how often the retry scheduler has reprovisioned a
+-- failed or stuck tenant, and when the next attempt is due. The row is removed when
+-- the tenant becomes ready or is deprovisioned, which resets the attempt count.
+
+CREATE TABLE IF NOT EXISTS public.tenant_opensearch_retries (
+  tenant_id       UUID         PRIMARY KEY,
+  attempts        INTEGER      NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  last_error      TEXT,
+  updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
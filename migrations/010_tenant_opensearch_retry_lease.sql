@@ -0,0 +1,5 @@
+-- Lease of the retry in progress, separate from the backoff in next_attempt_at, so an
+-- operator retry can run during backoff but never alongside the retry scheduler
+
+ALTER TABLE public.tenant_opensearch_retries
+  ADD COLUMN IF NOT EXISTS leased_until TIMESTAMPTZ;
@@ -0,0 +1,6 @@
+-- Summary of what each audited action returned (e.g. the collection ARN and endpoint,
+-- or why it was skipped), so an entry holds both the request and its response.
+-- Entries written before this migration have no response.
+
+ALTER TABLE public.tenant_opensearch_audit_log
+  ADD COLUMN IF NOT EXISTS response JSONB;
@@ -0,0 +1,140 @@
+/**
+ * Admin Server
+ * 
+ * Minimal embedded HTTP server for health checks and operational endpoints.
+ * Routes are registered by the entry point, the same way message handlers are
+ * registered with the MessageRouter.
+ * 
+ * Handlers return { statusCode, body }; object bodies are sent as JSON and
+ * string bodies as-is with the given contentType.
+ */
+
+const http = require('http');
+const logger = require('../utils/logger');
+
+class AdminServer {
+  /**
+   * @param {object} options - Listen options
+   * @param {string} options.host - Interface to bind
+   * @param {number} options.port - Port to listen on
+   */
+  constructor({ host, port }) {
+    this.host = host;
+    this.port = port;
+    this.routes = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Registers a GET route
+   * 
+   * @param {string} path - Request path (e.g. '/healthz')
+   * @param {Function} handler - Async function returning { statusCode, body, contentType }
+   * @returns {AdminServer} The server, for chaining
+   */
+  route(path, handler) {
+    this.routes.set(path, handler);
+    return this;
+  }
+
+  /**
+   * Resolves the route for a request and runs its handler
+   * 
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<object>} Handler result, or a 400/404/405 result
+   */
+  async dispatch(req) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      return { statusCode: 400, body: { error: 'Invalid request URL' } };
+    }
+
+    const handler = this.routes.get(pathname);
+    if (!handler) {
+      return { statusCode: 404, body: { error: `No route for ${pathname}` } };
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return { statusCode: 405, body: { error: 'Only GET is supported' } };
+    }
+
+    return handler(req);
+  }
+
+  /**
+   * Handles a single request
+   * 
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    let result;
+    try {
+      result = await this.dispatch(req);
+    } catch (error) {
+      logger.error('Admin request failed', { url: req.url, error: error.message });
+      result = { statusCode: 500, body: { error: error.message } };
+    }
+
+    const isText = typeof result.body === 'string';
+    const payload = isText ? result.body : JSON.stringify(result.body, null, 2);
+
+    res.writeHead(result.statusCode || 200, {
+      'Content-Type': result.contentType || (isText ? 'text/plain; charset=utf-8' : 'application/json'),
+      'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+  }
+
+  /**
+   * Starts listening
+   * 
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      // A failure while writing the response must not become an unhandled rejection
+      this.handle(req, res).catch((error) => {
+        logger.error('Admin response failed', { url: req.url, error: error.message });
+        if (!res.headersSent) {
+          res.writeHead(500);
+        }
+        res.end();
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        logger.info('Admin server listening', {
+          host: this.host,
+          port: this.server.address().port,
+          routes: Array.from(this.routes.keys())
+        });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops accepting connections and closes idle ones
+   * 
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections();
+      this.server = null;
+    });
+  }
+}
+
+module.exports = AdminServer;
@@ -0,0 +1,194 @@
+/**
+ * Audit Service
+ * 
+ * Records every provisioning action in the append-only
+ * public.tenant_opensearch_audit_log table as evidence for FedRAMP audits:
+ * who or what requested it, every AWS API call made and its response, the
+ * policy documents applied, what the action returned, the outcome and error,
+ * and how long it took.
+ * 
+ * Audit entries are written after the action completes. A failure to write the
+ * entry is logged but never changes the action's outcome.
+ */
+
+const logger = require('../utils/logger');
+const { runWithAuditContext, getAuditContext } = require('../utils/auditContext');
+const { toCsv } = require('../utils/csv');
+
+// Columns exported for auditors, in order
+const EXPORT_COLUMNS = [
+  'id',
+  'tenant_id',
+  'action',
+  'message_id',
+  'actor',
+  'source',
+  'outcome',
+  'error',
+  'started_at',
+  'completed_at',
+  'duration_ms',
+  'aws_calls',
+  'policies',
+  'response',
+  'details'
+];
+
+class AuditService {
+  /**
+   * @param {DatabaseService} databaseService - Database service used for persistence
+   */
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+  }
+
+  /**
+   * Runs a provisioning action and records it in the audit log
+   * 
+   * @param {object} entry - What is being done and on whose behalf
+   * @param {string} entry.tenantId - Tenant UUID
+   * @param {string} entry.action - Action name (e.g. 'provision')
+   * @param {string} entry.source - Where the request came from (e.g. 'sqs', 'cli', 'reconciliation')
+   * @param {string|null} entry.messageId - SQS message id, if any
+   * @param {string|null} entry.actor - User or system that requested the action, if known
+   * @param {object} entry.details - Additional request details
+   * @param {Function} fn - Async function performing the action; its result is recorded as the response
+   * @returns {Promise<*>} Result of fn
+   */
+  async run({ tenantId, action, source, messageId = null, actor = null, details = {} }, fn) {
+    const context = { outcome: null, details: { ...details } };
+    const startedAt = new Date();
+    let error = null;
+    let response = null;
+
+    try {
+      response = await runWithAuditContext(context, fn);
+      return response;
+    } catch (actionError) {
+      error = actionError;
+      throw actionError;
+    } finally {
+      const completedAt = new Date();
+
+      await this.record({
+        tenantId,
+        action,
+        messageId,
+        actor,
+        source,
+        outcome: error ? 'failed' : context.outcome || 'succeeded',
+        error,
+        startedAt,
+        completedAt,
+        awsCalls: context.awsCalls,
+        policies: context.policies,
+        response,
+        details: context.details
+      });
+    }
+  }
+
+  /**
+   * Writes one audit log entry
+   * Used directly for events that are not an action run, e.g. a dead-lettered message
+   * 
+   * @param {object} entry - Entry to write (see run() for the request fields)
+   * @param {string} entry.outcome - 'succeeded', 'failed' or 'skipped'
+   * @param {Error|null} entry.error - Error that caused a failure, if any
+   * @param {Date} entry.startedAt - Start time (defaults to now)
+   * @param {Date} entry.completedAt - Completion time (defaults to startedAt)
+   * @param {*} entry.response - What the action returned, if anything
+   * @returns {Promise<void>}
+   */
+  async record({
+    tenantId,
+    action,
+    source,
+    messageId = null,
+    actor = null,
+    outcome,
+    error = null,
+    startedAt = new Date(),
+    completedAt = startedAt,
+    awsCalls,
+    policies,
+    response = null,
+    details = {}
+  }) {
+    try {
+      await this.databaseService.recordAuditEvent({
+        tenantId,
+        action,
+        messageId,
+        actor,
+        source,
+        outcome,
+        error: error ? `${error.name}: ${error.message}` : null,
+        startedAt,
+        completedAt,
+        durationMs: completedAt - startedAt,
+        awsCalls,
+        policies,
+        response,
+        details
+      });
+    } catch (auditError) {
+      logger.error('Failed to write audit log entry', {
+        tenantId,
+        action,
+        messageId,
+        error: auditError.message
+      });
+    }
+  }
+
+  /**
+   * Annotates the action currently being audited
+   * Used by handlers that finish without doing anything, e.g. for idempotent skips
+   * 
+   * @param {object} annotation - Annotation
+   * @param {string} annotation.outcome - Outcome to record instead of 'succeeded' (e.g. 'skipped')
+   * @param {object} annotation.details - Details merged into the entry
+   */
+  static annotate({ outcome = null, details = {} } = {}) {
+    const context = getAuditContext();
+    if (!context) {
+      return;
+    }
+
+    if (outcome) {
+      context.outcome = outcome;
+    }
+    Object.assign(context.details, details);
+  }
+
+  /**
+   * Exports a tenant's audit log for auditors
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Export options
+   * @param {string} options.format - 'json' or 'csv'
+   * @param {Date|null} options.since - Only entries started at or after this time
+   * @param {Date|null} options.until - Only entries started before this time
+   * @returns {Promise<string>} Exported document
+   */
+  async exportTenantAuditLog(tenantId, { format = 'json', since = null, until = null } = {}) {
+    const rows = await this.databaseService.getAuditLog(tenantId, { since, until });
+
+    logger.info('Exporting tenant audit log', { tenantId, format, entries: rows.length });
+
+    if (format === 'csv') {
+      return toCsv(rows, EXPORT_COLUMNS);
+    }
+
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      tenantId,
+      since,
+      until,
+      entries: rows
+    }, null, 2);
+  }
+}
+
+module.exports = AuditService;
@@ -10,9 +10,91 @@
  * - Comprehensive error handling and logging
  */
 
+const crypto = require('crypto');
 const { query, getClient } = require('../config/database');
 const logger = require('../utils/logger');
 
+// Tenant columns returned by getTenant() and listTenants()
+const TENANT_COLUMNS = `id, slug, name, status, opensearch_arn, opensearch_status, opensearch_kms_key_arn, 
+       opensearch_network_mode, opensearch_region, opensearch_role_arn, opensearch_endpoint, 
+       opensearch_collection_name, opensearch_collection_id, opensearch_policy_names, 
+       opensearch_provisioned_at, opensearch_failure`;
+
+// Outbox event published when a tenant's OpenSearch status changes to the key's value
+const OUTBOX_EVENT_TYPES = {
+  ready: 'tenant.opensearch.ready',
+  failed: 'tenant.opensearch.failed'
+};
+
+// Longest wait between attempts to publish an outbox event
+const OUTBOX_MAX_BACKOFF_SECONDS = 300;
+
+/**
+ * Describes a failure for the tenant row and status history
+ * The failing step and its attempt count are attached to the error by ProvisioningTracker;
+ * AWS SDK errors carry the request id in $metadata
+ * 
+ * @param {Error|string} error - Error or error description
+ * @param {object} context - Additional context
+ * @param {number|null} context.attempts - Times the message was received
+ * @param {boolean} context.deadLettered - Whether retries are exhausted
+ * @returns {object} Failure details
+ */
+function describeFailure(error, { attempts = null, deadLettered = false } = {}) {
+  const isError = error instanceof Error;
+
+  return {
+    errorClass: isError ? error.name : null,
+    message: isError ? error.message : String(error),
+    step: (isError && error.provisioningStep) || null,
+    stepAttempts: (isError && error.stepAttempts) || null,
+    awsRequestId: (isError && (error.$metadata?.requestId || error.requestId)) || null,
+    httpStatusCode: (isError && (error.$metadata?.httpStatusCode || error.statusCode)) || null,
+    attempts,
+    deadLettered,
+    failedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Writes a provisioning event to the outbox using the caller's transaction
+ * 
+ * @param {object} client - Database client with an open transaction
+ * @param {string} eventType - Event type (see OUTBOX_EVENT_TYPES)
+ * @param {object} tenant - Updated tenant record
+ * @param {object} extra - Additional event data, e.g. the error of a failed event
+ * @returns {Promise<string>} Event id
+ */
+async function insertOutboxEvent(client, eventType, tenant, extra = {}) {
+  const eventId = crypto.randomUUID();
+  const event = {
+    id: eventId,
+    type: eventType,
+    occurred_at: new Date().toISOString(),
+    tenant_id: tenant.id,
+    data: {
+      tenant_slug: tenant.slug,
+      opensearch_status: tenant.opensearch_status,
+      opensearch_arn: tenant.opensearch_arn,
+      opensearch_endpoint: tenant.opensearch_endpoint,
+      opensearch_collection_name: tenant.opensearch_collection_name,
+      opensearch_collection_id: tenant.opensearch_collection_id,
+      opensearch_region: tenant.opensearch_region,
+      opensearch_kms_key_arn: tenant.opensearch_kms_key_arn,
+      ...extra
+    }
+  };
+
+  await client.query(
+    `INSERT INTO public.tenant_opensearch_outbox (event_id, tenant_id, event_type, payload) 
+     VALUES ($1, $2, $3, $4)`,
+    [eventId, tenant.id, eventType, JSON.stringify(event)]
+  );
+
+  logger.debug('Outbox event written', { tenantId: tenant.id, eventId, eventType });
+  return eventId;
+}
+
 class DatabaseService {
   /**
    * Retrieves tenant information from the database
@@ -25,7 +107,7 @@ class DatabaseService {
       logger.debug('Fetching tenant from database', { tenantId });
 
       const result = await query(
-        'SELECT id, slug, name, status, opensearch_arn, opensearch_status FROM public.accreda_tenants WHERE id = $1',
+        `SELECT ${TENANT_COLUMNS} FROM public.accreda_tenants WHERE id = $1`,
         [tenantId]
       );
 
@@ -41,6 +123,24 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Retrieves all tenants with their OpenSearch details
+   * 
+   * @returns {Promise<Array<object>>} Tenant records
+   */
+  async listTenants() {
+    try {
+      const result = await query(
+        `SELECT ${TENANT_COLUMNS} FROM public.accreda_tenants ORDER BY slug`
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to list tenants', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Validates that tenant is in a valid state for OpenSearch provisioning
    * 
@@ -71,36 +171,115 @@ class DatabaseService {
     return { isValid: true, message: 'Tenant is valid for provisioning' };
   }
 
+  /**
+   * Validates that tenant is in a valid state for OpenSearch deprovisioning
+   * Tenant status is not checked since offboarded tenants are usually no longer active
+   * 
+   * @param {object} tenant - Tenant record
+   * @returns {object} Validation result with isValid and message
+   */
+  validateTenantForDeprovisioning(tenant) {
+    if (!tenant) {
+      return { isValid: false, message: 'Tenant not found' };
+    }
+
+    if (tenant.opensearch_status === 'deleted' && !tenant.opensearch_arn) {
+      return { isValid: false, message: 'Tenant OpenSearch collection is already deleted' };
+    }
+
+    return { isValid: true, message: 'Tenant is valid for deprovisioning' };
+  }
+
   /**
    * Updates tenant record with OpenSearch collection ARN and status
    * 
    * @param {string} tenantId - Tenant UUID
    * @param {string} opensearchArn - OpenSearch collection ARN
    * @param {string} status - OpenSearch status (default: 'ready')
+   * @param {object} details - Additional collection details
+   * @param {string|null} details.kmsKeyArn - Customer-managed KMS key protecting the collection;
+   *   left unchanged when not provided
+   * @param {string|null} details.region - Region the collection was placed in;
+   *   region and role are left unchanged when not provided
+   * @param {string|null} details.roleArn - Role assumed to reach the collection's account, null for
+   *   the service's own account
+   * @param {string|null} details.endpoint - Collection endpoint
+   * @param {string|null} details.collectionName - Collection name
+   * @param {string|null} details.collectionId - Collection id
+   * @param {object|null} details.policyNames - Encryption, network and data access policy names
    * @returns {Promise<object>} Updated tenant record
+   * 
+   * A tenant.opensearch.ready event is written to the outbox in the same transaction
+   * when the status becomes 'ready' or the collection ARN of a ready tenant changes,
+   * and the tenant's automatic retry state is reset.
    */
-  async updateTenantOpenSearch(tenantId, opensearchArn, status = 'ready') {
+  async updateTenantOpenSearch(
+    tenantId,
+    opensearchArn,
+    status = 'ready',
+    {
+      kmsKeyArn = null,
+      region = null,
+      roleArn = null,
+      endpoint = null,
+      collectionName = null,
+      collectionId = null,
+      policyNames = null
+    } = {}
+  ) {
     const client = await getClient();
     
     try {
       logger.info('Updating tenant OpenSearch configuration', {
         tenantId,
         opensearchArn,
-        status
+        status,
+        kmsKeyArn,
+        region,
+        roleArn
       });
 
       // Start transaction for atomic update
       await client.query('BEGIN');
 
+      // Lock the row and read the values that decide whether an event is due
+      const previousResult = await client.query(
+        `SELECT opensearch_status, opensearch_arn FROM public.accreda_tenants WHERE id = $1 FOR UPDATE`,
+        [tenantId]
+      );
+      const previous = previousResult.rows[0] || {};
+
       // Update tenant record
       const updateResult = await client.query(
         `UPDATE public.accreda_tenants 
          SET opensearch_arn = $1, 
              opensearch_status = $2, 
+             opensearch_kms_key_arn = COALESCE($4, opensearch_kms_key_arn), 
+             opensearch_region = COALESCE($5, opensearch_region), 
+             opensearch_role_arn = CASE WHEN $5::text IS NULL THEN opensearch_role_arn ELSE $6 END, 
+             opensearch_endpoint = COALESCE($7, opensearch_endpoint), 
+             opensearch_collection_name = COALESCE($8, opensearch_collection_name), 
+             opensearch_collection_id = COALESCE($9, opensearch_collection_id), 
+             opensearch_policy_names = COALESCE($10, opensearch_policy_names), 
+             opensearch_provisioned_at = CASE 
+               WHEN $2 = 'ready' AND (opensearch_provisioned_at IS NULL OR opensearch_arn IS DISTINCT FROM $1) 
+               THEN NOW() ELSE opensearch_provisioned_at END, 
+             opensearch_failure = CASE WHEN $2 = 'ready' THEN NULL ELSE opensearch_failure END, 
              updated_at = NOW() 
          WHERE id = $3 
-         RETURNING id, slug, name, opensearch_arn, opensearch_status, updated_at`,
-        [opensearchArn, status, tenantId]
+         RETURNING ${TENANT_COLUMNS}, updated_at`,
+        [
+          opensearchArn,
+          status,
+          tenantId,
+          kmsKeyArn,
+          region,
+          roleArn,
+          endpoint,
+          collectionName,
+          collectionId,
+          policyNames ? JSON.stringify(policyNames) : null
+        ]
       );
 
       if (updateResult.rows.length === 0) {
@@ -108,16 +287,31 @@ class DatabaseService {
         throw new Error('Tenant not found or update failed');
       }
 
+      const updatedTenant = updateResult.rows[0];
+
+      if (
+        OUTBOX_EVENT_TYPES[status] &&
+        (previous.opensearch_status !== status || previous.opensearch_arn !== opensearchArn)
+      ) {
+        await insertOutboxEvent(client, OUTBOX_EVENT_TYPES[status], updatedTenant);
+      }
+
+      // A ready tenant needs no more automatic retries; a later failure starts counting again
+      if (status === 'ready') {
+        await client.query('DELETE FROM public.tenant_opensearch_retries WHERE tenant_id = $1', [tenantId]);
+      }
+
       // Commit transaction
       await client.query('COMMIT');
-
-      const updatedTenant = updateResult.rows[0];
       
       logger.info('Tenant OpenSearch configuration updated successfully', {
         tenantId: updatedTenant.id,
         tenantSlug: updatedTenant.slug,
         opensearchArn: updatedTenant.opensearch_arn,
-        opensearchStatus: updatedTenant.opensearch_status
+        opensearchStatus: updatedTenant.opensearch_status,
+        kmsKeyArn: updatedTenant.opensearch_kms_key_arn,
+        region: updatedTenant.opensearch_region,
+        endpoint: updatedTenant.opensearch_endpoint
       });
 
       return updatedTenant;
@@ -137,35 +331,605 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Records where a tenant's collection is being created before any AWS call
+   * A retry without the original message then resolves the same region, role and key,
+   * so resumed steps never mix two placements. The key is left unchanged when null
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} placement - Resolved placement and key
+   * @param {string} placement.region - Region
+   * @param {string|null} placement.roleArn - Role assumed to reach the collection's account
+   * @param {string|null} placement.kmsKeyArn - Customer-managed KMS key
+   * @returns {Promise<object>} Updated tenant record
+   */
+  async recordTenantPlacement(tenantId, { region, roleArn = null, kmsKeyArn = null }) {
+    try {
+      const result = await query(
+        `UPDATE public.accreda_tenants 
+         SET opensearch_region = $2, 
+             opensearch_role_arn = $3, 
+             opensearch_kms_key_arn = COALESCE($4, opensearch_kms_key_arn), 
+             updated_at = NOW() 
+         WHERE id = $1 
+         RETURNING ${TENANT_COLUMNS}, updated_at`,
+        [tenantId, region, roleArn, kmsKeyArn]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Tenant not found or update failed');
+      }
+
+      logger.info('Recorded tenant OpenSearch placement', { tenantId, region, roleArn, kmsKeyArn });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to record tenant OpenSearch placement', {
+        tenantId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Updates tenant OpenSearch status to 'failed' in case of errors
+   * The failure details are stored in opensearch_failure, and the change is added to
+   * tenant_opensearch_status_history by a database trigger.
+   * A tenant.opensearch.failed event is written to the outbox in the same transaction
+   * when the tenant was not already failed, so retries of one failure publish it once
    * 
    * @param {string} tenantId - Tenant UUID
-   * @param {string} errorMessage - Error description
+   * @param {Error|string} error - Error that failed the action, or an error description
+   * @param {object} context - Additional context
+   * @param {number|null} context.attempts - Times the message was received
+   * @param {boolean} context.deadLettered - Whether retries are exhausted
    * @returns {Promise<void>}
    */
-  async markTenantOpenSearchFailed(tenantId, errorMessage) {
+  async markTenantOpenSearchFailed(tenantId, error, context = {}) {
+    const failure = describeFailure(error, context);
+    let client;
+
     try {
-      logger.warn('Marking tenant OpenSearch as failed', { tenantId, errorMessage });
+      logger.warn('Marking tenant OpenSearch as failed', { tenantId, failure });
 
-      await query(
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const previousResult = await client.query(
+        `SELECT opensearch_status FROM public.accreda_tenants WHERE id = $1 FOR UPDATE`,
+        [tenantId]
+      );
+
+      const result = await client.query(
         `UPDATE public.accreda_tenants 
          SET opensearch_status = $1, 
+             opensearch_failure = $3, 
              updated_at = NOW() 
-         WHERE id = $2`,
-        ['failed', tenantId]
+         WHERE id = $2 
+         RETURNING ${TENANT_COLUMNS}`,
+        ['failed', tenantId, JSON.stringify(failure)]
       );
 
+      if (result.rows.length > 0 && previousResult.rows[0].opensearch_status !== 'failed') {
+        await insertOutboxEvent(client, OUTBOX_EVENT_TYPES.failed, result.rows[0], {
+          error: failure.message,
+          failure
+        });
+      }
+
+      await client.query('COMMIT');
+
       logger.info('Tenant OpenSearch status marked as failed', { tenantId });
-    } catch (error) {
+    } catch (dbError) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+
       logger.error('Failed to mark tenant OpenSearch as failed', {
         tenantId,
-        error: error.message
+        error: dbError.message
       });
       // Don't throw - this is a best-effort operation
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Clears the tenant's OpenSearch ARN and collection details and sets status to 'deleted'
+   * Region and role are kept, as they also select where a new collection is placed;
+   * the automatic retry state is reset
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<object>} Updated tenant record
+   */
+  async markTenantOpenSearchDeleted(tenantId) {
+    try {
+      logger.info('Marking tenant OpenSearch as deleted', { tenantId });
+
+      const result = await query(
+        `WITH cleared_retries AS ( 
+           DELETE FROM public.tenant_opensearch_retries WHERE tenant_id = $2 
+         ) 
+         UPDATE public.accreda_tenants 
+         SET opensearch_arn = NULL, 
+             opensearch_status = $1, 
+             opensearch_endpoint = NULL, 
+             opensearch_collection_name = NULL, 
+             opensearch_collection_id = NULL, 
+             opensearch_policy_names = NULL, 
+             opensearch_provisioned_at = NULL, 
+             opensearch_failure = NULL, 
+             updated_at = NOW() 
+         WHERE id = $2 
+         RETURNING ${TENANT_COLUMNS}, updated_at`,
+        ['deleted', tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Tenant not found or update failed');
+      }
+
+      logger.info('Tenant OpenSearch status marked as deleted', { tenantId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to mark tenant OpenSearch as deleted', {
+        tenantId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a tenant's OpenSearch status changes, most recent first
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Options
+   * @param {number} options.limit - Maximum number of entries (default: 50)
+   * @returns {Promise<Array<object>>} Status history entries
+   */
+  async getStatusHistory(tenantId, { limit = 50 } = {}) {
+    try {
+      const result = await query(
+        `SELECT from_status, to_status, opensearch_arn, failure, changed_at 
+         FROM public.tenant_opensearch_status_history 
+         WHERE tenant_id = $1 
+         ORDER BY changed_at DESC, id DESC 
+         LIMIT $2`,
+        [tenantId, limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to fetch status history', { tenantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves recorded provisioning steps for a tenant
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array<object>>} Step records in execution order
+   */
+  async getProvisioningSteps(tenantId) {
+    try {
+      const result = await query(
+        `SELECT step, status, details, error, attempts, started_at, completed_at, updated_at 
+         FROM public.tenant_opensearch_provisioning_steps 
+         WHERE tenant_id = $1 
+         ORDER BY started_at`,
+        [tenantId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to fetch provisioning steps', { tenantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Records the status of a provisioning step
+   * Starting a step increments its attempt count; completing it stores its result
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} step - Step name
+   * @param {string} status - 'in_progress', 'completed' or 'failed'
+   * @param {object} options - Step outcome
+   * @param {object} options.details - JSON-serializable step result
+   * @param {string} options.error - Error description for failed steps
+   * @returns {Promise<object>} Step record
+   */
+  async recordProvisioningStep(tenantId, step, status, { details = null, error = null } = {}) {
+    try {
+      logger.debug('Recording provisioning step', { tenantId, step, status });
+
+      const result = await query(
+        `INSERT INTO public.tenant_opensearch_provisioning_steps 
+           (tenant_id, step, status, details, error, attempts, started_at, completed_at, updated_at) 
+         VALUES ($1, $2, $3, $4, $5, 1, NOW(), CASE WHEN $6 THEN NOW() END, NOW()) 
+         ON CONFLICT (tenant_id, step) DO UPDATE 
+         SET status = EXCLUDED.status, 
+             details = COALESCE(EXCLUDED.details, tenant_opensearch_provisioning_steps.details), 
+             error = EXCLUDED.error, 
+             attempts = tenant_opensearch_provisioning_steps.attempts + 
+                        CASE WHEN EXCLUDED.status = 'in_progress' THEN 1 ELSE 0 END, 
+             started_at = CASE WHEN EXCLUDED.status = 'in_progress' THEN NOW() 
+                               ELSE tenant_opensearch_provisioning_steps.started_at END, 
+             completed_at = EXCLUDED.completed_at, 
+             updated_at = NOW() 
+         RETURNING step, status, details, error, attempts, started_at, completed_at, updated_at`,
+        [
+          tenantId,
+          step,
+          status,
+          details === null ? null : JSON.stringify(details),
+          error,
+          status === 'completed'
+        ]
+      );
+
+      return result.rows[0];
+    } catch (dbError) {
+      logger.error('Failed to record provisioning step', {
+        tenantId,
+        step,
+        status,
+        error: dbError.message
+      });
+      throw dbError;
+    }
+  }
+
+  /**
+   * Refreshes the updated_at of a step that is still in progress
+   * Long steps call this while they wait, so their tenant is not taken for stuck
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} step - Step name
+   * @returns {Promise<void>}
+   */
+  async touchProvisioningStep(tenantId, step) {
+    try {
+      await query(
+        `UPDATE public.tenant_opensearch_provisioning_steps 
+         SET updated_at = NOW() 
+         WHERE tenant_id = $1 AND step = $2 AND status = 'in_progress'`,
+        [tenantId, step]
+      );
+    } catch (error) {
+      logger.error('Failed to touch provisioning step', { tenantId, step, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Removes all recorded provisioning steps for a tenant
+   * Called after deprovisioning so a later provisioning run starts from scratch
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async clearProvisioningSteps(tenantId) {
+    try {
+      await query(
+        'DELETE FROM public.tenant_opensearch_provisioning_steps WHERE tenant_id = $1',
+        [tenantId]
+      );
+
+      logger.info('Cleared provisioning steps', { tenantId });
+    } catch (error) {
+      logger.error('Failed to clear provisioning steps', { tenantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lists tenants the retry scheduler may reprovision, oldest due first
+   * - failed tenants that have been retried before, once their backoff has elapsed
+   * - other failed tenants once their message was dead-lettered, or stuckAfterMinutes after the failure
+   * - initializing tenants whose provisioning steps made no progress for stuckAfterMinutes
+   * Tenants with a collection, inactive tenants, tenants out of attempts and tenants with a
+   * step in progress that made progress within stuckAfterMinutes (provisioning elsewhere) are excluded.
+   * Whether the failure is worth retrying is decided by the caller.
+   * 
+   * @param {object} options - Selection options
+   * @param {number} options.stuckAfterMinutes - Time without progress before a tenant is picked up
+   * @param {number} options.maxAttempts - Maximum automatic retries per tenant
+   * @returns {Promise<Array<object>>} Tenant records with retry_attempts and retry_last_error
+   */
+  async listRetryCandidates({ stuckAfterMinutes, maxAttempts }) {
+    try {
+      const result = await query(
+        `SELECT ${TENANT_COLUMNS}, 
+                COALESCE(r.attempts, 0) AS retry_attempts, 
+                r.last_error AS retry_last_error 
+         FROM public.accreda_tenants t 
+         LEFT JOIN public.tenant_opensearch_retries r ON r.tenant_id = t.id 
+         WHERE t.status = 'active' 
+           AND t.opensearch_arn IS NULL 
+           AND NOT EXISTS ( 
+             SELECT 1 FROM public.tenant_opensearch_provisioning_steps s 
+             WHERE s.tenant_id = t.id 
+               AND s.status = 'in_progress' 
+               AND s.updated_at >= NOW() - make_interval(mins => $1) 
+           ) 
+           AND CASE 
+             WHEN r.tenant_id IS NOT NULL THEN 
+               t.opensearch_status IN ('failed', 'initializing') 
+               AND r.attempts < $2 
+               AND r.next_attempt_at <= NOW() 
+             WHEN t.opensearch_status = 'failed' THEN 
+               (t.opensearch_failure->>'deadLettered')::boolean IS TRUE 
+               OR (t.opensearch_failure->>'failedAt')::timestamptz < NOW() - make_interval(mins => $1) 
+             WHEN t.opensearch_status = 'initializing' THEN 
+               ( 
+                 SELECT MAX(s.updated_at) FROM public.tenant_opensearch_provisioning_steps s 
+                 WHERE s.tenant_id = t.id 
+               ) < NOW() - make_interval(mins => $1) 
+             ELSE FALSE 
+           END 
+         ORDER BY COALESCE(r.next_attempt_at, t.updated_at)`,
+        [stuckAfterMinutes, maxAttempts]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to list retry candidates', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claims the next retry of a tenant
+   * Counts the attempt and leases the tenant until leaseMinutes from now, so other
+   * tasks skip it while it is being reprovisioned. Automatic retries also wait for
+   * the backoff and stop at maxAttempts; operator retries (ignoreBackoff) only wait
+   * for a lease held by another task
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Claim options
+   * @param {number|null} options.maxAttempts - Maximum retries per tenant, or null for no limit
+   * @param {number} options.leaseMinutes - How long the claim excludes other tasks
+   * @param {boolean} options.ignoreBackoff - Claim before next_attempt_at (operator retries)
+   * @returns {Promise<number|null>} Attempt number, or null if not claimed
+   */
+  async claimTenantRetry(tenantId, { maxAttempts = null, leaseMinutes, ignoreBackoff = false }) {
+    try {
+      const result = await query(
+        `INSERT INTO public.tenant_opensearch_retries 
+           (tenant_id, attempts, last_attempt_at, next_attempt_at, leased_until, updated_at) 
+         VALUES ($1, 1, NOW(), NOW() + make_interval(mins => $3), NOW() + make_interval(mins => $3), NOW()) 
+         ON CONFLICT (tenant_id) DO UPDATE 
+         SET attempts = tenant_opensearch_retries.attempts + 1, 
+             last_attempt_at = NOW(), 
+             next_attempt_at = EXCLUDED.next_attempt_at, 
+             leased_until = EXCLUDED.leased_until, 
+             updated_at = NOW() 
+         WHERE ($2::int IS NULL OR tenant_opensearch_retries.attempts < $2) 
+           AND (tenant_opensearch_retries.leased_until IS NULL OR tenant_opensearch_retries.leased_until <= NOW()) 
+           AND ($4 OR tenant_opensearch_retries.next_attempt_at <= NOW()) 
+         RETURNING attempts`,
+        [tenantId, maxAttempts, leaseMinutes, ignoreBackoff]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].attempts : null;
+    } catch (error) {
+      logger.error('Failed to claim tenant retry', { tenantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Records a failed retry, releases its lease and schedules the next one
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {Error} error - Provisioning error
+   * @param {object} options - Scheduling options
+   * @param {number} options.delaySeconds - Backoff before the next attempt (see retryDelaySeconds)
+   * @returns {Promise<object|null>} Retry state (attempts, next_attempt_at)
+   */
+  async recordTenantRetryFailure(tenantId, error, { delaySeconds }) {
+    try {
+      const result = await query(
+        `UPDATE public.tenant_opensearch_retries 
+         SET last_error = $2, 
+             next_attempt_at = NOW() + make_interval(secs => $3), 
+             leased_until = NULL, 
+             updated_at = NOW() 
+         WHERE tenant_id = $1 
+         RETURNING attempts, next_attempt_at`,
+        [tenantId, `${error.name}: ${error.message}`, delaySeconds]
+      );
+
+      return result.rows[0] || null;
+    } catch (dbError) {
+      logger.error('Failed to record tenant retry failure', { tenantId, error: dbError.message });
+      throw dbError;
+    }
+  }
+
+  /**
+   * Retrieves a tenant's automatic retry state
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<object|null>} Retry state or null if the tenant was never retried automatically
+   */
+  async getTenantRetry(tenantId) {
+    try {
+      const result = await query(
+        `SELECT attempts, next_attempt_at, leased_until, last_attempt_at, last_error, updated_at 
+         FROM public.tenant_opensearch_retries 
+         WHERE tenant_id = $1`,
+        [tenantId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to fetch tenant retry state', { tenantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Publishes pending outbox events through the given callback
+   * Claims the oldest unpublished event of up to `limit` tenants with
+   * FOR UPDATE SKIP LOCKED, so concurrent publishers never send the same event
+   * and a tenant's events are delivered in order. Failed events are retried with
+   * exponential backoff and hold back that tenant's later events.
+   * 
+   * @param {number} limit - Maximum number of events to publish
+   * @param {Function} publish - Async callback receiving the stored event
+   * @returns {Promise<object>} Counts of claimed, published and failed events
+   */
+  async processOutboxEvents(limit, publish) {
+    const client = await getClient();
+    const counts = { claimed: 0, published: 0, failed: 0 };
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, event_id, tenant_id, event_type, payload, attempts 
+         FROM public.tenant_opensearch_outbox o 
+         WHERE published_at IS NULL 
+           AND next_attempt_at <= NOW() 
+           AND NOT EXISTS ( 
+             SELECT 1 FROM public.tenant_opensearch_outbox earlier 
+             WHERE earlier.tenant_id = o.tenant_id 
+               AND earlier.published_at IS NULL 
+               AND earlier.id < o.id 
+           ) 
+         ORDER BY id 
+         LIMIT $1 
+         FOR UPDATE SKIP LOCKED`,
+        [limit]
+      );
+      counts.claimed = result.rows.length;
+
+      for (const row of result.rows) {
+        try {
+          await publish(row);
+          await client.query(
+            `UPDATE public.tenant_opensearch_outbox 
+             SET published_at = NOW(), attempts = attempts + 1, last_error = NULL 
+             WHERE id = $1`,
+            [row.id]
+          );
+          counts.published++;
+        } catch (error) {
+          logger.warn('Failed to publish outbox event', {
+            tenantId: row.tenant_id,
+            eventId: row.event_id,
+            eventType: row.event_type,
+            attempts: row.attempts + 1,
+            error: error.message
+          });
+          await client.query(
+            `UPDATE public.tenant_opensearch_outbox 
+             SET attempts = attempts + 1, 
+                 last_error = $2, 
+                 next_attempt_at = NOW() + make_interval(secs => LEAST(POWER(2, attempts), $3)) 
+             WHERE id = $1`,
+            [row.id, error.message, OUTBOX_MAX_BACKOFF_SECONDS]
+          );
+          counts.failed++;
+        }
+      }
+
+      await client.query('COMMIT');
+      return counts;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to process outbox events', { error: error.message });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Appends an entry to the provisioning audit log
+   * 
+   * @param {object} event - Audit entry (see AuditService.run)
+   * @returns {Promise<string>} Id of the new entry
+   */
+  async recordAuditEvent(event) {
+    try {
+      const result = await query(
+        `INSERT INTO public.tenant_opensearch_audit_log 
+           (tenant_id, action, message_id, actor, source, outcome, error, 
+            started_at, completed_at, duration_ms, aws_calls, policies, response, details) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
+         RETURNING id`,
+        [
+          event.tenantId,
+          event.action,
+          event.messageId,
+          event.actor,
+          event.source,
+          event.outcome,
+          event.error,
+          event.startedAt,
+          event.completedAt,
+          event.durationMs,
+          JSON.stringify(event.awsCalls || []),
+          JSON.stringify(event.policies || []),
+          event.response === undefined || event.response === null ? null : JSON.stringify(event.response),
+          JSON.stringify(event.details || {})
+        ]
+      );
+
+      logger.debug('Recorded audit log entry', {
+        tenantId: event.tenantId,
+        action: event.action,
+        outcome: event.outcome,
+        awsCalls: (event.awsCalls || []).length
+      });
+
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to record audit log entry', {
+        tenantId: event.tenantId,
+        action: event.action,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a tenant's audit log in chronological order
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Filters
+   * @param {Date|null} options.since - Only entries started at or after this time
+   * @param {Date|null} options.until - Only entries started before this time
+   * @returns {Promise<Array<object>>} Audit log entries
+   */
+  async getAuditLog(tenantId, { since = null, until = null } = {}) {
+    try {
+      const result = await query(
+        `SELECT id, tenant_id, action, message_id, actor, source, outcome, error, 
+                started_at, completed_at, duration_ms, aws_calls, policies, response, details 
+         FROM public.tenant_opensearch_audit_log 
+         WHERE tenant_id = $1 
+           AND ($2::timestamptz IS NULL OR started_at >= $2) 
+           AND ($3::timestamptz IS NULL OR started_at < $3) 
+         ORDER BY started_at, id`,
+        [tenantId, since, until]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to fetch audit log', { tenantId, error: error.message });
+      throw error;
     }
   }
 }
 
 module.exports = DatabaseService;
-
@@ -0,0 +1,142 @@
+/**
+ * Message Router
+ * 
+ * Dispatches SQS messages to handlers registered per action, so provisioning,
+ * deprovisioning and other tenant operations can share a single queue.
+ * The action is read from the message's `action` field (or `type` as an alias).
+ * Messages without either are routed to the default 'provision' action for
+ * backward compatibility with the original message format.
+ * 
+ * Security Features:
+ * - Per-action schema validation before any handler runs
+ * - Unknown actions are rejected rather than silently ignored
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_ACTION = 'provision';
+
+// Fields every tenant message has carried since the original format
+const DEFAULT_REQUIRED_FIELDS = ['tenant_id', 'tenant_slug', 'timestamp'];
+
+// Format checks applied to well-known fields whenever they are present.
+// Values must be strings: RegExp.test() would otherwise match null or numbers by their text.
+const FIELD_VALIDATORS = {
+  // UUID format for tenant_id
+  tenant_id: value => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  // DNS-compatible tenant_slug
+  tenant_slug: value => typeof value === 'string' && /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/.test(value)
+};
+
+class MessageRouter {
+  constructor() {
+    this.routes = new Map();
+  }
+
+  /**
+   * Registers a handler for an action
+   * 
+   * @param {string} action - Action name (e.g. 'provision', 'deprovision')
+   * @param {Function} handler - Async function receiving the parsed message body and delivery context
+   * @param {object} options - Schema options
+   * @param {Array<string>} options.requiredFields - Fields that must be present and non-empty
+   * @param {Function} options.validate - Optional extra check returning an error message or null
+   * @returns {MessageRouter} The router, for chaining
+   */
+  register(action, handler, { requiredFields = DEFAULT_REQUIRED_FIELDS, validate = null } = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for action '${action}' must be a function`);
+    }
+
+    if (this.routes.has(action)) {
+      throw new Error(`Handler for action '${action}' is already registered`);
+    }
+
+    this.routes.set(action, { handler, requiredFields, validate });
+    logger.debug('Registered message handler', { action });
+    return this;
+  }
+
+  /**
+   * Lists the registered action names
+   * 
+   * @returns {Array<string>} Action names
+   */
+  getActions() {
+    return Array.from(this.routes.keys());
+  }
+
+  /**
+   * Resolves the action of a message body
+   * 
+   * @param {object} messageBody - Parsed message body
+   * @returns {string} Action name
+   */
+  getAction(messageBody) {
+    return messageBody.action || messageBody.type || DEFAULT_ACTION;
+  }
+
+  /**
+   * Validates a message body against the schema of its action
+   * 
+   * @param {object} messageBody - Parsed message body
+   * @returns {boolean} True if valid
+   */
+  validateMessage(messageBody) {
+    if (!messageBody || typeof messageBody !== 'object') {
+      logger.warn('Invalid message body: not an object');
+      return false;
+    }
+
+    const action = this.getAction(messageBody);
+    const route = this.routes.get(action);
+    if (!route) {
+      logger.warn('Invalid message body: unknown action', { action });
+      return false;
+    }
+
+    for (const field of route.requiredFields) {
+      if (!messageBody[field]) {
+        logger.warn(`Invalid message body: missing field '${field}'`, { action });
+        return false;
+      }
+    }
+
+    for (const [field, isValid] of Object.entries(FIELD_VALIDATORS)) {
+      if (messageBody[field] !== undefined && !isValid(messageBody[field])) {
+        logger.warn(`Invalid ${field} format`, { action, [field]: messageBody[field] });
+        return false;
+      }
+    }
+
+    if (route.validate) {
+      const errorMessage = route.validate(messageBody);
+      if (errorMessage) {
+        logger.warn('Invalid message body', { action, reason: errorMessage });
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Dispatches a validated message body to its action handler
+   * 
+   * @param {object} messageBody - Parsed message body
+   * @param {object} context - Delivery details passed to the handler (e.g. messageId, receiveCount)
+   * @returns {Promise<void>}
+   */
+  async dispatch(messageBody, context = {}) {
+    const action = this.getAction(messageBody);
+    const route = this.routes.get(action);
+
+    if (!route) {
+      throw new Error(`No handler registered for action '${action}'`);
+    }
+
+    await route.handler(messageBody, context);
+  }
+}
+
+module.exports = MessageRouter;
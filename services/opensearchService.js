@@ -1,7 +1,8 @@
 /**
  * OpenSearch Serverless Service
  * 
- * Handles creation and configuration of OpenSearch Serverless collections for tenants.
+ * Handles creation, configuration, policy updates and teardown of OpenSearch Serverless
+ * collections for tenants.
  * Each tenant gets a dedicated collection for data isolation and security.
  * 
  * Security Features:
@@ -10,6 +11,15 @@
  * - Network access policies
  * - Data access policies with least privilege
  * 
+ * Placement:
+ * - Collections live in the service region and account unless the tenant or message
+ *   selects another allowed region, or an allow-listed role in another account
+ * - forPlacement() returns an instance with its own client for that region and role
+ * 
+ * Planning:
+ * - planCollection() renders the requests createCollection would send and compares
+ *   them with existing resources, using read-only calls
+ * 
  * FedRAMP Compliance:
  * - Encryption enabled by default
  * - Comprehensive audit logging via CloudWatch
@@ -21,18 +31,157 @@ const {
   CreateCollectionCommand,
   CreateAccessPolicyCommand,
   CreateSecurityPolicyCommand,
-  BatchGetCollectionCommand
+  BatchGetCollectionCommand,
+  DeleteCollectionCommand,
+  DeleteAccessPolicyCommand,
+  DeleteSecurityPolicyCommand,
+  ListTagsForResourceCommand,
+  ListCollectionsCommand,
+  ListSecurityPoliciesCommand,
+  ListAccessPoliciesCommand,
+  GetSecurityPolicyCommand,
+  GetAccessPolicyCommand,
+  UpdateSecurityPolicyCommand,
+  UpdateAccessPolicyCommand
 } = require('@aws-sdk/client-opensearchserverless');
+const { fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
+const VectorIndexService = require('./vectorIndexService');
 const logger = require('../utils/logger');
+const { createAuditMiddleware } = require('../utils/auditContext');
+const metrics = require('../utils/metrics');
+const { diffJson } = require('../utils/jsonDiff');
+
+const config = require('../config');
+
+// Region, account, default KMS key and network settings (see config/index.js)
+const OPENSEARCH_CONFIG = config.opensearch;
+
+const NETWORK_MODES = ['public', 'private'];
+
+// Interval between collection status checks while waiting for a collection
+const COLLECTION_POLL_INTERVAL_SECONDS = 30;
+
+// Data access policy principals and permission sets
+const ACCESS_POLICY_CONFIG = config.opensearch.accessPolicy;
+
+// IAM principals accepted in data access policies (account root, roles and users)
+const PRINCIPAL_ARN_REGEX = /^arn:aws[a-z-]*:iam::\d{12}:(root|role\/[\w+=,.@\/-]+|user\/[\w+=,.@\/-]+)$/;
 
-const OPENSEARCH_CONFIG = {
-  region: 'us-east-1',
-  accountId: '625867133463'
-};
+// Full KMS key ARN (aliases are not accepted by encryption policies)
+const KMS_KEY_ARN_REGEX = /^arn:aws[a-z-]*:kms:([a-z0-9-]+):\d{12}:key\/(mrk-)?[a-f0-9-]+$/;
 
 class OpenSearchService {
-  constructor() {
-    this.client = new OpenSearchServerlessClient({ region: OPENSEARCH_CONFIG.region });
+  /**
+   * @param {object} placement - Where this instance manages collections (default: service region and account)
+   * @param {string} placement.region - AWS region
+   * @param {string|null} placement.roleArn - Role to assume for collections in another account
+   */
+  constructor({ region = OPENSEARCH_CONFIG.region, roleArn = null } = {}) {
+    this.region = region;
+    this.roleArn = roleArn;
+    this.accountId = roleArn ? roleArn.split(':')[4] : OPENSEARCH_CONFIG.accountId;
+    this.client = new OpenSearchServerlessClient({
+      region,
+      // Optional endpoint override for local stand-ins
+      ...(OPENSEARCH_CONFIG.endpoint && { endpoint: OPENSEARCH_CONFIG.endpoint }),
+      ...(roleArn && {
+        credentials: fromTemporaryCredentials({
+          params: { RoleArn: roleArn, RoleSessionName: 'tenant-opensearch-service' },
+          clientConfig: { region }
+        })
+      })
+    });
+    // Record every API call and policy document in the current action's audit entry
+    this.client.middlewareStack.add(createAuditMiddleware('opensearchserverless'), {
+      step: 'initialize',
+      name: 'auditMiddleware'
+    });
+    this.client.middlewareStack.add(metrics.createMetricsMiddleware('opensearchserverless'), {
+      step: 'initialize',
+      name: 'metricsMiddleware'
+    });
+    // Data plane requests are signed with the same credentials as the control plane
+    this.vectorIndexService = new VectorIndexService({ region, credentials: this.client.config.credentials });
+    // Services for other placements, created on first use and reused afterwards
+    this.placements = new Map();
+  }
+
+  /**
+   * Resolves where a tenant collection lives
+   * Precedence: explicit placement (message), tenant configuration, service default
+   * 
+   * @param {...(object|null)} candidates - Candidate { region, roleArn } objects in order of precedence
+   * @returns {object} Placement with region and roleArn (null for the service's own account)
+   * @throws {Error} InvalidPlacementError if the region or role is not allowed
+   */
+  resolvePlacement(...candidates) {
+    // Region and role are taken together from the first candidate that sets either
+    const selected = candidates.find(candidate => candidate?.region || candidate?.roleArn) || {};
+    const region = selected.region || OPENSEARCH_CONFIG.region;
+    const roleArn = selected.roleArn || null;
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.name = 'InvalidPlacementError';
+      throw error;
+    };
+
+    if (!OPENSEARCH_CONFIG.allowedRegions.includes(region)) {
+      fail(`Region '${region}' is not allowed: expected one of ${OPENSEARCH_CONFIG.allowedRegions.join(', ')}`);
+    }
+
+    // Roles must be allow-listed so a message cannot direct the service into an arbitrary account
+    if (roleArn && !OPENSEARCH_CONFIG.placementRoleArns.includes(roleArn)) {
+      fail(`Role '${roleArn}' is not an allowed placement role`);
+    }
+
+    return { region, roleArn };
+  }
+
+  /**
+   * Returns the service instance managing collections for a placement
+   * Instances keep their own client and are cached per region and role
+   * 
+   * @param {object|null} placement - Placement from resolvePlacement(); null for the default
+   * @returns {OpenSearchService} Service bound to the placement
+   */
+  forPlacement(placement) {
+    const { region, roleArn } = placement || this.resolvePlacement();
+
+    if (region === this.region && roleArn === this.roleArn) {
+      return this;
+    }
+
+    const key = `${region}|${roleArn || ''}`;
+    if (!this.placements.has(key)) {
+      logger.info('Creating OpenSearch client for placement', { region, roleArn });
+      this.placements.set(key, new OpenSearchService({ region, roleArn }));
+    }
+
+    return this.placements.get(key);
+  }
+
+  /**
+   * Returns the service instance managing a tenant's collection
+   * 
+   * @param {object} tenant - Tenant record with opensearch_region and opensearch_role_arn
+   * @returns {OpenSearchService} Service bound to the tenant's placement
+   * @throws {Error} InvalidPlacementError if the tenant's region or role is not allowed
+   */
+  forTenant(tenant) {
+    return this.forPlacement(this.resolvePlacement({
+      region: tenant.opensearch_region,
+      roleArn: tenant.opensearch_role_arn
+    }));
+  }
+
+  /**
+   * Returns this instance's placement
+   * 
+   * @returns {object} Placement with region and roleArn
+   */
+  getPlacement() {
+    return { region: this.region, roleArn: this.roleArn };
   }
 
   /**
@@ -48,26 +197,89 @@ class OpenSearchService {
     return `accreda-${tenantSlug}`;
   }
 
+  /**
+   * Returns the names of the policies that belong to a collection
+   * 
+   * @param {string} collectionName - Collection name
+   * @returns {object} Encryption, network and data access policy names
+   */
+  getPolicyNames(collectionName) {
+    return {
+      encryption: `${collectionName}-encryption`,
+      network: `${collectionName}-network`,
+      access: `${collectionName}-access`
+    };
+  }
+
+  /**
+   * Checks that a KMS key ARN is well formed and in the collection region
+   * 
+   * @param {string} kmsKeyArn - KMS key ARN
+   * @returns {boolean} True if valid
+   */
+  isValidKmsKeyArn(kmsKeyArn) {
+    const match = KMS_KEY_ARN_REGEX.exec(kmsKeyArn || '');
+    return Boolean(match) && match[1] === this.region;
+  }
+
+  /**
+   * Resolves the KMS key for a tenant collection
+   * Precedence: explicit key (message), tenant configuration, service default
+   * 
+   * @param {...(string|null)} candidates - Candidate key ARNs in order of precedence
+   * @returns {string|null} Key ARN, or null to use an AWS-owned key
+   * @throws {Error} InvalidKmsKeyError if the selected key ARN is malformed
+   */
+  resolveKmsKeyArn(...candidates) {
+    // The service default key only exists in the default region
+    const defaultKmsKeyArn = this.region === OPENSEARCH_CONFIG.region ? OPENSEARCH_CONFIG.kmsKeyArn : null;
+    const kmsKeyArn = [...candidates, defaultKmsKeyArn].find(Boolean) || null;
+
+    if (kmsKeyArn && !this.isValidKmsKeyArn(kmsKeyArn)) {
+      const error = new Error(
+        `Invalid KMS key ARN '${kmsKeyArn}': expected a key ARN in ${this.region}`
+      );
+      error.name = 'InvalidKmsKeyError';
+      throw error;
+    }
+
+    return kmsKeyArn;
+  }
+
+  /**
+   * Builds the encryption policy document for a collection
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {string|null} kmsKeyArn - Customer-managed KMS key ARN, or null for an AWS-owned key
+   * @returns {object} Encryption policy document
+   */
+  buildEncryptionPolicy(collectionName, kmsKeyArn = null) {
+    return {
+      Rules: [
+        {
+          ResourceType: 'collection',
+          Resource: [`collection/${collectionName}`]
+        }
+      ],
+      ...(kmsKeyArn
+        ? { AWSOwnedKey: false, KmsARN: kmsKeyArn } // Customer-managed key (FedRAMP / enterprise tenants)
+        : { AWSOwnedKey: true }) // AWS-owned KMS key
+    };
+  }
+
   /**
    * Creates an encryption policy for the collection
    * Ensures data is encrypted at rest
    * 
    * @param {string} collectionName - Collection name
+   * @param {string|null} kmsKeyArn - Customer-managed KMS key ARN, or null for an AWS-owned key
    * @returns {Promise<void>}
    */
-  async createEncryptionPolicy(collectionName) {
+  async createEncryptionPolicy(collectionName, kmsKeyArn = null) {
     try {
       const policyName = `${collectionName}-encryption`;
       
-      const policy = {
-        Rules: [
-          {
-            ResourceType: 'collection',
-            Resource: [`collection/${collectionName}`]
-          }
-        ],
-        AWSOwnedKey: true // Use AWS-owned KMS key (can be changed to customer-managed key)
-      };
+      const policy = this.buildEncryptionPolicy(collectionName, kmsKeyArn);
 
       const command = new CreateSecurityPolicyCommand({
         name: policyName,
@@ -77,9 +289,14 @@ class OpenSearchService {
       });
 
       await this.client.send(command);
-      logger.info('Created encryption policy', { policyName, collectionName });
+      logger.info('Created encryption policy', {
+        policyName,
+        collectionName,
+        kmsKeyArn: kmsKeyArn || 'AWS-owned'
+      });
     } catch (error) {
       if (error.name === 'ConflictException') {
+        // An existing policy keeps its key; the collection's actual key is recorded once active
         logger.info('Encryption policy already exists', { collectionName });
       } else {
         throw error;
@@ -88,40 +305,113 @@ class OpenSearchService {
   }
 
   /**
-   * Creates a network policy for the collection
-   * Controls network access to the collection
+   * Resolves network settings for a tenant collection
+   * A tenant-level mode overrides the service-wide mode
+   * 
+   * @param {string|null} tenantNetworkMode - Tenant's opensearch_network_mode, if set
+   * @returns {object} Network options (mode, vpcEndpointIds, sourceServices, dashboardsEnabled)
+   * @throws {Error} InvalidNetworkConfigError if the resulting configuration is unusable
+   */
+  resolveNetworkOptions(tenantNetworkMode = null) {
+    const options = {
+      ...OPENSEARCH_CONFIG.network,
+      mode: tenantNetworkMode || OPENSEARCH_CONFIG.network.mode
+    };
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.name = 'InvalidNetworkConfigError';
+      throw error;
+    };
+
+    if (!NETWORK_MODES.includes(options.mode)) {
+      fail(`Invalid network mode '${options.mode}': expected one of ${NETWORK_MODES.join(', ')}`);
+    }
+
+    const invalidEndpoint = options.vpcEndpointIds.find(id => !/^vpce-[0-9a-z]+$/.test(id));
+    if (invalidEndpoint) {
+      fail(`Invalid VPC endpoint id '${invalidEndpoint}'`);
+    }
+
+    if (options.mode === 'private' && options.vpcEndpointIds.length === 0 && options.sourceServices.length === 0) {
+      fail('Private network mode requires at least one VPC endpoint id or source service');
+    }
+
+    return options;
+  }
+
+  /**
+   * Builds the network policy document for a collection
    * 
    * @param {string} collectionName - Collection name
-   * @returns {Promise<void>}
+   * @param {object} networkOptions - Options from resolveNetworkOptions()
+   * @returns {Array<object>} Network policy document
    */
-  async createNetworkPolicy(collectionName) {
-    const policyName = `${collectionName}-network`;
-    
-    try {
-      // OpenSearch Serverless network policy structure
+  buildNetworkPolicy(collectionName, networkOptions) {
+    const collectionRule = {
+      ResourceType: 'collection',
+      Resource: [`collection/${collectionName}`]
+    };
+    const dashboardRule = {
+      ResourceType: 'dashboard',
+      Resource: [`collection/${collectionName}`]
+    };
+
+    if (networkOptions.mode === 'public') {
       // For SaaS applications, we use public access with data access policies for security
       // This allows Bedrock and other AWS services to access the collection
-      const policy = [
+      return [
         {
-          Rules: [
-            {
-              ResourceType: 'collection',
-              Resource: [`collection/${collectionName}`]
-            },
-            {
-              ResourceType: 'dashboard',
-              Resource: [`collection/${collectionName}`]
-            }
-          ],
+          Rules: networkOptions.dashboardsEnabled ? [collectionRule, dashboardRule] : [collectionRule],
           AllowFromPublic: true
           // Note: When AllowFromPublic is true, we cannot specify SourceVPCEs or SourceServices
           // Security is controlled by data access policies instead
         }
       ];
+    }
+
+    // Private mode: the collection is reachable only through the listed VPC endpoints
+    // and AWS services (e.g. Bedrock knowledge bases)
+    const policy = [
+      {
+        Rules: [collectionRule],
+        AllowFromPublic: false,
+        ...(networkOptions.vpcEndpointIds.length > 0 && { SourceVPCEs: networkOptions.vpcEndpointIds }),
+        ...(networkOptions.sourceServices.length > 0 && { SourceServices: networkOptions.sourceServices })
+      }
+    ];
+
+    // Dashboards cannot be reached by AWS services, so they are only exposed through VPC endpoints
+    if (networkOptions.dashboardsEnabled && networkOptions.vpcEndpointIds.length > 0) {
+      policy.push({
+        Rules: [dashboardRule],
+        AllowFromPublic: false,
+        SourceVPCEs: networkOptions.vpcEndpointIds
+      });
+    }
+
+    return policy;
+  }
+
+  /**
+   * Creates a network policy for the collection
+   * Controls network access to the collection
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {object} networkOptions - Options from resolveNetworkOptions() (default: service-wide settings)
+   * @returns {Promise<void>}
+   */
+  async createNetworkPolicy(collectionName, networkOptions = this.resolveNetworkOptions()) {
+    const policyName = `${collectionName}-network`;
+    
+    try {
+      // OpenSearch Serverless network policy structure
+      const policy = this.buildNetworkPolicy(collectionName, networkOptions);
 
       logger.info('Creating network policy with structure', {
         collectionName,
         policyName,
+        mode: networkOptions.mode,
         policy: JSON.stringify(policy, null, 2)
       });
 
@@ -165,55 +455,91 @@ class OpenSearchService {
   }
 
   /**
-   * Creates a data access policy for the collection
-   * Grants necessary permissions to access the collection data
+   * Builds the data access policy document for a collection
+   * Principals are grouped into one rule set per permission set
    * 
    * @param {string} collectionName - Collection name
-   * @param {string} tenantId - Tenant ID
-   * @returns {Promise<void>}
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug (used by the per-tenant role template)
+   * @returns {Array<object>} Data access policy document
+   * @throws {Error} InvalidPrincipalError if a configured principal ARN is malformed
    */
-  async createDataAccessPolicy(collectionName, tenantId) {
-    const policyName = `${collectionName}-access`;
-    
-    try {
-      // Data access policy for Bedrock knowledge base integration
-      // Security is controlled by data access policy since network policy allows public access
-      const policy = [
-        {
+  buildDataAccessPolicy(collectionName, tenantId, tenantSlug) {
+    const grants = {
+      'read-write': [...ACCESS_POLICY_CONFIG.readWritePrincipals],
+      'read-only': [...ACCESS_POLICY_CONFIG.readOnlyPrincipals]
+    };
+
+    if (ACCESS_POLICY_CONFIG.tenantRoleArnTemplate) {
+      const tenantRoleArn = ACCESS_POLICY_CONFIG.tenantRoleArnTemplate
+        .replace(/\{tenantSlug\}/g, tenantSlug)
+        .replace(/\{tenantId\}/g, tenantId);
+
+      if (!grants[ACCESS_POLICY_CONFIG.tenantRoleAccess]) {
+        const error = new Error(`Unknown tenant role access level '${ACCESS_POLICY_CONFIG.tenantRoleAccess}'`);
+        error.name = 'InvalidPrincipalError';
+        throw error;
+      }
+      grants[ACCESS_POLICY_CONFIG.tenantRoleAccess].push(tenantRoleArn);
+    }
+
+    // A principal granted read-write does not also need a read-only rule
+    grants['read-only'] = grants['read-only'].filter(principal => !grants['read-write'].includes(principal));
+
+    const invalidPrincipal = [...grants['read-write'], ...grants['read-only']]
+      .find(principal => !PRINCIPAL_ARN_REGEX.test(principal));
+    if (invalidPrincipal) {
+      const error = new Error(`Invalid data access policy principal '${invalidPrincipal}'`);
+      error.name = 'InvalidPrincipalError';
+      throw error;
+    }
+
+    if (grants['read-write'].length === 0 && grants['read-only'].length === 0) {
+      const error = new Error('Data access policy has no principals configured');
+      error.name = 'InvalidPrincipalError';
+      throw error;
+    }
+
+    return Object.entries(grants)
+      .filter(([, principals]) => principals.length > 0)
+      .map(([access, principals]) => {
+        const permissions = ACCESS_POLICY_CONFIG.permissionSets[access];
+
+        return {
+          Description: `${access} access for collection ${collectionName}`,
           Rules: [
             {
               ResourceType: 'collection',
               Resource: [`collection/${collectionName}`],
-              Permission: [
-                'aoss:CreateCollectionItems',
-                'aoss:DeleteCollectionItems',
-                'aoss:UpdateCollectionItems',
-                'aoss:DescribeCollectionItems'
-              ]
+              Permission: permissions.collection
             },
             {
               ResourceType: 'index',
               Resource: [`index/${collectionName}/*`],
-              Permission: [
-                'aoss:CreateIndex',
-                'aoss:DeleteIndex',
-                'aoss:UpdateIndex',
-                'aoss:DescribeIndex',
-                'aoss:ReadDocument',
-                'aoss:WriteDocument'
-              ]
+              Permission: permissions.index
             }
           ],
-          Principal: [
-            // Allow Bedrock service to access the collection for knowledge base integration
-            `arn:aws:iam::${OPENSEARCH_CONFIG.accountId}:root`,
-            // Allow the tenant infrastructure service to create indexes and manage data
-            'arn:aws:iam::625867133463:role/tenant-infra-build-task-roole',
-            // Allow the tenant data store service to create indexes on collections
-            'arn:aws:iam::625867133463:role/tenant-data-store-task-role'
-          ]
-        }
-      ];
+          Principal: [...new Set(principals)]
+        };
+      });
+  }
+
+  /**
+   * Creates a data access policy for the collection
+   * Grants necessary permissions to access the collection data
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {string} tenantId - Tenant ID
+   * @param {string} tenantSlug - Tenant slug
+   * @returns {Promise<void>}
+   */
+  async createDataAccessPolicy(collectionName, tenantId, tenantSlug) {
+    const policyName = `${collectionName}-access`;
+    
+    try {
+      // Data access policy for Bedrock knowledge base integration
+      // Principals and permission sets come from ACCESS_POLICY_CONFIG and are validated first
+      const policy = this.buildDataAccessPolicy(collectionName, tenantId, tenantSlug);
 
       const command = new CreateAccessPolicyCommand({
         name: policyName,
@@ -246,84 +572,246 @@ class OpenSearchService {
    * Polls the collection status until it's ready
    * 
    * @param {string} collectionName - Collection name
-   * @param {number} maxAttempts - Maximum polling attempts
+   * @param {object} options - Wait options
+   * @param {number} options.maxAttempts - Maximum polling attempts (default: OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES)
+   * @param {Function|null} options.onPoll - Async callback after each check that did not end the wait,
+   *   used to record that provisioning is still making progress
    * @returns {Promise<object>} Collection details
+   * @throws {Error} CollectionFailedError if the collection reports FAILED,
+   *   CollectionTimeoutError if it is not active after maxAttempts
    */
-  async waitForCollectionActive(collectionName, maxAttempts = 60) {
+  async waitForCollectionActive(collectionName, {
+    maxAttempts = Math.ceil(OPENSEARCH_CONFIG.collectionActiveTimeoutMinutes * 60 / COLLECTION_POLL_INTERVAL_SECONDS),
+    onPoll = null
+  } = {}) {
     logger.info('Waiting for collection to become active', { collectionName });
+    const endTimer = metrics.collectionActiveWait.startTimer();
+    const timeoutError = () => {
+      const error = new Error(`Collection did not become active after ${maxAttempts} attempts`);
+      error.name = 'CollectionTimeoutError';
+      return error;
+    };
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let collection = null;
       try {
         const command = new BatchGetCollectionCommand({
           names: [collectionName]
         });
 
         const response = await this.client.send(command);
-        
-        if (response.collectionDetails && response.collectionDetails.length > 0) {
-          const collection = response.collectionDetails[0];
-          
-          logger.debug('Collection status check', {
-            collectionName,
-            status: collection.status,
-            attempt
-          });
-
-          if (collection.status === 'ACTIVE') {
-            logger.info('Collection is now active', {
-              collectionName,
-              arn: collection.arn,
-              endpoint: collection.collectionEndpoint
-            });
-            return collection;
-          } else if (collection.status === 'FAILED') {
-            throw new Error(`Collection creation failed: ${collectionName}`);
-          }
-        }
-
-        // Wait before next attempt (30 seconds)
-        await new Promise(resolve => setTimeout(resolve, 30000));
+        collection = response.collectionDetails?.[0] || null;
       } catch (error) {
+        // Status checks are retried; only a FAILED collection ends the wait early
         logger.error('Error checking collection status', {
           collectionName,
           attempt,
           error: error.message
         });
-        
-        if (attempt === maxAttempts) {
-          throw new Error(`Collection did not become active after ${maxAttempts} attempts`);
+      }
+
+      if (collection) {
+        logger.debug('Collection status check', {
+          collectionName,
+          status: collection.status,
+          attempt
+        });
+
+        if (collection.status === 'ACTIVE') {
+          logger.info('Collection is now active', {
+            collectionName,
+            arn: collection.arn,
+            endpoint: collection.collectionEndpoint
+          });
+          endTimer({ outcome: 'active' });
+          return collection;
+        } else if (collection.status === 'FAILED') {
+          endTimer({ outcome: 'failed' });
+          const error = new Error(`Collection creation failed: ${collectionName}`);
+          error.name = 'CollectionFailedError';
+          throw error;
         }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 30000));
       }
+
+      if (onPoll) {
+        await onPoll(attempt);
+      }
+
+      if (attempt < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, COLLECTION_POLL_INTERVAL_SECONDS * 1000));
+      }
+    }
+
+    endTimer({ outcome: 'timeout' });
+    throw timeoutError();
+  }
+
+  /**
+   * Verifies that an existing collection belongs to the tenant via its TenantId tag
+   * 
+   * @param {object} collection - Collection details from BatchGetCollection
+   * @param {string} tenantId - Tenant UUID expected to own the collection
+   * @returns {Promise<void>}
+   * @throws {Error} CollectionOwnershipError if the tag is missing or belongs to another tenant
+   */
+  async verifyCollectionOwnership(collection, tenantId) {
+    const taggedTenantId = (await this.getCollectionTags(collection.arn)).TenantId;
+
+    if (taggedTenantId !== tenantId) {
+      logger.error('Existing collection belongs to a different tenant', {
+        collectionName: collection.name,
+        collectionArn: collection.arn,
+        expectedTenantId: tenantId,
+        taggedTenantId: taggedTenantId || null
+      });
+
+      const error = new Error(
+        `Collection ${collection.name} already exists with TenantId tag ` +
+        `'${taggedTenantId || '(missing)'}', expected '${tenantId}'; refusing to adopt it`
+      );
+      error.name = 'CollectionOwnershipError';
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches the tags of a collection
+   * 
+   * @param {string} resourceArn - Collection ARN
+   * @returns {Promise<object>} Tag values keyed by tag key
+   */
+  async getCollectionTags(resourceArn) {
+    const response = await this.client.send(new ListTagsForResourceCommand({ resourceArn }));
+    return Object.fromEntries((response.tags || []).map(tag => [tag.key, tag.value]));
+  }
+
+  /**
+   * Builds the CreateCollection request for a tenant, including its tags
+   * The TenantId and ManagedBy tags identify the collection's owner during adoption and reconciliation
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug
+   * @returns {object} CreateCollection input
+   */
+  buildCollectionRequest(collectionName, tenantId, tenantSlug) {
+    return {
+      name: collectionName,
+      type: 'VECTORSEARCH', // VECTORSEARCH type for vector search capabilities
+      description: `OpenSearch collection for tenant ${tenantSlug} (${tenantId}) - configured for vector search`,
+      tags: [
+        { key: 'TenantId', value: tenantId },
+        { key: 'TenantSlug', value: tenantSlug },
+        { key: 'Service', value: 'Accreda' },
+        { key: 'ManagedBy', value: 'tenant-opensearch-service' },
+        { key: 'BedrockCompatible', value: 'true' }
+      ]
+    };
+  }
+
+  /**
+   * Creates the tenant's collection, or adopts it if a previous attempt already created it
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug
+   * @returns {Promise<object>} Collection id, ARN and whether it was adopted
+   */
+  async createOrAdoptCollection(collectionName, tenantId, tenantSlug) {
+    const adopt = async (existing) => {
+      if (existing.status === 'DELETING') {
+        throw new Error(`Collection ${collectionName} is being deleted; retry once deletion completes`);
+      }
+      if (existing.status === 'FAILED') {
+        // A failed collection never becomes active; it has to be deleted first
+        const error = new Error(`Collection ${collectionName} is in FAILED status; delete it before provisioning again`);
+        error.name = 'CollectionFailedError';
+        throw error;
+      }
+
+      await this.verifyCollectionOwnership(existing, tenantId);
+      logger.info('Adopting existing collection', {
+        collectionName,
+        tenantId,
+        arn: existing.arn,
+        status: existing.status
+      });
+
+      return { id: existing.id, arn: existing.arn, adopted: true };
+    };
+
+    const existing = await this.getCollection(collectionName);
+    if (existing) {
+      return adopt(existing);
     }
 
-    throw new Error(`Collection did not become active after ${maxAttempts} attempts`);
+    try {
+      const createCommand = new CreateCollectionCommand(
+        this.buildCollectionRequest(collectionName, tenantId, tenantSlug)
+      );
+
+      const createResponse = await this.client.send(createCommand);
+      logger.info('Collection creation initiated', {
+        collectionName,
+        status: createResponse.createCollectionDetail.status
+      });
+
+      return {
+        id: createResponse.createCollectionDetail.id,
+        arn: createResponse.createCollectionDetail.arn,
+        adopted: false
+      };
+    } catch (error) {
+      // Another worker created the collection between the lookup and the create
+      if (error.name === 'ConflictException') {
+        const created = await this.getCollection(collectionName);
+        if (created) {
+          return adopt(created);
+        }
+      }
+      throw error;
+    }
   }
 
   /**
    * Creates an OpenSearch Serverless collection for a tenant
+   * When a tracker is given, each step is recorded and steps completed by a
+   * previous attempt are skipped
    * 
    * @param {string} tenantId - Tenant UUID
    * @param {string} tenantSlug - Tenant slug
-   * @returns {Promise<object>} Collection details including ARN and endpoint
+   * @param {object} options - Provisioning options
+   * @param {ProvisioningTracker} options.tracker - Optional per-tenant step tracker
+   * @param {string|null} options.kmsKeyArn - Customer-managed KMS key ARN (see resolveKmsKeyArn)
+   * @param {object} options.network - Network options (see resolveNetworkOptions)
+   * @returns {Promise<object>} Collection details including ARN, id, endpoint, policy names, KMS key,
+   *   region and vector index name
    */
-  async createCollection(tenantId, tenantSlug) {
+  async createCollection(tenantId, tenantSlug, { tracker = null, kmsKeyArn = null, network = null } = {}) {
     const collectionName = this.getCollectionName(tenantSlug);
+    const runStep = tracker ? (step, fn) => tracker.run(step, fn) : (step, fn) => fn();
     
-    logger.info('Creating OpenSearch collection', { tenantId, tenantSlug, collectionName });
+    logger.info('Creating OpenSearch collection', {
+      tenantId,
+      tenantSlug,
+      collectionName,
+      region: this.region,
+      accountId: this.accountId
+    });
 
     try {
       // Step 1: Create encryption policy (required before collection)
       logger.info('Creating encryption policy', { collectionName });
-      await this.createEncryptionPolicy(collectionName);
+      await runStep('encryption_policy', () => this.createEncryptionPolicy(collectionName, kmsKeyArn));
       logger.info('Encryption policy created successfully', { collectionName });
 
       // Step 2: Create network policy (required before collection)
       logger.info('Creating network policy', { collectionName });
       try {
-        await this.createNetworkPolicy(collectionName);
+        await runStep('network_policy', () => this.createNetworkPolicy(
+          collectionName,
+          network || this.resolveNetworkOptions()
+        ));
         logger.info('Network policy created successfully', { collectionName });
       } catch (networkError) {
         logger.error('Network policy creation failed in main flow', {
@@ -339,49 +827,401 @@ class OpenSearchService {
       // Configured for Bedrock knowledge base integration
       // Based on AWS documentation: https://repost.aws/knowledge-center/bedrock-knowledge-base-private-network-policy
       logger.info('Initiating collection creation', { collectionName });
-      const createCommand = new CreateCollectionCommand({
-        name: collectionName,
-        type: 'VECTORSEARCH', // VECTORSEARCH type for vector search capabilities
-        description: `OpenSearch collection for tenant ${tenantSlug} (${tenantId}) - configured for vector search`,
-        tags: [
-          { key: 'TenantId', value: tenantId },
-          { key: 'TenantSlug', value: tenantSlug },
-          { key: 'Service', value: 'Accreda' },
-          { key: 'ManagedBy', value: 'tenant-opensearch-service' },
-          { key: 'BedrockCompatible', value: 'true' }
-        ]
-      });
-
-      const createResponse = await this.client.send(createCommand);
-      logger.info('Collection creation initiated', {
-        collectionName,
-        status: createResponse.createCollectionDetail.status
-      });
+      await runStep('collection', () => this.createOrAdoptCollection(collectionName, tenantId, tenantSlug));
 
       // Step 4: Create data access policy
       logger.info('Creating data access policy', { collectionName });
-      await this.createDataAccessPolicy(collectionName, tenantId);
+      await runStep('access_policy', () => this.createDataAccessPolicy(collectionName, tenantId, tenantSlug));
       logger.info('Data access policy created successfully', { collectionName });
 
       // Step 5: Wait for collection to become active
       logger.info('Waiting for collection to become active', { collectionName });
-      const collection = await this.waitForCollectionActive(collectionName);
+      const collection = await runStep('collection_active', async () => {
+        const activeCollection = await this.waitForCollectionActive(collectionName, {
+          // Keeps the step current, so the retry scheduler does not take the tenant for stuck
+          onPoll: tracker ? () => tracker.touch('collection_active') : null
+        });
+
+        return {
+          arn: activeCollection.arn,
+          id: activeCollection.id,
+          endpoint: activeCollection.collectionEndpoint,
+          name: collectionName,
+          policyNames: this.getPolicyNames(collectionName),
+          status: activeCollection.status,
+          region: this.region,
+          // 'auto' means the collection is encrypted with an AWS-owned key
+          kmsKeyArn: activeCollection.kmsKeyArn && activeCollection.kmsKeyArn !== 'auto'
+            ? activeCollection.kmsKeyArn
+            : null
+        };
+      });
+
+      // Step 6: Create the Bedrock knowledge base vector index
+      if (OPENSEARCH_CONFIG.vectorIndex.enabled) {
+        logger.info('Creating vector index', { collectionName });
+        const vectorIndex = await runStep('vector_index', () => (
+          this.vectorIndexService.ensureIndex(collection.endpoint)
+        ));
+        collection.vectorIndexName = vectorIndex.indexName;
+      }
 
       logger.info('OpenSearch collection created successfully', {
         tenantId,
         collectionName,
         arn: collection.arn,
-        endpoint: collection.collectionEndpoint
+        endpoint: collection.endpoint,
+        vectorIndexName: collection.vectorIndexName
+      });
+
+      return collection;
+    } catch (error) {
+      logger.error('Failed to create OpenSearch collection', {
+        tenantId,
+        tenantSlug,
+        collectionName,
+        error: error.message,
+        errorName: error.name,
+        errorCode: error.$metadata?.httpStatusCode,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Plans createCollection without creating anything
+   * Renders every request createCollection would send (policy documents, collection
+   * tags, vector index definition) and compares it with what already exists.
+   * Only read-only lookups are sent, and none at all when offline is set
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug
+   * @param {object} options - Plan options
+   * @param {string|null} options.kmsKeyArn - Customer-managed KMS key ARN (see resolveKmsKeyArn)
+   * @param {object} options.network - Network options (see resolveNetworkOptions)
+   * @param {Array<string>} options.completedSteps - Steps a previous attempt completed; they would be skipped
+   * @param {boolean} options.offline - Skip the lookups of existing policies and collection
+   * @returns {Promise<object>} Plan with the collection name, placement, existing collection and
+   *   one entry per provisioning step ({ step, action, command, input, exists, changes })
+   */
+  async planCollection(tenantId, tenantSlug, {
+    kmsKeyArn = null,
+    network = null,
+    completedSteps = [],
+    offline = false
+  } = {}) {
+    const collectionName = this.getCollectionName(tenantSlug);
+    const policyNames = this.getPolicyNames(collectionName);
+    const networkOptions = network || this.resolveNetworkOptions();
+    const planStep = (step, action, details) => ({
+      step,
+      action: completedSteps.includes(step) ? 'completed' : action,
+      ...details
+    });
+
+    // Existing policies are kept by createCollection; differences are rolled out with policy updates
+    const planPolicy = async (step, command, input, fetchExisting) => {
+      if (offline) {
+        return planStep(step, 'create', { command, input });
+      }
+
+      const existing = await fetchExisting();
+      const changes = existing ? diffJson(existing.policy, input.policy) : [];
+      const action = !existing ? 'create' : (changes.length === 0 ? 'unchanged' : 'keep-existing');
+      return planStep(step, action, { command, input, exists: Boolean(existing), changes });
+    };
+
+    const steps = [];
+    steps.push(await planPolicy('encryption_policy', 'CreateSecurityPolicyCommand', {
+      name: policyNames.encryption,
+      type: 'encryption',
+      policy: this.buildEncryptionPolicy(collectionName, kmsKeyArn),
+      description: `Encryption policy for tenant collection ${collectionName}`
+    }, () => this.getSecurityPolicy(policyNames.encryption, 'encryption')));
+
+    steps.push(await planPolicy('network_policy', 'CreateSecurityPolicyCommand', {
+      name: policyNames.network,
+      type: 'network',
+      policy: this.buildNetworkPolicy(collectionName, networkOptions),
+      description: `Network policy for tenant collection ${collectionName}`
+    }, () => this.getSecurityPolicy(policyNames.network, 'network')));
+
+    // An existing collection is adopted if it is tagged for this tenant
+    const collectionRequest = this.buildCollectionRequest(collectionName, tenantId, tenantSlug);
+    const existingCollection = offline ? null : await this.getCollection(collectionName);
+    if (offline || !existingCollection) {
+      steps.push(planStep('collection', 'create', {
+        command: 'CreateCollectionCommand',
+        input: collectionRequest,
+        ...(!offline && { exists: false, changes: [] })
+      }));
+    } else {
+      const tags = await this.getCollectionTags(existingCollection.arn);
+      const desiredTags = Object.fromEntries(collectionRequest.tags.map(tag => [tag.key, tag.value]));
+      let action = 'adopt';
+      let reason;
+      if (existingCollection.status === 'DELETING') {
+        action = 'blocked';
+        reason = `Collection ${collectionName} is being deleted`;
+      } else if (existingCollection.status === 'FAILED') {
+        action = 'blocked';
+        reason = `Collection ${collectionName} is in FAILED status and must be deleted first`;
+      } else if (tags.TenantId !== tenantId) {
+        action = 'blocked';
+        reason = `Collection ${collectionName} is tagged for tenant '${tags.TenantId || '(missing)'}'`;
+      }
+      steps.push(planStep('collection', action, {
+        command: 'CreateCollectionCommand',
+        input: collectionRequest,
+        exists: true,
+        changes: diffJson({ tags }, { tags: desiredTags }),
+        ...(reason && { reason })
+      }));
+    }
+
+    steps.push(await planPolicy('access_policy', 'CreateAccessPolicyCommand', {
+      name: policyNames.access,
+      type: 'data',
+      policy: this.buildDataAccessPolicy(collectionName, tenantId, tenantSlug),
+      description: `Data access policy for tenant ${tenantId} collection ${collectionName}`
+    }, () => this.getDataAccessPolicy(policyNames.access)));
+
+    steps.push(planStep('collection_active', existingCollection?.status === 'ACTIVE' ? 'unchanged' : 'wait', {
+      command: 'BatchGetCollectionCommand',
+      input: { names: [collectionName] }
+    }));
+
+    // Whether the index already exists can only be checked through the collection's data plane
+    if (OPENSEARCH_CONFIG.vectorIndex.enabled) {
+      steps.push(planStep('vector_index', 'create', {
+        command: `PUT /${OPENSEARCH_CONFIG.vectorIndex.name}`,
+        input: this.vectorIndexService.buildIndexBody()
+      }));
+    }
+
+    return {
+      tenantId,
+      tenantSlug,
+      collectionName,
+      region: this.region,
+      roleArn: this.roleArn,
+      accountId: this.accountId,
+      offline,
+      kmsKeyArn,
+      network: networkOptions,
+      policyNames,
+      collection: existingCollection
+        ? {
+          id: existingCollection.id,
+          arn: existingCollection.arn,
+          status: existingCollection.status,
+          endpoint: existingCollection.collectionEndpoint || null,
+          kmsKeyArn: existingCollection.kmsKeyArn && existingCollection.kmsKeyArn !== 'auto'
+            ? existingCollection.kmsKeyArn
+            : null
+        }
+        : null,
+      steps
+    };
+  }
+
+  /**
+   * Looks up a collection by name
+   * 
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<object|null>} Collection details or null if it does not exist
+   */
+  async getCollection(collectionName) {
+    const command = new BatchGetCollectionCommand({
+      names: [collectionName]
+    });
+
+    const response = await this.client.send(command);
+
+    if (!response.collectionDetails || response.collectionDetails.length === 0) {
+      return null;
+    }
+
+    return response.collectionDetails[0];
+  }
+
+  /**
+   * Waits for a collection to be fully deleted
+   * Encryption policies cannot be removed while a collection still references them
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {number} maxAttempts - Maximum polling attempts
+   * @returns {Promise<void>}
+   * @throws {Error} CollectionFailedError if the collection reports FAILED,
+   *   CollectionTimeoutError if it still exists after maxAttempts
+   */
+  async waitForCollectionDeleted(collectionName, maxAttempts = 60) {
+    logger.info('Waiting for collection to be deleted', { collectionName });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let collection;
+      try {
+        collection = await this.getCollection(collectionName);
+      } catch (error) {
+        // Status checks are retried; only a FAILED collection ends the wait early
+        logger.error('Error checking collection deletion status', {
+          collectionName,
+          attempt,
+          error: error.message
+        });
+      }
+
+      if (collection === null) {
+        logger.info('Collection has been deleted', { collectionName });
+        return;
+      }
+
+      if (collection) {
+        logger.debug('Collection deletion status check', {
+          collectionName,
+          status: collection.status,
+          attempt
+        });
+
+        if (collection.status === 'FAILED') {
+          const error = new Error(`Collection deletion failed: ${collectionName}`);
+          error.name = 'CollectionFailedError';
+          throw error;
+        }
+      }
+
+      if (attempt < maxAttempts) {
+        // Wait before next attempt (30 seconds)
+        await new Promise(resolve => setTimeout(resolve, 30000));
+      }
+    }
+
+    const error = new Error(`Collection was not deleted after ${maxAttempts} attempts`);
+    error.name = 'CollectionTimeoutError';
+    throw error;
+  }
+
+  /**
+   * Deletes a security policy (encryption or network)
+   * Missing policies are treated as already deleted
+   * 
+   * @param {string} policyName - Policy name
+   * @param {string} type - Policy type ('encryption' or 'network')
+   * @returns {Promise<void>}
+   */
+  async deleteSecurityPolicy(policyName, type) {
+    try {
+      const command = new DeleteSecurityPolicyCommand({
+        name: policyName,
+        type
+      });
+
+      await this.client.send(command);
+      logger.info(`Deleted ${type} policy`, { policyName });
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        logger.info(`${type} policy does not exist`, { policyName });
+      } else {
+        logger.error(`Failed to delete ${type} policy`, {
+          policyName,
+          error: error.message,
+          errorName: error.name,
+          errorCode: error.$metadata?.httpStatusCode
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Deletes the data access policy for the collection
+   * Missing policies are treated as already deleted
+   * 
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<void>}
+   */
+  async deleteDataAccessPolicy(collectionName) {
+    const policyName = `${collectionName}-access`;
+
+    try {
+      const command = new DeleteAccessPolicyCommand({
+        name: policyName,
+        type: 'data'
+      });
+
+      await this.client.send(command);
+      logger.info('Deleted data access policy', { policyName, collectionName });
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        logger.info('Data access policy does not exist', { collectionName });
+      } else {
+        logger.error('Failed to delete data access policy', {
+          collectionName,
+          policyName,
+          error: error.message,
+          errorName: error.name,
+          errorCode: error.$metadata?.httpStatusCode
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Deletes a tenant's OpenSearch Serverless collection and its policies
+   * Safe to re-run: resources that no longer exist are skipped
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug
+   * @returns {Promise<object>} Deletion summary
+   */
+  async deleteCollection(tenantId, tenantSlug) {
+    const collectionName = this.getCollectionName(tenantSlug);
+
+    logger.info('Deleting OpenSearch collection', { tenantId, tenantSlug, collectionName });
+
+    try {
+      // Step 1: Delete the collection (policies cannot be removed while it exists)
+      const existing = await this.getCollection(collectionName);
+      let collectionDeleted = false;
+
+      if (existing) {
+        if (existing.status !== 'DELETING') {
+          const deleteCommand = new DeleteCollectionCommand({ id: existing.id });
+          const deleteResponse = await this.client.send(deleteCommand);
+          logger.info('Collection deletion initiated', {
+            collectionName,
+            status: deleteResponse.deleteCollectionDetail?.status
+          });
+        }
+
+        // Step 2: Wait for the collection to disappear
+        await this.waitForCollectionDeleted(collectionName);
+        collectionDeleted = true;
+      } else {
+        logger.info('Collection does not exist, skipping deletion', { collectionName });
+      }
+
+      // Step 3: Delete data access, network and encryption policies
+      const policyNames = this.getPolicyNames(collectionName);
+      await this.deleteDataAccessPolicy(collectionName);
+      await this.deleteSecurityPolicy(policyNames.network, 'network');
+      await this.deleteSecurityPolicy(policyNames.encryption, 'encryption');
+
+      logger.info('OpenSearch collection deleted successfully', {
+        tenantId,
+        collectionName,
+        arn: existing?.arn
       });
 
       return {
-        arn: collection.arn,
-        endpoint: collection.collectionEndpoint,
+        arn: existing?.arn || null,
         name: collectionName,
-        status: collection.status
+        collectionDeleted
       };
     } catch (error) {
-      logger.error('Failed to create OpenSearch collection', {
+      logger.error('Failed to delete OpenSearch collection', {
         tenantId,
         tenantSlug,
         collectionName,
@@ -393,7 +1233,196 @@ class OpenSearchService {
       throw error;
     }
   }
+
+  /**
+   * Lists all collections created by this service, with their tags
+   * Only collections tagged ManagedBy=tenant-opensearch-service are returned
+   * 
+   * @returns {Promise<Array<object>>} Collection summaries with a `tags` object
+   */
+  async listManagedCollections() {
+    const summaries = [];
+    let nextToken;
+
+    do {
+      const command = new ListCollectionsCommand({ nextToken });
+      const response = await this.client.send(command);
+      summaries.push(...(response.collectionSummaries || []));
+      nextToken = response.nextToken;
+    } while (nextToken);
+
+    const managed = [];
+    for (const summary of summaries) {
+      const tags = await this.getCollectionTags(summary.arn);
+
+      if (tags.ManagedBy === 'tenant-opensearch-service') {
+        managed.push({ ...summary, tags });
+      }
+    }
+
+    logger.info('Listed managed OpenSearch collections', {
+      region: this.region,
+      total: summaries.length,
+      managed: managed.length
+    });
+
+    return managed;
+  }
+
+  /**
+   * Lists the names of all encryption, network and data access policies in the account
+   * 
+   * @returns {Promise<object>} Sets of policy names keyed by 'encryption', 'network' and 'access'
+   */
+  async listPolicyNames() {
+    const listAll = async (createCommand, key) => {
+      const names = new Set();
+      let nextToken;
+
+      do {
+        const response = await this.client.send(createCommand(nextToken));
+        for (const summary of response[key] || []) {
+          names.add(summary.name);
+        }
+        nextToken = response.nextToken;
+      } while (nextToken);
+
+      return names;
+    };
+
+    return {
+      encryption: await listAll(
+        nextToken => new ListSecurityPoliciesCommand({ type: 'encryption', nextToken }),
+        'securityPolicySummaries'
+      ),
+      network: await listAll(
+        nextToken => new ListSecurityPoliciesCommand({ type: 'network', nextToken }),
+        'securityPolicySummaries'
+      ),
+      access: await listAll(
+        nextToken => new ListAccessPoliciesCommand({ type: 'data', nextToken }),
+        'accessPolicySummaries'
+      )
+    };
+  }
+
+  /**
+   * Fetches an existing encryption or network policy
+   * 
+   * @param {string} policyName - Policy name
+   * @param {string} type - Policy type ('encryption' or 'network')
+   * @returns {Promise<object|null>} Policy detail (policy document and policyVersion) or null if missing
+   */
+  async getSecurityPolicy(policyName, type) {
+    try {
+      const response = await this.client.send(new GetSecurityPolicyCommand({ name: policyName, type }));
+      return response.securityPolicyDetail || null;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches an existing data access policy
+   * 
+   * @param {string} policyName - Policy name
+   * @returns {Promise<object|null>} Policy detail (policy document and policyVersion) or null if missing
+   */
+  async getDataAccessPolicy(policyName) {
+    try {
+      const response = await this.client.send(new GetAccessPolicyCommand({ name: policyName, type: 'data' }));
+      return response.accessPolicyDetail || null;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Converges the network policy of a collection with the policy this service would generate
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {object} networkOptions - Options from resolveNetworkOptions()
+   * @param {object} options - Update options
+   * @param {boolean} options.dryRun - Report changes without applying them
+   * @returns {Promise<object>} Result with policy name, outcome and differences
+   */
+  async syncNetworkPolicy(collectionName, networkOptions, { dryRun = false } = {}) {
+    const policyName = this.getPolicyNames(collectionName).network;
+    const desired = this.buildNetworkPolicy(collectionName, networkOptions);
+    const current = await this.getSecurityPolicy(policyName, 'network');
+
+    if (!current) {
+      if (!dryRun) {
+        await this.createNetworkPolicy(collectionName, networkOptions);
+      }
+      return { policyName, type: 'network', outcome: dryRun ? 'would-create' : 'created', changes: [] };
+    }
+
+    const changes = diffJson(current.policy, desired);
+    if (changes.length === 0) {
+      return { policyName, type: 'network', outcome: 'unchanged', changes };
+    }
+
+    if (!dryRun) {
+      await this.client.send(new UpdateSecurityPolicyCommand({
+        name: policyName,
+        type: 'network',
+        policyVersion: current.policyVersion,
+        policy: JSON.stringify(desired),
+        description: `Network policy for tenant collection ${collectionName}`
+      }));
+      logger.info('Updated network policy', { policyName, collectionName, changes: changes.length });
+    }
+
+    return { policyName, type: 'network', outcome: dryRun ? 'would-update' : 'updated', changes };
+  }
+
+  /**
+   * Converges the data access policy of a collection with the policy this service would generate
+   * 
+   * @param {string} collectionName - Collection name
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} tenantSlug - Tenant slug
+   * @param {object} options - Update options
+   * @param {boolean} options.dryRun - Report changes without applying them
+   * @returns {Promise<object>} Result with policy name, outcome and differences
+   */
+  async syncDataAccessPolicy(collectionName, tenantId, tenantSlug, { dryRun = false } = {}) {
+    const policyName = this.getPolicyNames(collectionName).access;
+    const desired = this.buildDataAccessPolicy(collectionName, tenantId, tenantSlug);
+    const current = await this.getDataAccessPolicy(policyName);
+
+    if (!current) {
+      if (!dryRun) {
+        await this.createDataAccessPolicy(collectionName, tenantId, tenantSlug);
+      }
+      return { policyName, type: 'data', outcome: dryRun ? 'would-create' : 'created', changes: [] };
+    }
+
+    const changes = diffJson(current.policy, desired);
+    if (changes.length === 0) {
+      return { policyName, type: 'data', outcome: 'unchanged', changes };
+    }
+
+    if (!dryRun) {
+      await this.client.send(new UpdateAccessPolicyCommand({
+        name: policyName,
+        type: 'data',
+        policyVersion: current.policyVersion,
+        policy: JSON.stringify(desired),
+        description: `Data access policy for tenant ${tenantId} collection ${collectionName}`
+      }));
+      logger.info('Updated data access policy', { policyName, collectionName, tenantId, changes: changes.length });
+    }
+
+    return { policyName, type: 'data', outcome: dryRun ? 'would-update' : 'updated', changes };
+  }
 }
 
 module.exports = OpenSearchService;
-
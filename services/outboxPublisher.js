@@ -0,0 +1,248 @@
+/**
+ * Outbox Publisher
+ * 
+ * Delivers the provisioning events DatabaseService writes to
+ * public.tenant_opensearch_outbox (tenant.opensearch.ready / tenant.opensearch.failed),
+ * so downstream services learn about new collections without polling accreda_tenants.
+ * 
+ * Transports (EVENTS_TRANSPORT):
+ * - sns: publishes to the EVENTS_TARGET topic
+ * - sqs: sends to the EVENTS_TARGET queue
+ * - eventbridge: puts events on the EVENTS_TARGET bus, with the event type as detail-type
+ * - log: writes events to the service log (local stand-in)
+ * 
+ * Delivery:
+ * - An event is marked published only after the transport accepted it, in the
+ *   transaction that claimed it; other tasks skip claimed events
+ * - The event id is sent as the deduplication id on FIFO topics and queues, so a
+ *   retry after a crash between sending and committing is dropped by SNS/SQS
+ * - Events of one tenant are delivered in order (MessageGroupId = tenant id)
+ */
+
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createMetricsMiddleware } = require('../utils/metrics');
+
+// Transport, target and polling settings (see config/index.js)
+const EVENTS_CONFIG = config.events;
+
+class OutboxPublisher {
+  /**
+   * @param {DatabaseService} databaseService - Database service owning the outbox
+   */
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.transport = EVENTS_CONFIG.transport;
+    this.target = EVENTS_CONFIG.target;
+    this.client = this.createClient();
+    this.isRunning = false;
+    this.timer = null;
+    // Promise of the publishing run in progress, if any
+    this.currentRun = null;
+  }
+
+  /**
+   * Creates the AWS client for the configured transport
+   * 
+   * @returns {object|null} SDK client, or null for the log transport
+   */
+  createClient() {
+    const clientConfig = {
+      region: EVENTS_CONFIG.region,
+      // Optional endpoint override for local stand-ins
+      ...(EVENTS_CONFIG.endpoint && { endpoint: EVENTS_CONFIG.endpoint })
+    };
+
+    let client;
+    switch (this.transport) {
+      case 'sns':
+        client = new SNSClient(clientConfig);
+        break;
+      case 'sqs':
+        client = new SQSClient(clientConfig);
+        break;
+      case 'eventbridge':
+        client = new EventBridgeClient(clientConfig);
+        break;
+      default:
+        return null;
+    }
+
+    client.middlewareStack.add(createMetricsMiddleware(this.transport), {
+      step: 'initialize',
+      name: 'metricsMiddleware'
+    });
+    return client;
+  }
+
+  /**
+   * Sends one event through the configured transport
+   * 
+   * @param {object} event - Event envelope stored in the outbox
+   * @returns {Promise<void>}
+   * @throws {Error} If the transport rejects the event
+   */
+  async send(event) {
+    const body = JSON.stringify(event);
+    const isFifo = this.target && this.target.endsWith('.fifo');
+    const ordering = isFifo
+      ? { MessageGroupId: event.tenant_id, MessageDeduplicationId: event.id }
+      : {};
+    const attributes = {
+      event_type: { DataType: 'String', StringValue: event.type }
+    };
+
+    switch (this.transport) {
+      case 'sns':
+        await this.client.send(new PublishCommand({
+          TopicArn: this.target,
+          Message: body,
+          MessageAttributes: attributes,
+          ...ordering
+        }));
+        return;
+
+      case 'sqs':
+        await this.client.send(new SendMessageCommand({
+          QueueUrl: this.target,
+          MessageBody: body,
+          MessageAttributes: attributes,
+          ...ordering
+        }));
+        return;
+
+      case 'eventbridge': {
+        const response = await this.client.send(new PutEventsCommand({
+          Entries: [{
+            EventBusName: this.target,
+            Source: EVENTS_CONFIG.source,
+            DetailType: event.type,
+            Detail: body,
+            Time: new Date(event.occurred_at)
+          }]
+        }));
+        if (response.FailedEntryCount > 0) {
+          const entry = response.Entries[0];
+          const error = new Error(`EventBridge rejected event: ${entry.ErrorCode} ${entry.ErrorMessage}`);
+          error.name = 'EventPublishError';
+          throw error;
+        }
+        return;
+      }
+
+      default:
+        logger.info('Provisioning event', { transport: 'log', event });
+    }
+  }
+
+  /**
+   * Publishes every due outbox event
+   * 
+   * @returns {Promise<object>} Counts of published and failed events
+   */
+  async publishPending() {
+    const totals = { published: 0, failed: 0 };
+
+    // Keep claiming while full batches come back
+    for (;;) {
+      const counts = await this.databaseService.processOutboxEvents(
+        EVENTS_CONFIG.batchSize,
+        async (row) => {
+          await this.send(row.payload);
+          logger.info('Provisioning event published', {
+            tenantId: row.tenant_id,
+            eventId: row.event_id,
+            eventType: row.event_type,
+            transport: this.transport
+          });
+        }
+      );
+
+      totals.published += counts.published;
+      totals.failed += counts.failed;
+
+      if (counts.claimed < EVENTS_CONFIG.batchSize || counts.failed > 0 || !this.isRunning) {
+        return totals;
+      }
+    }
+  }
+
+  /**
+   * Starts publishing due events every EVENTS_POLL_INTERVAL_SECONDS
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('Starting outbox publisher', {
+      transport: this.transport,
+      target: this.target,
+      pollIntervalSeconds: EVENTS_CONFIG.pollIntervalSeconds
+    });
+    this.schedule(0);
+  }
+
+  /**
+   * Schedules the next publishing run
+   * 
+   * @param {number} delayMs - Delay before the run
+   */
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.runOnce(), delayMs);
+  }
+
+  /**
+   * Performs one publishing run and schedules the next
+   * 
+   * @returns {Promise<void>}
+   */
+  async runOnce() {
+    if (!this.isRunning || this.currentRun) {
+      return;
+    }
+
+    this.currentRun = this.publishPending()
+      .catch((error) => {
+        logger.error('Outbox publishing run failed', { error: error.message });
+      })
+      .finally(() => {
+        this.currentRun = null;
+      });
+    await this.currentRun;
+
+    if (this.isRunning) {
+      this.schedule(EVENTS_CONFIG.pollIntervalSeconds * 1000);
+    }
+  }
+
+  /**
+   * Triggers a publishing run now, e.g. right after a tenant update
+   */
+  notify() {
+    if (this.isRunning && !this.currentRun) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Stops the publisher, waiting for the run in progress
+   * 
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+    logger.info('Outbox publisher stopped');
+  }
+}
+
+module.exports = OutboxPublisher;
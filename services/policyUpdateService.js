@@ -0,0 +1,119 @@
+/**
+ * Policy Update Service
+ * 
+ * Converges the network and data access policies of existing tenant collections
+ * with the policies the service currently generates, so a change to principals
+ * or network rules can be rolled out to every tenant without editing policies
+ * by hand. Each policy is fetched with its policyVersion, diffed against the
+ * desired document and only updated when it differs.
+ * 
+ * Encryption policies are not updated: a collection's encryption key is fixed
+ * when the collection is created.
+ */
+
+const logger = require('../utils/logger');
+
+class PolicyUpdateService {
+  /**
+   * @param {OpenSearchService} openSearchService - OpenSearch service
+   * @param {DatabaseService} databaseService - Database service
+   * @param {AuditService} auditService - Optional audit service; bulk updates are audited per tenant when set
+   */
+  constructor(openSearchService, databaseService, auditService = null) {
+    this.openSearchService = openSearchService;
+    this.databaseService = databaseService;
+    this.auditService = auditService;
+  }
+
+  /**
+   * Updates the policies of one tenant's collection
+   * 
+   * @param {object} tenant - Tenant record
+   * @param {object} options - Update options
+   * @param {boolean} options.dryRun - Report changes without applying them
+   * @returns {Promise<object>} Per-policy results for the tenant
+   */
+  async updateTenantPolicies(tenant, { dryRun = false } = {}) {
+    const collectionName = this.openSearchService.getCollectionName(tenant.slug);
+    const result = { tenantId: tenant.id, tenantSlug: tenant.slug, collectionName, policies: [] };
+
+    if (!tenant.opensearch_arn) {
+      result.skipped = 'Tenant has no OpenSearch collection';
+      return result;
+    }
+
+    // Policies live next to the collection, in the tenant's region and account
+    const regionalService = this.openSearchService.forTenant(tenant);
+    result.region = regionalService.region;
+
+    const network = regionalService.resolveNetworkOptions(tenant.opensearch_network_mode);
+    result.policies.push(await regionalService.syncNetworkPolicy(collectionName, network, { dryRun }));
+    result.policies.push(await regionalService.syncDataAccessPolicy(
+      collectionName,
+      tenant.id,
+      tenant.slug,
+      { dryRun }
+    ));
+
+    logger.info('Tenant policies processed', {
+      tenantId: tenant.id,
+      collectionName,
+      dryRun,
+      outcomes: result.policies.map(policy => `${policy.type}:${policy.outcome}`)
+    });
+
+    return result;
+  }
+
+  /**
+   * Updates the policies of every tenant that has a collection
+   * Failures are recorded per tenant and do not stop the run
+   * 
+   * @param {object} options - Update options
+   * @param {boolean} options.dryRun - Report changes without applying them
+   * @returns {Promise<object>} Report with summary counts and per-tenant results
+   */
+  async updateAllTenantPolicies({ dryRun = false } = {}) {
+    const tenants = (await this.databaseService.listTenants()).filter(tenant => tenant.opensearch_arn);
+    const results = [];
+
+    logger.info('Starting bulk policy update', { tenants: tenants.length, dryRun });
+
+    for (const tenant of tenants) {
+      try {
+        const update = () => this.updateTenantPolicies(tenant, { dryRun });
+        results.push(this.auditService
+          ? await this.auditService.run({
+            tenantId: tenant.id,
+            action: 'policy-update',
+            source: 'cli',
+            details: { dryRun }
+          }, update)
+          : await update());
+      } catch (error) {
+        logger.error('Failed to update tenant policies', {
+          tenantId: tenant.id,
+          error: error.message,
+          errorName: error.name
+        });
+        results.push({ tenantId: tenant.id, tenantSlug: tenant.slug, error: error.message, policies: [] });
+      }
+    }
+
+    const summary = { tenants: results.length, failed: results.filter(result => result.error).length };
+    for (const policy of results.flatMap(result => result.policies)) {
+      summary[policy.outcome] = (summary[policy.outcome] || 0) + 1;
+    }
+
+    logger.info('Bulk policy update completed', { dryRun, ...summary });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      dryRun,
+      summary,
+      tenants: results
+    };
+  }
+}
+
+module.exports = PolicyUpdateService;
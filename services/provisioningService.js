@@ -0,0 +1,317 @@
+/**
+ * Provisioning Service
+ * 
+ * Provisions and deprovisions a tenant's OpenSearch collection end to end:
+ * validates the tenant record, resolves placement, encryption and network
+ * settings, runs the tracked provisioning steps and updates the tenant record.
+ * plan() renders the same flow without changing anything.
+ * 
+ * Shared by the SQS message handlers, the operator CLI and the retry scheduler,
+ * so every entry point follows exactly the same flow.
+ */
+
+const ProvisioningTracker = require('./provisioningTracker');
+const AuditService = require('./auditService');
+const logger = require('../utils/logger');
+const { diffJson } = require('../utils/jsonDiff');
+
+// Plan value of tenant columns that are only known once the collection exists
+const KNOWN_AFTER_CREATION = '(known after creation)';
+
+class ProvisioningService {
+  /**
+   * @param {OpenSearchService} openSearchService - OpenSearch service for the default placement
+   * @param {DatabaseService} databaseService - Database service
+   * @param {OutboxPublisher|null} outboxPublisher - Publisher notified after tenant updates, if running
+   */
+  constructor(openSearchService, databaseService, outboxPublisher = null) {
+    this.openSearchService = openSearchService;
+    this.databaseService = databaseService;
+    this.outboxPublisher = outboxPublisher;
+  }
+
+  /**
+   * Resolves where and how a tenant's collection would be created
+   * Validates placement, KMS key and network settings without calling AWS
+   * 
+   * @param {object} tenant - Tenant record
+   * @param {object} overrides - Explicit settings taking precedence over the tenant's
+   * @param {string|null} overrides.region - Region
+   * @param {string|null} overrides.roleArn - Allow-listed placement role
+   * @param {string|null} overrides.kmsKeyArn - Customer-managed KMS key
+   * @returns {object} Regional service, placement, KMS key and network options
+   * @throws {Error} InvalidPlacementError or InvalidKmsKeyError for disallowed settings
+   */
+  resolveSettings(tenant, { region = null, roleArn = null, kmsKeyArn = null } = {}) {
+    const placement = this.openSearchService.resolvePlacement(
+      { region, roleArn },
+      { region: tenant.opensearch_region, roleArn: tenant.opensearch_role_arn }
+    );
+    const regionalService = this.openSearchService.forPlacement(placement);
+
+    return {
+      regionalService,
+      placement,
+      kmsKeyArn: regionalService.resolveKmsKeyArn(kmsKeyArn, tenant.opensearch_kms_key_arn),
+      network: regionalService.resolveNetworkOptions(tenant.opensearch_network_mode)
+    };
+  }
+
+  /**
+   * Plans provisioning without changing anything
+   * Shows the policies, collection request and tenant record update provisioning would
+   * produce, compared with what exists. Sends no AWS command that changes state and
+   * writes nothing to the database
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Same overrides as provision(), plus plan options
+   * @param {string|null} options.region - Region overriding the tenant's and service's placement
+   * @param {string|null} options.roleArn - Allow-listed role for placing the collection in another account
+   * @param {string|null} options.kmsKeyArn - Customer-managed KMS key overriding tenant and service defaults
+   * @param {boolean} options.offline - Send no AWS requests at all (no comparison with OpenSearch)
+   * @returns {Promise<object>} Outcome ('planned' or 'skipped') with the plan or reason
+   */
+  async plan(tenantId, { region = null, roleArn = null, kmsKeyArn = null, offline = false } = {}) {
+    const tenant = await this.databaseService.getTenant(tenantId);
+
+    const validation = this.databaseService.validateTenantForProvisioning(tenant);
+    if (!validation.isValid) {
+      return { outcome: 'skipped', tenantId, reason: validation.message };
+    }
+
+    const { regionalService, placement, kmsKeyArn: resolvedKmsKeyArn, network } = this.resolveSettings(
+      tenant,
+      { region, roleArn, kmsKeyArn }
+    );
+    const completedSteps = (await this.databaseService.getProvisioningSteps(tenantId))
+      .filter(step => step.status === 'completed')
+      .map(step => step.step);
+
+    const plan = await regionalService.planCollection(tenantId, tenant.slug, {
+      kmsKeyArn: resolvedKmsKeyArn,
+      network,
+      completedSteps,
+      offline
+    });
+    plan.steps.push(this.planTenantUpdate(tenant, plan, placement, completedSteps));
+
+    return { outcome: 'planned', tenantId, placement, plan };
+  }
+
+  /**
+   * Plans the tenant record update that completes provisioning (see updateTenantOpenSearch)
+   * 
+   * @param {object} tenant - Current tenant record
+   * @param {object} plan - Plan from OpenSearchService.planCollection()
+   * @param {object} placement - Resolved placement
+   * @param {Array<string>} completedSteps - Steps a previous attempt completed
+   * @returns {object} Plan step with the column values and their differences from the current record
+   */
+  planTenantUpdate(tenant, plan, placement, completedSteps) {
+    const collection = plan.collection || {};
+    const desired = {
+      opensearch_arn: collection.arn || KNOWN_AFTER_CREATION,
+      opensearch_status: 'ready',
+      // The collection's actual key is recorded; an AWS-owned key leaves the column unchanged
+      opensearch_kms_key_arn: (plan.collection ? collection.kmsKeyArn : plan.kmsKeyArn) || tenant.opensearch_kms_key_arn || null,
+      opensearch_region: placement.region,
+      opensearch_role_arn: placement.roleArn,
+      opensearch_endpoint: collection.endpoint || KNOWN_AFTER_CREATION,
+      opensearch_collection_name: plan.collectionName,
+      opensearch_collection_id: collection.id || KNOWN_AFTER_CREATION,
+      opensearch_policy_names: plan.policyNames,
+      opensearch_failure: null
+    };
+    const current = Object.fromEntries(Object.keys(desired).map(column => [column, tenant[column] ?? null]));
+    const changes = diffJson(current, desired);
+
+    return {
+      step: 'tenant_record',
+      action: completedSteps.includes('tenant_record')
+        ? 'completed'
+        : (changes.length === 0 ? 'unchanged' : 'update'),
+      command: 'UPDATE public.accreda_tenants',
+      input: desired,
+      changes,
+      // Written to the outbox in the same transaction
+      events: tenant.opensearch_status !== 'ready' || tenant.opensearch_arn !== desired.opensearch_arn
+        ? ['tenant.opensearch.ready']
+        : []
+    };
+  }
+
+  /**
+   * Provisions a tenant's collection, resuming after any steps a previous attempt completed
+   * Tenants that are not eligible are skipped (idempotency); failures mark the tenant failed
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @param {object} options - Provisioning options
+   * @param {string|null} options.region - Region overriding the tenant's and service's placement
+   * @param {string|null} options.roleArn - Allow-listed role for placing the collection in another account
+   * @param {string|null} options.kmsKeyArn - Customer-managed KMS key overriding tenant and service defaults
+   * @param {number|null} options.attempts - Delivery attempt, recorded with failure details
+   * @returns {Promise<object>} Outcome ('provisioned' or 'skipped') with collection or reason
+   * @throws {Error} The provisioning error, after the tenant was marked failed
+   */
+  async provision(tenantId, { region = null, roleArn = null, kmsKeyArn = null, attempts = null } = {}) {
+    try {
+      // Step 1: Validate tenant exists and is in correct state
+      const tenant = await this.databaseService.getTenant(tenantId);
+
+      const validation = this.databaseService.validateTenantForProvisioning(tenant);
+      if (!validation.isValid) {
+        logger.warn('Tenant validation failed', {
+          tenant_id: tenantId,
+          reason: validation.message
+        });
+        AuditService.annotate({ outcome: 'skipped', details: { reason: validation.message } });
+        // Don't throw - this is a valid scenario (idempotency)
+        return { outcome: 'skipped', tenantId, reason: validation.message };
+      }
+
+      logger.info('Tenant validation passed, creating OpenSearch collection', {
+        tenant_id: tenantId,
+        tenant_slug: tenant.slug
+      });
+
+      // Step 2: Create OpenSearch collection, resuming after any steps a
+      // previous attempt already completed. Placement, encryption and network
+      // settings are validated before any AWS call
+      const { regionalService, placement, kmsKeyArn: resolvedKmsKeyArn, network } = this.resolveSettings(
+        tenant,
+        { region, roleArn, kmsKeyArn }
+      );
+      // Requested overrides only arrive with the message; store them so automatic and
+      // operator retries of this tenant resolve the same placement and key
+      if (
+        tenant.opensearch_region !== placement.region ||
+        (tenant.opensearch_role_arn || null) !== placement.roleArn ||
+        (resolvedKmsKeyArn && resolvedKmsKeyArn !== tenant.opensearch_kms_key_arn)
+      ) {
+        await this.databaseService.recordTenantPlacement(tenantId, { ...placement, kmsKeyArn: resolvedKmsKeyArn });
+      }
+      const tracker = await new ProvisioningTracker(tenantId, this.databaseService).load();
+      const collection = await regionalService.createCollection(tenantId, tenant.slug, {
+        tracker,
+        kmsKeyArn: resolvedKmsKeyArn,
+        network
+      });
+
+      logger.info('OpenSearch collection created', {
+        tenant_id: tenantId,
+        collection_arn: collection.arn,
+        collection_endpoint: collection.endpoint,
+        region: placement.region,
+        kms_key_arn: collection.kmsKeyArn || 'AWS-owned',
+        vector_index: collection.vectorIndexName || null
+      });
+
+      // Step 3: Update tenant record in database
+      await tracker.run('tenant_record', async () => {
+        await this.databaseService.updateTenantOpenSearch(tenantId, collection.arn, 'ready', {
+          kmsKeyArn: collection.kmsKeyArn,
+          region: placement.region,
+          roleArn: placement.roleArn,
+          endpoint: collection.endpoint,
+          collectionName: collection.name,
+          collectionId: collection.id,
+          policyNames: collection.policyNames
+        });
+        return { opensearch_arn: collection.arn };
+      });
+      this.notifyTenantUpdated();
+
+      logger.info('Tenant provisioning completed successfully', {
+        tenant_id: tenantId,
+        tenant_slug: tenant.slug,
+        opensearch_arn: collection.arn
+      });
+
+      return { outcome: 'provisioned', tenantId, placement, collection };
+    } catch (error) {
+      logger.error('Failed to provision tenant', {
+        tenant_id: tenantId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Mark tenant as failed in database for visibility, with the failing step and request id
+      try {
+        await this.databaseService.markTenantOpenSearchFailed(tenantId, error, { attempts });
+        this.notifyTenantUpdated();
+      } catch (dbError) {
+        logger.error('Failed to mark tenant as failed', {
+          tenant_id: tenantId,
+          error: dbError.message
+        });
+      }
+
+      // Re-throw to allow SQS message retry
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a tenant's collection and policies, then clears the tenant record
+   * 
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<object>} Outcome ('deleted' or 'skipped') with collection or reason
+   */
+  async deprovision(tenantId) {
+    try {
+      // Step 1: Validate tenant exists and still has a collection to remove
+      const tenant = await this.databaseService.getTenant(tenantId);
+
+      const validation = this.databaseService.validateTenantForDeprovisioning(tenant);
+      if (!validation.isValid) {
+        logger.warn('Tenant deprovisioning validation failed', {
+          tenant_id: tenantId,
+          reason: validation.message
+        });
+        AuditService.annotate({ outcome: 'skipped', details: { reason: validation.message } });
+        // Don't throw - this is a valid scenario (idempotency)
+        return { outcome: 'skipped', tenantId, reason: validation.message };
+      }
+
+      // Step 2: Delete collection and policies in the tenant's region and account
+      const result = await this.openSearchService.forTenant(tenant).deleteCollection(tenantId, tenant.slug);
+
+      logger.info('OpenSearch collection deleted', {
+        tenant_id: tenantId,
+        collection_name: result.name,
+        collection_arn: result.arn
+      });
+
+      // Step 3: Clear tenant record and provisioning history in database
+      await this.databaseService.markTenantOpenSearchDeleted(tenantId);
+      await this.databaseService.clearProvisioningSteps(tenantId);
+
+      logger.info('Tenant deprovisioning completed successfully', {
+        tenant_id: tenantId,
+        tenant_slug: tenant.slug
+      });
+
+      return { outcome: 'deleted', tenantId, collection: result };
+    } catch (error) {
+      logger.error('Failed to deprovision tenant', {
+        tenant_id: tenantId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Re-throw to allow SQS message retry
+      throw error;
+    }
+  }
+
+  /**
+   * Lets the outbox publisher deliver events written by a tenant update right away
+   */
+  notifyTenantUpdated() {
+    if (this.outboxPublisher) {
+      this.outboxPublisher.notify();
+    }
+  }
+}
+
+module.exports = ProvisioningService;
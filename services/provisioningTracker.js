@@ -0,0 +1,143 @@
+/**
+ * Provisioning Tracker
+ * 
+ * Persists the progress of a tenant's provisioning run step by step in
+ * public.tenant_opensearch_provisioning_steps, so a retried message resumes
+ * after the last completed step instead of starting over, and operators can
+ * see exactly which step a tenant is stuck on.
+ * 
+ * Each step's result is stored as JSON and replayed when the step is skipped,
+ * so later steps still receive e.g. the collection ARN from an earlier run.
+ */
+
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Provisioning steps in execution order
+const PROVISIONING_STEPS = [
+  'encryption_policy',
+  'network_policy',
+  'collection',
+  'access_policy',
+  'collection_active',
+  'vector_index',
+  'tenant_record'
+];
+
+class ProvisioningTracker {
+  /**
+   * @param {string} tenantId - Tenant UUID
+   * @param {DatabaseService} databaseService - Database service used for persistence
+   */
+  constructor(tenantId, databaseService) {
+    this.tenantId = tenantId;
+    this.databaseService = databaseService;
+    this.steps = new Map();
+  }
+
+  /**
+   * Loads previously recorded steps for the tenant
+   * 
+   * @returns {Promise<ProvisioningTracker>} The tracker, for chaining
+   */
+  async load() {
+    const rows = await this.databaseService.getProvisioningSteps(this.tenantId);
+    this.steps = new Map(rows.map(row => [row.step, row]));
+
+    const completed = rows.filter(row => row.status === 'completed').map(row => row.step);
+    if (completed.length > 0) {
+      logger.info('Resuming provisioning from recorded steps', {
+        tenantId: this.tenantId,
+        completedSteps: completed
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Checks whether a step completed in this or a previous run
+   * 
+   * @param {string} step - Step name
+   * @returns {boolean} True if completed
+   */
+  isCompleted(step) {
+    return this.steps.get(step)?.status === 'completed';
+  }
+
+  /**
+   * Records that a running step is still making progress
+   * Failures are logged only; the step itself is not affected
+   * 
+   * @param {string} step - Step name
+   * @returns {Promise<void>}
+   */
+  async touch(step) {
+    try {
+      await this.databaseService.touchProvisioningStep(this.tenantId, step);
+    } catch (error) {
+      logger.warn('Failed to record provisioning step progress', {
+        tenantId: this.tenantId,
+        step,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Runs a step unless it already completed, recording its outcome
+   * 
+   * @param {string} step - Step name (one of PROVISIONING_STEPS)
+   * @param {Function} fn - Async function performing the step; its result is persisted
+   * @returns {Promise<*>} Result of the step, or the stored result if it was skipped
+   */
+  async run(step, fn) {
+    if (!PROVISIONING_STEPS.includes(step)) {
+      throw new Error(`Unknown provisioning step '${step}'`);
+    }
+
+    if (this.isCompleted(step)) {
+      logger.info('Skipping completed provisioning step', { tenantId: this.tenantId, step });
+      return this.steps.get(step).details;
+    }
+
+    const started = await this.databaseService.recordProvisioningStep(this.tenantId, step, 'in_progress');
+
+    const endTimer = metrics.provisioningStepDuration.startTimer({ step });
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      endTimer({ outcome: 'failed' });
+      // Recorded with the tenant's failure details (see DatabaseService.markTenantOpenSearchFailed)
+      error.provisioningStep = step;
+      error.stepAttempts = started.attempts;
+
+      try {
+        await this.databaseService.recordProvisioningStep(this.tenantId, step, 'failed', {
+          error: `${error.name}: ${error.message}`
+        });
+      } catch (recordError) {
+        logger.error('Failed to record provisioning step failure', {
+          tenantId: this.tenantId,
+          step,
+          error: recordError.message
+        });
+      }
+      throw error;
+    }
+
+    endTimer({ outcome: 'completed' });
+
+    const row = await this.databaseService.recordProvisioningStep(this.tenantId, step, 'completed', {
+      details: result === undefined ? null : result
+    });
+    this.steps.set(step, row);
+
+    return result;
+  }
+}
+
+module.exports = ProvisioningTracker;
+module.exports.PROVISIONING_STEPS = PROVISIONING_STEPS;
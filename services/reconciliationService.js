@@ -0,0 +1,334 @@
+/**
+ * Reconciliation Service
+ * 
+ * Detects drift between public.accreda_tenants and the OpenSearch Serverless
+ * collections this service manages, and optionally repairs it.
+ * 
+ * Drift types:
+ * - orphaned_collection: managed collection whose tenant no longer exists, was deprovisioned,
+ *   or is placed in a different region or account
+ * - invalid_placement: tenant's region or role is not allowed by the service configuration
+ * - missing_collection: tenant marked 'ready' but its collection does not exist
+ * - failed_collection: tenant marked 'ready' but its collection is FAILED
+ * - arn_mismatch: tenant record does not reference the tenant's existing collection
+ * - missing_details: tenant record lacks the collection endpoint or id (e.g. provisioned before they were stored)
+ * - missing_policies: collection is missing its encryption, network or data access policy
+ * 
+ * Every region and account a tenant is placed in is scanned.
+ * Auto-repair never deletes collections: orphans are reported only.
+ */
+
+const logger = require('../utils/logger');
+
+class ReconciliationService {
+  /**
+   * @param {OpenSearchService} openSearchService - OpenSearch service
+   * @param {DatabaseService} databaseService - Database service
+   * @param {SQSService} sqsService - SQS service used to re-enqueue provisioning
+   * @param {AuditService} auditService - Optional audit service; repairs are audited when set
+   */
+  constructor(openSearchService, databaseService, sqsService, auditService = null) {
+    this.openSearchService = openSearchService;
+    this.databaseService = databaseService;
+    this.sqsService = sqsService;
+    this.auditService = auditService;
+  }
+
+  /**
+   * Compares tenant records against managed collections and policies
+   * 
+   * @returns {Promise<object>} Drift report with summary counts and issues
+   */
+  async detectDrift() {
+    logger.info('Starting drift detection');
+
+    const tenants = await this.databaseService.listTenants();
+    const issues = [];
+
+    // Scan every region and account a tenant is placed in, plus the service default
+    const services = new Map([[this.getPlacementKey(this.openSearchService), this.openSearchService]]);
+    const tenantServices = new Map();
+    for (const tenant of tenants) {
+      if (tenant.opensearch_status === 'deleted') {
+        continue;
+      }
+
+      try {
+        const service = this.openSearchService.forTenant(tenant);
+        services.set(this.getPlacementKey(service), service);
+        tenantServices.set(tenant.id, service);
+      } catch (error) {
+        issues.push({
+          type: 'invalid_placement',
+          tenantId: tenant.id,
+          tenantSlug: tenant.slug,
+          collectionName: this.openSearchService.getCollectionName(tenant.slug),
+          collectionArn: null,
+          region: tenant.opensearch_region || null,
+          details: error.message
+        });
+      }
+    }
+
+    const collections = [];
+    const policyNamesByPlacement = new Map();
+    for (const [key, service] of services) {
+      const placed = await service.listManagedCollections();
+      collections.push(...placed.map(collection => ({ ...collection, placementKey: key, region: service.region })));
+      policyNamesByPlacement.set(key, await service.listPolicyNames());
+    }
+
+    const tenantsById = new Map(tenants.map(tenant => [tenant.id, tenant]));
+    const collectionsByName = new Map(collections.map(collection => [
+      `${collection.placementKey}|${collection.name}`,
+      collection
+    ]));
+
+    // Collections without a live tenant, or outside their tenant's placement
+    for (const collection of collections) {
+      const tenant = tenantsById.get(collection.tags.TenantId);
+      const tenantService = tenant && tenantServices.get(tenant.id);
+      let details = null;
+
+      if (!tenant) {
+        details = 'Tenant record not found';
+      } else if (tenant.opensearch_status === 'deleted') {
+        details = 'Tenant OpenSearch status is deleted';
+      } else if (tenantService && this.getPlacementKey(tenantService) !== collection.placementKey) {
+        details = `Collection is in ${collection.region} but tenant is placed in ${tenantService.region}`;
+      }
+
+      if (details) {
+        issues.push({
+          type: 'orphaned_collection',
+          tenantId: collection.tags.TenantId || null,
+          tenantSlug: collection.tags.TenantSlug || null,
+          collectionName: collection.name,
+          collectionArn: collection.arn,
+          region: collection.region,
+          details
+        });
+      }
+    }
+
+    // Tenants whose record disagrees with OpenSearch
+    for (const tenant of tenants) {
+      const service = tenantServices.get(tenant.id);
+      if (!service) {
+        continue;
+      }
+
+      const collectionName = service.getCollectionName(tenant.slug);
+      const placementKey = this.getPlacementKey(service);
+      const collection = collectionsByName.get(`${placementKey}|${collectionName}`);
+      const base = {
+        tenantId: tenant.id,
+        tenantSlug: tenant.slug,
+        collectionName,
+        collectionArn: collection?.arn || null,
+        collectionId: collection?.id || null,
+        tenantStatus: tenant.opensearch_status || null,
+        region: service.region,
+        roleArn: service.roleArn,
+        kmsKeyArn: tenant.opensearch_kms_key_arn || null,
+        networkMode: tenant.opensearch_network_mode || null
+      };
+
+      if (!collection) {
+        if (tenant.opensearch_status === 'ready') {
+          issues.push({ ...base, type: 'missing_collection', details: 'Tenant is ready but collection does not exist' });
+        }
+        continue;
+      }
+
+      if (collection.tags.TenantId !== tenant.id) {
+        // Adoption would refuse this collection too; it is reported as orphaned or belongs elsewhere
+        continue;
+      }
+
+      if (collection.status === 'FAILED') {
+        if (tenant.opensearch_status === 'ready') {
+          issues.push({ ...base, type: 'failed_collection', details: 'Tenant is ready but collection is FAILED' });
+        }
+        continue;
+      }
+
+      if (collection.status === 'ACTIVE' && tenant.opensearch_arn !== collection.arn) {
+        issues.push({
+          ...base,
+          type: 'arn_mismatch',
+          details: `Tenant record has ARN '${tenant.opensearch_arn || '(none)'}' and status '${tenant.opensearch_status}'`
+        });
+      } else if (collection.status === 'ACTIVE' && (!tenant.opensearch_endpoint || !tenant.opensearch_collection_id)) {
+        issues.push({ ...base, type: 'missing_details', details: 'Tenant record has no collection endpoint or id' });
+      }
+
+      const policyNames = policyNamesByPlacement.get(placementKey);
+      const names = service.getPolicyNames(collectionName);
+      const missingPolicies = Object.entries(names)
+        .filter(([type, name]) => !policyNames[type].has(name))
+        .map(([type]) => type);
+
+      if (missingPolicies.length > 0) {
+        issues.push({
+          ...base,
+          type: 'missing_policies',
+          missingPolicies,
+          details: `Missing ${missingPolicies.join(', ')} policy`
+        });
+      }
+    }
+
+    const summary = {
+      tenants: tenants.length,
+      placements: services.size,
+      collections: collections.length,
+      issues: issues.length
+    };
+    for (const issue of issues) {
+      summary[issue.type] = (summary[issue.type] || 0) + 1;
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      summary,
+      issues
+    };
+
+    logger.info('Drift detection completed', summary);
+    for (const issue of issues) {
+      logger.warn('Drift detected', issue);
+    }
+
+    return report;
+  }
+
+  /**
+   * Identifies the region and account an OpenSearch service instance manages
+   * 
+   * @param {OpenSearchService} service - OpenSearch service
+   * @returns {string} Placement key
+   */
+  getPlacementKey(service) {
+    return `${service.region}|${service.roleArn || ''}`;
+  }
+
+  /**
+   * Repairs a single drift issue
+   * 
+   * @param {object} issue - Issue from detectDrift()
+   * @returns {Promise<string>} Description of the action taken
+   */
+  async repairIssue(issue) {
+    switch (issue.type) {
+      case 'missing_collection':
+      case 'failed_collection': {
+        // Deprovision clears the stale record and any leftovers, then provision
+        // recreates everything; both share the tenant's message group so they run in order
+        const timestamp = new Date().toISOString();
+        const message = { tenant_id: issue.tenantId, tenant_slug: issue.tenantSlug, timestamp };
+        await this.sqsService.sendMessage({ ...message, action: 'deprovision' });
+        await this.sqsService.sendMessage({ ...message, action: 'provision' });
+        return 'Re-enqueued deprovision and provision';
+      }
+
+      case 'arn_mismatch':
+      case 'missing_details': {
+        // Only a ready tenant has run every provisioning step. Others (e.g. failed or
+        // initializing) are provisioned again: the tracker adopts the collection and
+        // runs the steps still missing before the tenant becomes ready
+        if (issue.tenantStatus !== 'ready') {
+          await this.sqsService.sendMessage({
+            tenant_id: issue.tenantId,
+            tenant_slug: issue.tenantSlug,
+            timestamp: new Date().toISOString(),
+            action: 'provision'
+          });
+          return 'Re-enqueued provision';
+        }
+
+        // Collection summaries do not include the endpoint
+        const service = this.openSearchService.forPlacement({ region: issue.region, roleArn: issue.roleArn });
+        const details = await service.getCollection(issue.collectionName);
+
+        await this.databaseService.updateTenantOpenSearch(issue.tenantId, issue.collectionArn, 'ready', {
+          region: issue.region,
+          roleArn: issue.roleArn,
+          endpoint: details?.collectionEndpoint || null,
+          collectionName: issue.collectionName,
+          collectionId: issue.collectionId,
+          policyNames: service.getPolicyNames(issue.collectionName)
+        });
+        return 'Updated tenant record to collection ARN and details';
+      }
+
+      case 'missing_policies': {
+        const service = this.openSearchService.forPlacement({ region: issue.region, roleArn: issue.roleArn });
+
+        // Create methods tolerate policies that already exist
+        for (const policy of issue.missingPolicies) {
+          if (policy === 'encryption') {
+            await service.createEncryptionPolicy(issue.collectionName, issue.kmsKeyArn);
+          } else if (policy === 'network') {
+            await service.createNetworkPolicy(
+              issue.collectionName,
+              service.resolveNetworkOptions(issue.networkMode)
+            );
+          } else if (policy === 'access') {
+            await service.createDataAccessPolicy(
+              issue.collectionName,
+              issue.tenantId,
+              issue.tenantSlug
+            );
+          }
+        }
+        return `Recreated ${issue.missingPolicies.join(', ')} policy`;
+      }
+
+      default:
+        return 'Reported only';
+    }
+  }
+
+  /**
+   * Detects drift and optionally repairs it
+   * 
+   * @param {object} options - Reconciliation options
+   * @param {boolean} options.autoRepair - Repair issues that can be fixed automatically
+   * @returns {Promise<object>} Drift report; with autoRepair each issue has a `repair` result
+   */
+  async reconcile({ autoRepair = false } = {}) {
+    const report = await this.detectDrift();
+
+    if (!autoRepair) {
+      return report;
+    }
+
+    for (const issue of report.issues) {
+      try {
+        const repair = () => this.repairIssue(issue);
+        const action = this.auditService && issue.tenantId
+          ? await this.auditService.run({
+            tenantId: issue.tenantId,
+            action: `repair:${issue.type}`,
+            source: 'reconciliation',
+            details: { issue: issue.details }
+          }, repair)
+          : await repair();
+        issue.repair = { success: true, action };
+        logger.info('Drift repaired', { type: issue.type, tenantId: issue.tenantId, action: issue.repair.action });
+      } catch (error) {
+        issue.repair = { success: false, error: error.message };
+        logger.error('Failed to repair drift', {
+          type: issue.type,
+          tenantId: issue.tenantId,
+          error: error.message
+        });
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = ReconciliationService;
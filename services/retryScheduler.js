@@ -0,0 +1,296 @@
+/**
+ * Retry Scheduler
+ * 
+ * Reprovisions tenants that failed with a transient error, or whose provisioning
+ * stopped making progress (e.g. the task running it was replaced), without anyone
+ * re-sending a message.
+ * 
+ * Selection (see DatabaseService.listRetryCandidates):
+ * - failed tenants once their SQS message was dead-lettered, or RETRY_STUCK_AFTER_MINUTES
+ *   after the failure, so the queue's own retries run first
+ * - initializing tenants whose provisioning steps made no progress for RETRY_STUCK_AFTER_MINUTES
+ * - never a tenant with a step in progress that made progress within RETRY_STUCK_AFTER_MINUTES;
+ *   the collection wait records progress every poll, and config/index.js keeps the
+ *   threshold above the wait
+ * - only failures that are likely to pass on a later attempt: throttling, timeouts,
+ *   5xx responses and messages dead-lettered after stalling their worker.
+ *   Validation, permission and ownership errors need a person
+ * 
+ * Attempts are counted in public.tenant_opensearch_retries. After a failed attempt
+ * the next one waits RETRY_BASE_DELAY_SECONDS, doubling each time up to
+ * RETRY_MAX_DELAY_SECONDS; after RETRY_MAX_ATTEMPTS the tenant is left failed.
+ * A claimed tenant is leased for RETRY_STUCK_AFTER_MINUTES, so concurrent tasks
+ * never retry the same tenant.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Interval, backoff and attempt limits (see config/index.js)
+const RETRY_CONFIG = config.retry;
+
+// Error classes that indicate a temporary condition rather than a problem with the tenant
+const TRANSIENT_ERROR_CLASSES = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'RequestLimitExceeded',
+  'InternalServerException',
+  'InternalServerError',
+  'InternalFailure',
+  'ServiceUnavailableException',
+  'ServiceUnavailable',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'TimeoutError',
+  'CollectionTimeoutError',
+  // Dead-lettered after repeatedly crashing or stalling its worker (e.g. the task was
+  // replaced mid-provisioning), not because of an error in the request
+  'MaxReceiveCountExceededError'
+]);
+
+/**
+ * Decides whether a recorded failure is worth retrying automatically
+ * 
+ * @param {object|null} failure - Tenant's opensearch_failure (see describeFailure)
+ * @returns {boolean} True for throttling, timeouts, 5xx responses and stalled messages
+ */
+function isTransientFailure(failure) {
+  if (!failure) {
+    return false;
+  }
+
+  const status = Number(failure.httpStatusCode);
+  return TRANSIENT_ERROR_CLASSES.has(failure.errorClass) || status === 429 || status >= 500;
+}
+
+/**
+ * Computes the delay before the next retry: the base delay, doubled with every
+ * attempt, up to the maximum delay
+ * 
+ * @param {number} attempts - Attempts made so far, including the one that just failed
+ * @param {object} options - Backoff settings (default: RETRY_BASE/MAX_DELAY_SECONDS)
+ * @param {number} options.baseDelaySeconds - Delay after the first attempt
+ * @param {number} options.maxDelaySeconds - Longest delay between attempts
+ * @returns {number} Delay in seconds
+ */
+function retryDelaySeconds(attempts, {
+  baseDelaySeconds = RETRY_CONFIG.baseDelaySeconds,
+  maxDelaySeconds = RETRY_CONFIG.maxDelaySeconds
+} = {}) {
+  return Math.min(baseDelaySeconds * 2 ** Math.max(0, attempts - 1), maxDelaySeconds);
+}
+
+class RetryScheduler {
+  /**
+   * @param {ProvisioningService} provisioningService - Provisioning flow shared with the consumer
+   * @param {DatabaseService} databaseService - Database service owning the retry state
+   * @param {AuditService|null} auditService - Records each retry in the audit log when set
+   */
+  constructor(provisioningService, databaseService, auditService = null) {
+    this.provisioningService = provisioningService;
+    this.databaseService = databaseService;
+    this.auditService = auditService;
+    this.isRunning = false;
+    this.timer = null;
+    // Promise of the retry run in progress, if any
+    this.currentRun = null;
+    this.lastRunAt = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Selects the tenants due for an automatic retry
+   * 
+   * @returns {Promise<Array<object>>} Tenant records, at most RETRY_BATCH_SIZE
+   */
+  async findDueTenants() {
+    const candidates = await this.databaseService.listRetryCandidates({
+      stuckAfterMinutes: RETRY_CONFIG.stuckAfterMinutes,
+      maxAttempts: RETRY_CONFIG.maxAttempts
+    });
+
+    // Initializing tenants have no failure; their provisioning was interrupted
+    return candidates
+      .filter(tenant => tenant.opensearch_status === 'initializing' || isTransientFailure(tenant.opensearch_failure))
+      .slice(0, RETRY_CONFIG.batchSize);
+  }
+
+  /**
+   * Retries one tenant, if no other task claimed it first
+   * 
+   * @param {object} tenant - Tenant record from listRetryCandidates
+   * @returns {Promise<string|null>} Outcome ('provisioned', 'skipped' or 'failed'), or null if not claimed
+   */
+  async retryTenant(tenant) {
+    const attempt = await this.databaseService.claimTenantRetry(tenant.id, {
+      maxAttempts: RETRY_CONFIG.maxAttempts,
+      leaseMinutes: RETRY_CONFIG.stuckAfterMinutes
+    });
+    if (!attempt) {
+      return null;
+    }
+
+    logger.info('Retrying tenant provisioning', {
+      tenantId: tenant.id,
+      tenantSlug: tenant.slug,
+      attempt,
+      maxAttempts: RETRY_CONFIG.maxAttempts,
+      previousStatus: tenant.opensearch_status,
+      lastError: tenant.opensearch_failure?.message || null
+    });
+
+    const provision = () => this.provisioningService.provision(tenant.id, { attempts: attempt });
+
+    try {
+      const result = this.auditService
+        ? await this.auditService.run({
+          tenantId: tenant.id,
+          action: 'provision',
+          source: 'retry',
+          details: {
+            attempt,
+            previousStatus: tenant.opensearch_status,
+            previousError: tenant.opensearch_failure?.message || null
+          }
+        }, provision)
+        : await provision();
+
+      metrics.provisioningRetries.inc({ outcome: result.outcome });
+      return result.outcome;
+    } catch (error) {
+      const retry = await this.databaseService.recordTenantRetryFailure(tenant.id, error, {
+        delaySeconds: retryDelaySeconds(attempt)
+      });
+      metrics.provisioningRetries.inc({ outcome: 'failed' });
+
+      if (attempt >= RETRY_CONFIG.maxAttempts) {
+        logger.error('Tenant provisioning retries exhausted', {
+          tenantId: tenant.id,
+          attempts: attempt,
+          error: error.message
+        });
+      } else {
+        logger.warn('Tenant provisioning retry failed', {
+          tenantId: tenant.id,
+          attempt,
+          nextAttemptAt: retry?.next_attempt_at || null,
+          error: error.message
+        });
+      }
+      return 'failed';
+    }
+  }
+
+  /**
+   * Retries every due tenant, one at a time
+   * 
+   * @returns {Promise<object>} Counts of due, retried, provisioned and failed tenants
+   */
+  async retryDue() {
+    const tenants = await this.findDueTenants();
+    const counts = { due: tenants.length, retried: 0, provisioned: 0, skipped: 0, failed: 0 };
+
+    for (const tenant of tenants) {
+      if (!this.isRunning) {
+        break;
+      }
+
+      const outcome = await this.retryTenant(tenant);
+      if (outcome) {
+        counts.retried++;
+        counts[outcome]++;
+      }
+    }
+
+    if (counts.due > 0) {
+      logger.info('Provisioning retry run completed', counts);
+    }
+    return counts;
+  }
+
+  /**
+   * Starts checking for due retries every RETRY_INTERVAL_SECONDS
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('Starting provisioning retry scheduler', {
+      intervalSeconds: RETRY_CONFIG.intervalSeconds,
+      maxAttempts: RETRY_CONFIG.maxAttempts,
+      stuckAfterMinutes: RETRY_CONFIG.stuckAfterMinutes
+    });
+    this.schedule(RETRY_CONFIG.intervalSeconds * 1000);
+  }
+
+  /**
+   * Schedules the next retry run
+   * 
+   * @param {number} delayMs - Delay before the run
+   */
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.runOnce(), delayMs);
+  }
+
+  /**
+   * Performs one retry run and schedules the next
+   * 
+   * @returns {Promise<void>}
+   */
+  async runOnce() {
+    if (!this.isRunning || this.currentRun) {
+      return;
+    }
+
+    this.currentRun = this.retryDue()
+      .then((counts) => {
+        this.lastRun = counts;
+      })
+      .catch((error) => {
+        logger.error('Provisioning retry run failed', { error: error.message });
+        this.lastRun = { error: error.message };
+      })
+      .finally(() => {
+        this.lastRunAt = new Date().toISOString();
+        this.currentRun = null;
+      });
+    await this.currentRun;
+
+    if (this.isRunning) {
+      this.schedule(RETRY_CONFIG.intervalSeconds * 1000);
+    }
+  }
+
+  /**
+   * Reports scheduler state for the status endpoint
+   * 
+   * @returns {object} Whether it is running, and when and how the last run ended
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      retrying: Boolean(this.currentRun),
+      lastRunAt: this.lastRunAt,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Stops scheduling retries
+   * A retry in progress is not awaited, as provisioning can take many minutes; its
+   * lease expires and the next attempt resumes after the last completed step
+   */
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    logger.info('Provisioning retry scheduler stopped');
+  }
+}
+
+module.exports = RetryScheduler;
+module.exports.isTransientFailure = isTransientFailure;
+module.exports.retryDelaySeconds = retryDelaySeconds;
@@ -6,85 +6,109 @@
  * 
  * Security Features:
  * - Uses IAM role-based authentication
- * - Validates message structure before processing
+ * - Validates message structure before processing (via MessageRouter)
  * - Handles message deletion only after successful processing
+ * 
+ * Fault Tolerance:
+ * - Messages that fail more than maxReceiveCount times are forwarded to a
+ *   dead-letter queue with error details and attempt history, then deleted
+ * - Unparseable or invalid messages are quarantined in the dead-letter queue
+ * - A visibility heartbeat keeps in-flight messages hidden while a handler runs,
+ *   so long collection creation is never picked up by a second worker
+ * 
+ * Scalability:
+ * - Up to maxConcurrency messages are processed in parallel
+ * - Messages sharing a MessageGroupId run strictly one after another, in order;
+ *   after a failure the group's remaining messages are released for redelivery
  */
 
-const { SQSClient, ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  SQSClient,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+  SendMessageCommand,
+  ChangeMessageVisibilityCommand,
+  GetQueueAttributesCommand
+} = require('@aws-sdk/client-sqs');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const config = require('../config');
+
+// Queue URLs, retry and concurrency settings (see config/index.js)
+const SQS_CONFIG = config.sqs;
 
-const SQS_CONFIG = {
-  region: 'us-east-1',
-  queueUrl: 'https://sqs.us-east-1.amazonaws.com/625867133463/tenant-opensearch.fifo'
-};
+// SQS returns at most 10 messages per ReceiveMessage call
+const MAX_MESSAGES_PER_RECEIVE = 10;
+
+// Attempt history of messages that failed here but were finished elsewhere is
+// never deleted explicitly; entries expire after a day and the map is capped
+const ATTEMPT_HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPT_HISTORY_ENTRIES = 1000;
 
 class SQSService {
   constructor() {
-    this.client = new SQSClient({ region: SQS_CONFIG.region });
+    this.client = new SQSClient({
+      region: SQS_CONFIG.region,
+      // Optional endpoint override for local stand-ins
+      ...(SQS_CONFIG.endpoint && { endpoint: SQS_CONFIG.endpoint })
+    });
+    this.client.middlewareStack.add(metrics.createMetricsMiddleware('sqs'), {
+      step: 'initialize',
+      name: 'metricsMiddleware'
+    });
     this.queueUrl = SQS_CONFIG.queueUrl;
+    this.deadLetterQueueUrl = SQS_CONFIG.deadLetterQueueUrl;
+    this.maxReceiveCount = SQS_CONFIG.maxReceiveCount;
+    this.visibilityTimeout = SQS_CONFIG.visibilityTimeout;
+    this.heartbeatIntervalSeconds = SQS_CONFIG.heartbeatIntervalSeconds;
+    this.maxConcurrency = Math.max(1, SQS_CONFIG.maxConcurrency);
     this.isPolling = false;
-  }
-
-  /**
-   * Validates the structure of an SQS message payload
-   * 
-   * @param {object} messageBody - Parsed message body
-   * @returns {boolean} True if valid
-   */
-  validateMessage(messageBody) {
-    if (!messageBody || typeof messageBody !== 'object') {
-      logger.warn('Invalid message body: not an object');
-      return false;
-    }
-
-    const requiredFields = ['tenant_id', 'tenant_slug', 'timestamp'];
-    for (const field of requiredFields) {
-      if (!messageBody[field]) {
-        logger.warn(`Invalid message body: missing field '${field}'`);
-        return false;
-      }
-    }
-
-    // Validate UUID format for tenant_id
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(messageBody.tenant_id)) {
-      logger.warn('Invalid tenant_id format', { tenant_id: messageBody.tenant_id });
-      return false;
-    }
-
-    // Validate tenant_slug format (DNS-compatible)
-    const slugRegex = /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/;
-    if (!slugRegex.test(messageBody.tenant_slug)) {
-      logger.warn('Invalid tenant_slug format', { tenant_slug: messageBody.tenant_slug });
-      return false;
-    }
-
-    return true;
+    // In-flight message tasks keyed by MessageId
+    this.inFlight = new Map();
+    // Last queued task per MessageGroupId, used to serialize each group
+    this.groupTails = new Map();
+    // Failed attempts seen by this task, keyed by MessageId, oldest update first.
+    // Attempts on other tasks are not included; the audit log has every attempt by message id
+    this.attemptHistory = new Map();
+    // Stop functions of running visibility heartbeats, keyed by MessageId
+    this.heartbeats = new Map();
+    // Messages currently being handled, keyed by MessageId (reported by getStatus)
+    this.activeMessages = new Map();
+    this.lastProcessed = null;
+    // Liveness timestamps: last polling loop iteration and last visibility heartbeat
+    this.lastPollAt = null;
+    this.lastHeartbeatAt = null;
   }
 
   /**
    * Receives messages from the SQS queue
    * Uses long polling (20 seconds) for efficiency
    * 
+   * @param {number} maxMessages - Maximum number of messages to receive (1-10)
    * @returns {Promise<Array>} Array of messages
    */
-  async receiveMessages() {
+  async receiveMessages(maxMessages = 1) {
     try {
       const command = new ReceiveMessageCommand({
         QueueUrl: this.queueUrl,
-        MaxNumberOfMessages: 1, // Process one tenant at a time for safety
+        MaxNumberOfMessages: maxMessages,
         WaitTimeSeconds: 20, // Long polling
-        VisibilityTimeout: 300, // 5 minutes to process
-        MessageAttributeNames: ['All']
+        VisibilityTimeout: this.visibilityTimeout,
+        MessageAttributeNames: ['All'],
+        MessageSystemAttributeNames: ['ApproximateReceiveCount', 'MessageGroupId']
       });
 
       const response = await this.client.send(command);
-      
+
       if (!response.Messages || response.Messages.length === 0) {
         return [];
       }
 
       logger.info(`Received ${response.Messages.length} message(s) from SQS`);
+      metrics.messagesReceived.inc(response.Messages.length);
       return response.Messages;
     } catch (error) {
       logger.error('Failed to receive messages from SQS', { error: error.message });
@@ -92,6 +116,38 @@ class SQSService {
     }
   }
 
+  /**
+   * Sends a tenant message to the queue
+   * The tenant id is used as MessageGroupId so messages for one tenant stay ordered
+   * 
+   * @param {object} messageBody - Message body (must include tenant_id)
+   * @returns {Promise<string>} MessageId of the sent message
+   */
+  async sendMessage(messageBody) {
+    try {
+      const command = new SendMessageCommand({
+        QueueUrl: this.queueUrl,
+        MessageBody: JSON.stringify(messageBody),
+        MessageGroupId: messageBody.tenant_id,
+        MessageDeduplicationId: crypto.randomUUID()
+      });
+
+      const response = await this.client.send(command);
+      logger.info('Message sent to SQS queue', {
+        messageId: response.MessageId,
+        action: messageBody.action,
+        tenant_id: messageBody.tenant_id
+      });
+      return response.MessageId;
+    } catch (error) {
+      logger.error('Failed to send message to SQS', {
+        tenant_id: messageBody.tenant_id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Deletes a message from the queue after successful processing
    * 
@@ -113,60 +169,473 @@ class SQSService {
     }
   }
 
+  /**
+   * Extends a message's visibility timeout
+   * 
+   * @param {string} receiptHandle - Message receipt handle
+   * @param {number} visibilityTimeout - New visibility timeout in seconds, from now
+   * @returns {Promise<void>}
+   */
+  async changeMessageVisibility(receiptHandle, visibilityTimeout) {
+    const command = new ChangeMessageVisibilityCommand({
+      QueueUrl: this.queueUrl,
+      ReceiptHandle: receiptHandle,
+      VisibilityTimeout: visibilityTimeout
+    });
+
+    await this.client.send(command);
+  }
+
+  /**
+   * Starts a heartbeat that periodically resets the message's visibility timeout
+   * Heartbeat failures are logged but never interrupt the handler
+   * 
+   * @param {object} message - SQS message
+   * @returns {Function} Async function that stops the heartbeat and resolves once
+   *   a beat already in flight has settled
+   */
+  startHeartbeat(message) {
+    let beats = 0;
+    // Visibility change currently in flight, if any
+    let pending = null;
+
+    const beat = async () => {
+      try {
+        await this.changeMessageVisibility(message.ReceiptHandle, this.visibilityTimeout);
+        beats++;
+        this.lastHeartbeatAt = Date.now();
+        logger.debug('Extended message visibility', {
+          messageId: message.MessageId,
+          visibilityTimeout: this.visibilityTimeout,
+          beats
+        });
+      } catch (error) {
+        logger.error('Failed to extend message visibility', {
+          messageId: message.MessageId,
+          error: error.message
+        });
+      } finally {
+        pending = null;
+      }
+    };
+
+    const timer = setInterval(() => {
+      // Skip a beat rather than stacking requests if SQS is slow to respond
+      if (!pending) {
+        pending = beat();
+      }
+    }, this.heartbeatIntervalSeconds * 1000);
+
+    return async () => {
+      clearInterval(timer);
+      await pending;
+    };
+  }
+
+  /**
+   * Stops a message's visibility heartbeat, waiting for a beat already in flight
+   * Called before the message is deleted or released, so a late extension
+   * cannot hide a released message again
+   * 
+   * @param {object} message - SQS message
+   * @returns {Promise<void>}
+   */
+  async stopHeartbeat(message) {
+    const stop = this.heartbeats.get(message.MessageId);
+    if (!stop) {
+      return;
+    }
+
+    this.heartbeats.delete(message.MessageId);
+    await stop();
+  }
+
+  /**
+   * Returns how many times SQS has delivered the message, including this delivery
+   * 
+   * @param {object} message - SQS message
+   * @returns {number} Approximate receive count
+   */
+  getReceiveCount(message) {
+    return parseInt(message.Attributes?.ApproximateReceiveCount || '1', 10);
+  }
+
+  /**
+   * Records a failed processing attempt for a message
+   * 
+   * @param {object} message - SQS message
+   * @param {Error} error - Processing error
+   * @returns {Array<object>} Attempt history for the message
+   */
+  recordAttempt(message, error) {
+    const history = this.attemptHistory.get(message.MessageId) || [];
+
+    history.push({
+      receiveCount: this.getReceiveCount(message),
+      failedAt: new Date().toISOString(),
+      host: os.hostname(),
+      errorName: error.name,
+      errorMessage: error.message
+    });
+
+    // Re-insert so the map stays ordered by last update
+    this.attemptHistory.delete(message.MessageId);
+    this.attemptHistory.set(message.MessageId, history);
+    this.pruneAttemptHistory();
+    return history;
+  }
+
+  /**
+   * Drops attempt history that expired or exceeds the size cap, oldest first
+   * 
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneAttemptHistory(now = Date.now()) {
+    for (const [messageId, history] of this.attemptHistory) {
+      const lastFailedAt = Date.parse(history[history.length - 1].failedAt);
+      if (this.attemptHistory.size <= MAX_ATTEMPT_HISTORY_ENTRIES && now - lastFailedAt < ATTEMPT_HISTORY_TTL_MS) {
+        break;
+      }
+      this.attemptHistory.delete(messageId);
+    }
+  }
+
+  /**
+   * Forwards a message to the dead-letter queue with failure metadata
+   * The original message is left in place; callers delete it once this succeeds
+   * 
+   * @param {object} message - SQS message
+   * @param {string} reason - Why the message was dead-lettered
+   * @param {Error} error - Last processing error
+   * @returns {Promise<void>}
+   */
+  async sendToDeadLetterQueue(message, reason, error) {
+    try {
+      const payload = {
+        reason,
+        sourceQueueUrl: this.queueUrl,
+        originalMessageId: message.MessageId,
+        originalBody: message.Body,
+        receiveCount: this.getReceiveCount(message),
+        error: {
+          name: error.name,
+          message: error.message,
+          stack: error.stack,
+          requestId: error.$metadata?.requestId
+        },
+        attempts: this.attemptHistory.get(message.MessageId) || [],
+        deadLetteredAt: new Date().toISOString()
+      };
+
+      const command = new SendMessageCommand({
+        QueueUrl: this.deadLetterQueueUrl,
+        MessageBody: JSON.stringify(payload),
+        MessageGroupId: message.Attributes?.MessageGroupId || 'dead-letter',
+        MessageDeduplicationId: message.MessageId
+      });
+
+      await this.client.send(command);
+      logger.warn('Message forwarded to dead-letter queue', {
+        messageId: message.MessageId,
+        reason,
+        receiveCount: payload.receiveCount
+      });
+    } catch (dlqError) {
+      logger.error('Failed to forward message to dead-letter queue', {
+        messageId: message.MessageId,
+        error: dlqError.message
+      });
+      throw dlqError;
+    }
+  }
+
+  /**
+   * Dead-letters a message, notifies the caller and removes it from the queue
+   * 
+   * @param {object} message - SQS message
+   * @param {object|null} messageBody - Parsed message body, if it could be parsed
+   * @param {string} reason - Why the message was dead-lettered
+   * @param {Error} error - Last processing error
+   * @param {Function} onDeadLetter - Optional async callback (messageBody, error, receiveCount, { messageId })
+   * @returns {Promise<void>}
+   */
+  async quarantineMessage(message, messageBody, reason, error, onDeadLetter) {
+    await this.sendToDeadLetterQueue(message, reason, error);
+    metrics.messagesDeadLettered.inc({ reason });
+    if (!messageBody) {
+      metrics.messagesInvalid.inc({ reason });
+    }
+
+    if (onDeadLetter && messageBody) {
+      try {
+        await onDeadLetter(messageBody, error, this.getReceiveCount(message), { messageId: message.MessageId });
+      } catch (callbackError) {
+        logger.error('Dead-letter callback failed', {
+          messageId: message.MessageId,
+          error: callbackError.message
+        });
+      }
+    }
+
+    await this.stopHeartbeat(message);
+    await this.deleteMessage(message.ReceiptHandle);
+    this.attemptHistory.delete(message.MessageId);
+  }
+
+  /**
+   * Parses, validates and dispatches a single message
+   * 
+   * @param {object} message - SQS message
+   * @param {MessageRouter} router - Router with handlers registered per action
+   * @param {Function} onDeadLetter - Optional async callback for dead-lettered messages
+   * @returns {Promise<boolean>} True if the message left the queue (processed or dead-lettered),
+   *   false if it stays on the queue for a retry
+   */
+  async processMessage(message, router, onDeadLetter) {
+    const receiveCount = this.getReceiveCount(message);
+    let messageBody = null;
+
+    try {
+      // Parse message body
+      try {
+        messageBody = JSON.parse(message.Body);
+      } catch (parseError) {
+        logger.error('Unparseable message body, quarantining message', {
+          messageId: message.MessageId
+        });
+        await this.quarantineMessage(message, null, 'InvalidJson', parseError, onDeadLetter);
+        return true;
+      }
+
+      logger.info('Processing SQS message', {
+        messageId: message.MessageId,
+        action: messageBody && router.getAction(messageBody),
+        tenant_id: messageBody?.tenant_id,
+        tenant_slug: messageBody?.tenant_slug,
+        receiveCount
+      });
+
+      // Validate message structure
+      if (!router.validateMessage(messageBody)) {
+        logger.error('Invalid message structure, quarantining message', {
+          messageId: message.MessageId
+        });
+        const error = new Error('Message failed schema validation');
+        error.name = 'InvalidMessageError';
+        await this.quarantineMessage(message, null, 'InvalidMessage', error, onDeadLetter);
+        return true;
+      }
+
+      // A message received more often than allowed without being deleted has
+      // repeatedly crashed or stalled its worker; stop retrying it
+      if (receiveCount > this.maxReceiveCount) {
+        const error = new Error(`Message exceeded ${this.maxReceiveCount} receives without completing`);
+        error.name = 'MaxReceiveCountExceededError';
+        await this.quarantineMessage(message, messageBody, 'MaxReceiveCountExceeded', error, onDeadLetter);
+        return true;
+      }
+
+      // Process the message
+      this.activeMessages.set(message.MessageId, {
+        messageId: message.MessageId,
+        action: router.getAction(messageBody),
+        tenantId: messageBody.tenant_id,
+        tenantSlug: messageBody.tenant_slug,
+        receiveCount,
+        startedAt: new Date().toISOString()
+      });
+      await router.dispatch(messageBody, { messageId: message.MessageId, receiveCount });
+
+      // Delete message after successful processing
+      await this.stopHeartbeat(message);
+      await this.deleteMessage(message.ReceiptHandle);
+      this.attemptHistory.delete(message.MessageId);
+      this.recordProcessed(message, 'succeeded');
+
+      logger.info('Message processed successfully', {
+        messageId: message.MessageId,
+        tenant_id: messageBody.tenant_id
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error processing message', {
+        messageId: message.MessageId,
+        receiveCount,
+        maxReceiveCount: this.maxReceiveCount,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (!messageBody) {
+        return false;
+      }
+
+      this.recordAttempt(message, error);
+      this.recordProcessed(message, 'failed', error);
+
+      if (receiveCount >= this.maxReceiveCount) {
+        try {
+          await this.quarantineMessage(message, messageBody, 'MaxReceiveCountExceeded', error, onDeadLetter);
+          return true;
+        } catch (dlqError) {
+          // Leave the message on the queue; it will be dead-lettered on the next receive
+          logger.error('Failed to dead-letter message', {
+            messageId: message.MessageId,
+            error: dlqError.message
+          });
+        }
+      }
+      // Otherwise the message will become visible again after VisibilityTimeout
+      return false;
+    } finally {
+      this.activeMessages.delete(message.MessageId);
+    }
+  }
+
+  /**
+   * Remembers the outcome of the last handled message for getStatus() and metrics
+   * 
+   * @param {object} message - SQS message
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @param {Error} error - Processing error, if any
+   */
+  recordProcessed(message, outcome, error = null) {
+    const active = this.activeMessages.get(message.MessageId);
+    if (!active) {
+      return;
+    }
+
+    const labels = { action: active.action, outcome };
+    metrics.messagesProcessed.inc(labels);
+    metrics.messageDuration.observe(labels, (Date.now() - Date.parse(active.startedAt)) / 1000);
+
+    this.lastProcessed = {
+      ...active,
+      outcome,
+      error: error ? `${error.name}: ${error.message}` : null,
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Returns the key used to serialize processing of related messages
+   * Messages without a group (standard queues) are independent of each other
+   * 
+   * @param {object} message - SQS message
+   * @returns {string} Message group key
+   */
+  getMessageGroupId(message) {
+    return message.Attributes?.MessageGroupId || message.MessageId;
+  }
+
+  /**
+   * Makes a message visible again right away, without processing it
+   * Used for messages queued behind a failed message of their group, so SQS
+   * redelivers them after the failed message, in order
+   * 
+   * @param {object} message - SQS message
+   * @returns {Promise<void>}
+   */
+  async releaseMessage(message) {
+    logger.warn('Releasing message queued behind a failed message of its group', {
+      messageId: message.MessageId,
+      messageGroupId: message.Attributes?.MessageGroupId
+    });
+
+    try {
+      await this.stopHeartbeat(message);
+      await this.changeMessageVisibility(message.ReceiptHandle, 0);
+    } catch (error) {
+      // The message reappears once its visibility timeout expires
+      logger.error('Failed to release message', {
+        messageId: message.MessageId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queues a message for processing behind any in-flight message of its group
+   * The visibility heartbeat runs from receipt until processing finishes, so
+   * messages waiting on their group do not reappear on the queue either.
+   * Once a message of the group fails, the group's later messages in the batch
+   * are released instead of processed, so they never overtake it
+   * 
+   * @param {object} message - SQS message
+   * @param {MessageRouter} router - Router with handlers registered per action
+   * @param {Function} onDeadLetter - Optional async callback for dead-lettered messages
+   * @returns {Promise<boolean>} Resolves when the message has been handled; false if it
+   *   (or an earlier message of its group) stays on the queue
+   */
+  enqueueMessage(message, router, onDeadLetter) {
+    const groupId = this.getMessageGroupId(message);
+    const previous = this.groupTails.get(groupId) || Promise.resolve(true);
+    this.heartbeats.set(message.MessageId, this.startHeartbeat(message));
+
+    const task = previous
+      .then(async (previousHandled) => {
+        if (!previousHandled) {
+          await this.releaseMessage(message);
+          return false;
+        }
+        return this.processMessage(message, router, onDeadLetter);
+      })
+      .catch((error) => {
+        logger.error('Unexpected error in message worker', {
+          messageId: message.MessageId,
+          error: error.message
+        });
+        return false;
+      })
+      .finally(async () => {
+        await this.stopHeartbeat(message);
+        this.inFlight.delete(message.MessageId);
+        if (this.groupTails.get(groupId) === task) {
+          this.groupTails.delete(groupId);
+        }
+      });
+
+    this.inFlight.set(message.MessageId, task);
+    this.groupTails.set(groupId, task);
+    return task;
+  }
+
   /**
    * Starts polling the SQS queue
-   * Processes messages using the provided handler function
+   * Validates and dispatches messages through the provided router
    * 
-   * @param {Function} messageHandler - Async function to process messages
+   * @param {MessageRouter} router - Router with handlers registered per action
+   * @param {object} options - Polling options
+   * @param {Function} options.onDeadLetter - Async callback (messageBody, error, receiveCount, { messageId })
+   *   invoked when a valid message is dead-lettered
    * @returns {Promise<void>}
    */
-  async startPolling(messageHandler) {
+  async startPolling(router, { onDeadLetter = null } = {}) {
     this.isPolling = true;
-    logger.info('Starting SQS polling');
+    logger.info('Starting SQS polling', {
+      maxConcurrency: this.maxConcurrency,
+      maxReceiveCount: this.maxReceiveCount,
+      deadLetterQueueUrl: this.deadLetterQueueUrl
+    });
+
+    this.lastPollAt = Date.now();
 
     while (this.isPolling) {
+      this.lastPollAt = Date.now();
+
       try {
-        const messages = await this.receiveMessages();
+        const freeSlots = this.maxConcurrency - this.inFlight.size;
+
+        // All workers busy: wait for one to finish before receiving more
+        if (freeSlots <= 0) {
+          await Promise.race(this.inFlight.values());
+          continue;
+        }
+
+        const messages = await this.receiveMessages(Math.min(freeSlots, MAX_MESSAGES_PER_RECEIVE));
 
         for (const message of messages) {
-          try {
-            // Parse message body
-            const messageBody = JSON.parse(message.Body);
-            
-            logger.info('Processing SQS message', {
-              messageId: message.MessageId,
-              tenant_id: messageBody.tenant_id,
-              tenant_slug: messageBody.tenant_slug
-            });
-
-            // Validate message structure
-            if (!this.validateMessage(messageBody)) {
-              logger.error('Invalid message structure, deleting message', {
-                messageId: message.MessageId
-              });
-              await this.deleteMessage(message.ReceiptHandle);
-              continue;
-            }
-
-            // Process the message
-            await messageHandler(messageBody);
-
-            // Delete message after successful processing
-            await this.deleteMessage(message.ReceiptHandle);
-            
-            logger.info('Message processed successfully', {
-              messageId: message.MessageId,
-              tenant_id: messageBody.tenant_id
-            });
-          } catch (error) {
-            logger.error('Error processing message', {
-              messageId: message.MessageId,
-              error: error.message,
-              stack: error.stack
-            });
-            // Message will become visible again after VisibilityTimeout
-            // Consider implementing a dead-letter queue for persistent failures
-          }
+          this.enqueueMessage(message, router, onDeadLetter);
         }
       } catch (error) {
         logger.error('Error in polling loop', { error: error.message });
@@ -175,9 +644,66 @@ class SQSService {
       }
     }
 
+    if (this.inFlight.size > 0) {
+      logger.info('Waiting for in-flight messages to finish', { inFlight: this.inFlight.size });
+      await Promise.all(this.inFlight.values());
+    }
+
     logger.info('SQS polling stopped');
   }
 
+  /**
+   * Checks whether the polling loop is making progress
+   * While every worker is busy the loop waits on them, so recent visibility
+   * heartbeats of in-flight messages also count as progress
+   * 
+   * @param {number} maxAgeMs - Maximum age of the last loop iteration or heartbeat
+   * @returns {boolean} True if polling and recently active
+   */
+  isAlive(maxAgeMs) {
+    if (!this.isPolling) {
+      return false;
+    }
+
+    const now = Date.now();
+    const recentPoll = this.lastPollAt !== null && now - this.lastPollAt < maxAgeMs;
+    const recentHeartbeat = this.inFlight.size >= this.maxConcurrency &&
+      this.lastHeartbeatAt !== null && now - this.lastHeartbeatAt < maxAgeMs;
+
+    return recentPoll || recentHeartbeat;
+  }
+
+  /**
+   * Verifies the queue is reachable with the task's credentials
+   * 
+   * @returns {Promise<number>} Approximate number of visible messages
+   */
+  async checkQueue() {
+    const response = await this.client.send(new GetQueueAttributesCommand({
+      QueueUrl: this.queueUrl,
+      AttributeNames: ['ApproximateNumberOfMessages']
+    }));
+
+    return parseInt(response.Attributes?.ApproximateNumberOfMessages || '0', 10);
+  }
+
+  /**
+   * Returns a snapshot of the consumer's state
+   * 
+   * @returns {object} Polling state, in-flight messages and the last handled message
+   */
+  getStatus() {
+    return {
+      isPolling: this.isPolling,
+      maxConcurrency: this.maxConcurrency,
+      inFlight: Array.from(this.activeMessages.values()),
+      queuedBehindGroup: Math.max(0, this.inFlight.size - this.activeMessages.size),
+      lastProcessed: this.lastProcessed,
+      lastPollAt: this.lastPollAt && new Date(this.lastPollAt).toISOString(),
+      lastHeartbeatAt: this.lastHeartbeatAt && new Date(this.lastHeartbeatAt).toISOString()
+    };
+  }
+
   /**
    * Stops the polling loop gracefully
    */
@@ -188,4 +714,3 @@ class SQSService {
 }
 
 module.exports = SQSService;
-
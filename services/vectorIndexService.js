@@ -0,0 +1,271 @@
+/**
+ * Vector Index Service
+ * 
+ * Creates the k-NN vector index a Bedrock knowledge base expects inside a tenant
+ * collection, so the collection is usable as a knowledge base store as soon as
+ * provisioning completes.
+ * 
+ * Requests go to the collection's data plane endpoint and are signed with SigV4
+ * for the 'aoss' service, using the same credentials as the control plane client.
+ * 
+ * Fault Tolerance:
+ * - Creation is idempotent: an existing index is left untouched
+ * - 403s right after the data access policy is created, throttling and 5xx
+ *   responses are retried while the policy propagates
+ */
+
+const crypto = require('crypto');
+const { SignatureV4 } = require('@smithy/signature-v4');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordAwsCall } = require('../utils/auditContext');
+const { recordAwsApiCall } = require('../utils/metrics');
+
+// Index name, field names and k-NN settings (see config/index.js)
+const VECTOR_INDEX_CONFIG = config.opensearch.vectorIndex;
+
+// Data access policies can take a minute or two to apply to a new collection
+const MAX_ATTEMPTS = 10;
+const RETRY_DELAY_MS = 15000;
+
+/**
+ * SHA-256 implementation for the SigV4 signer, backed by Node's crypto module
+ */
+class Sha256 {
+  /**
+   * @param {string|Uint8Array} secret - HMAC key; plain SHA-256 when omitted
+   */
+  constructor(secret) {
+    this.hash = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+  }
+
+  update(data) {
+    this.hash.update(typeof data === 'string' ? Buffer.from(data, 'utf8') : data);
+  }
+
+  async digest() {
+    return new Uint8Array(this.hash.digest());
+  }
+}
+
+class VectorIndexService {
+  /**
+   * @param {object} options - Signing options
+   * @param {string} options.region - Region of the collections
+   * @param {Function|object} options.credentials - AWS credentials or credential provider
+   */
+  constructor({ region, credentials }) {
+    this.region = region;
+    this.signer = new SignatureV4({
+      service: 'aoss',
+      region,
+      credentials,
+      sha256: Sha256
+    });
+  }
+
+  /**
+   * Builds the index definition from the configured template
+   * Field names default to the ones the Bedrock console uses
+   * 
+   * @returns {object} Index settings and mappings
+   */
+  buildIndexBody() {
+    return {
+      settings: {
+        index: {
+          knn: true,
+          'knn.algo_param.ef_search': 512
+        }
+      },
+      mappings: {
+        properties: {
+          [VECTOR_INDEX_CONFIG.vectorField]: {
+            type: 'knn_vector',
+            dimension: VECTOR_INDEX_CONFIG.dimension,
+            method: {
+              name: 'hnsw',
+              engine: VECTOR_INDEX_CONFIG.engine,
+              space_type: VECTOR_INDEX_CONFIG.spaceType
+            }
+          },
+          [VECTOR_INDEX_CONFIG.textField]: {
+            type: 'text',
+            index: true
+          },
+          // Bedrock stores its own metadata here; it is never searched
+          [VECTOR_INDEX_CONFIG.metadataField]: {
+            type: 'text',
+            index: false
+          },
+          ...VECTOR_INDEX_CONFIG.extraMappings
+        }
+      }
+    };
+  }
+
+  /**
+   * Sends a signed request to a collection endpoint
+   * 
+   * @param {string} endpoint - Collection endpoint (https://<id>.<region>.aoss.amazonaws.com)
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {object} body - Optional JSON body
+   * @returns {Promise<object>} Response status, parsed body and request id
+   */
+  async request(endpoint, method, path, body = null) {
+    const url = new URL(path, endpoint);
+    const payload = body ? JSON.stringify(body) : undefined;
+
+    const signed = await this.signer.sign({
+      method,
+      protocol: url.protocol,
+      hostname: url.hostname,
+      path: url.pathname,
+      query: {},
+      headers: {
+        host: url.hostname,
+        ...(payload && { 'content-type': 'application/json' })
+      },
+      body: payload
+    });
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(url, { method, headers: signed.headers, body: payload });
+    } catch (error) {
+      recordAwsCall({ service: 'aoss', operation: `${method} ${path}`, input: body, error: error.message });
+      recordAwsApiCall('aoss', `${method} index`, error);
+      throw error;
+    }
+    const durationMs = Date.now() - startedAt;
+    // Failed responses are labelled by HTTP status; 404 is the expected answer for a new index
+    const failed = !response.ok && response.status !== 404;
+    recordAwsApiCall('aoss', `${method} index`, failed ? { name: `HTTP${response.status}` } : null);
+
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+      parsed = { message: text };
+    }
+
+    recordAwsCall({
+      service: 'aoss',
+      operation: `${method} ${path}`,
+      input: body,
+      output: parsed,
+      requestId: response.headers.get('x-request-id'),
+      httpStatusCode: response.status,
+      durationMs
+    });
+
+    return { status: response.status, body: parsed, requestId: response.headers.get('x-request-id') };
+  }
+
+  /**
+   * Sends a request, retrying while the collection's access policy propagates
+   * 
+   * @param {string} endpoint - Collection endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {object} body - Optional JSON body
+   * @returns {Promise<object>} Response status and parsed body
+   */
+  async requestWithRetry(endpoint, method, path, body = null) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        const response = await this.request(endpoint, method, path, body);
+        const retryable = response.status === 403 || response.status === 429 || response.status >= 500;
+
+        if (!retryable) {
+          return response;
+        }
+
+        lastError = this.createError(method, path, response);
+      } catch (error) {
+        // Network errors, e.g. DNS for a collection endpoint that was just created
+        lastError = error;
+      }
+
+      if (attempt < MAX_ATTEMPTS) {
+        logger.warn('Vector index request failed, retrying', {
+          endpoint,
+          method,
+          path,
+          attempt,
+          maxAttempts: MAX_ATTEMPTS,
+          error: lastError.message
+        });
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Builds an error from an unsuccessful response
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {object} response - Response from request()
+   * @returns {Error} VectorIndexError
+   */
+  createError(method, path, response) {
+    const reason = response.body?.error?.reason || response.body?.message || 'unknown error';
+    const error = new Error(`${method} ${path} failed with status ${response.status}: ${reason}`);
+    error.name = 'VectorIndexError';
+    error.statusCode = response.status;
+    error.requestId = response.requestId || null;
+    return error;
+  }
+
+  /**
+   * Creates the configured vector index unless it already exists
+   * 
+   * @param {string} endpoint - Collection endpoint
+   * @returns {Promise<object>} Index name and whether it was created by this call
+   * @throws {Error} VectorIndexError if the index cannot be created
+   */
+  async ensureIndex(endpoint) {
+    const indexName = VECTOR_INDEX_CONFIG.name;
+    const path = `/${encodeURIComponent(indexName)}`;
+
+    logger.info('Ensuring vector index exists', { endpoint, indexName });
+
+    const existing = await this.requestWithRetry(endpoint, 'GET', path);
+    if (existing.status === 200) {
+      logger.info('Vector index already exists', { endpoint, indexName });
+      return { indexName, created: false };
+    }
+    if (existing.status !== 404) {
+      throw this.createError('GET', path, existing);
+    }
+
+    const response = await this.requestWithRetry(endpoint, 'PUT', path, this.buildIndexBody());
+
+    if (response.status === 400 && response.body?.error?.type === 'resource_already_exists_exception') {
+      logger.info('Vector index already exists', { endpoint, indexName });
+      return { indexName, created: false };
+    }
+    if (response.status !== 200) {
+      throw this.createError('PUT', path, response);
+    }
+
+    logger.info('Vector index created successfully', {
+      endpoint,
+      indexName,
+      dimension: VECTOR_INDEX_CONFIG.dimension,
+      engine: VECTOR_INDEX_CONFIG.engine
+    });
+
+    return { indexName, created: true };
+  }
+}
+
+module.exports = VectorIndexService;
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const AdminServer = require('../services/adminServer');
+
+logger.silent = true;
+
+/**
+ * Starts a server on a free local port with the given routes
+ */
+async function startServer(t, routes) {
+  const server = new AdminServer({ host: '127.0.0.1', port: 0 });
+  for (const [path, handler] of Object.entries(routes)) {
+    server.route(path, handler);
+  }
+  await server.start();
+  t.after(() => server.stop());
+  return `http://127.0.0.1:${server.server.address().port}`;
+}
+
+test('routes answer with their status code and a JSON body that is never cached', async (t) => {
+  const url = await startServer(t, {
+    '/readyz': async () => ({ statusCode: 503, body: { status: 'not_ready' } })
+  });
+
+  const response = await fetch(`${url}/readyz?verbose=1`);
+
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get('content-type'), 'application/json');
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  assert.deepEqual(await response.json(), { status: 'not_ready' });
+});
+
+test('string bodies are sent as-is with the given content type', async (t) => {
+  const url = await startServer(t, {
+    '/metrics': async () => ({ statusCode: 200, body: 'up 1\n', contentType: 'text/plain; version=0.0.4' })
+  });
+
+  const response = await fetch(`${url}/metrics`);
+
+  assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4');
+  assert.equal(await response.text(), 'up 1\n');
+});
+
+test('unknown paths, other methods and failing handlers get 404, 405 and 500', async (t) => {
+  const url = await startServer(t, {
+    '/healthz': async () => ({ statusCode: 200, body: { status: 'ok' } }),
+    '/status': async () => {
+      throw new Error('database unavailable');
+    }
+  });
+
+  assert.equal((await fetch(`${url}/nope`)).status, 404);
+  assert.equal((await fetch(`${url}/healthz`, { method: 'POST' })).status, 405);
+
+  const failed = await fetch(`${url}/status`);
+  assert.equal(failed.status, 500);
+  assert.deepEqual(await failed.json(), { error: 'database unavailable' });
+});
+
+test('HEAD requests get the status without a body', async (t) => {
+  const url = await startServer(t, {
+    '/healthz': async () => ({ statusCode: 200, body: { status: 'ok' } })
+  });
+
+  const response = await fetch(`${url}/healthz`, { method: 'HEAD' });
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), '');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const AuditService = require('../services/auditService');
+const { createAuditMiddleware } = require('../utils/auditContext');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+const COLLECTION_ARN = 'arn:aws:aoss:us-east-1:625867133463:collection/abc123';
+
+function createAuditService() {
+  const events = [];
+  const auditService = new AuditService({ recordAuditEvent: async event => events.push(event) });
+  return { auditService, events };
+}
+
+/**
+ * Sends a command through the audit middleware as an SDK client would
+ */
+function sendThroughMiddleware(commandName, input, output) {
+  const handler = createAuditMiddleware('aoss')(async () => ({ output }), { commandName });
+  return handler({ input });
+}
+
+test('run records the request, each AWS response and the action response', async () => {
+  const { auditService, events } = createAuditService();
+  const collection = { arn: COLLECTION_ARN, endpoint: 'https://abc123.us-east-1.aoss.amazonaws.com', name: 'accreda-acme-corp' };
+
+  const result = await auditService.run({
+    tenantId: TENANT_ID,
+    action: 'provision',
+    source: 'sqs',
+    messageId: 'm-1',
+    details: { receiveCount: 1 }
+  }, async () => {
+    await sendThroughMiddleware(
+      'CreateCollectionCommand',
+      { name: 'accreda-acme-corp', type: 'VECTORSEARCH', clientToken: 'token' },
+      { createCollectionDetail: { arn: COLLECTION_ARN, status: 'CREATING' }, $metadata: { requestId: 'req-1', httpStatusCode: 200 } }
+    );
+    return { outcome: 'provisioned', tenantId: TENANT_ID, collection };
+  });
+
+  assert.deepEqual(result.collection, collection);
+  assert.equal(events.length, 1);
+  const [event] = events;
+  assert.equal(event.outcome, 'succeeded');
+  assert.deepEqual(event.response, { outcome: 'provisioned', tenantId: TENANT_ID, collection });
+  assert.equal(event.awsCalls.length, 1);
+  assert.deepEqual(
+    { ...event.awsCalls[0], at: undefined, durationMs: undefined },
+    {
+      at: undefined,
+      service: 'aoss',
+      operation: 'CreateCollectionCommand',
+      input: { name: 'accreda-acme-corp', type: 'VECTORSEARCH' },
+      output: { createCollectionDetail: { arn: COLLECTION_ARN, status: 'CREATING' } },
+      requestId: 'req-1',
+      httpStatusCode: 200,
+      durationMs: undefined
+    }
+  );
+});
+
+test('run records the skip reason returned by a skipped action', async () => {
+  const { auditService, events } = createAuditService();
+
+  await auditService.run({ tenantId: TENANT_ID, action: 'provision', source: 'cli' }, async () => {
+    AuditService.annotate({ outcome: 'skipped', details: { reason: 'Tenant already has an OpenSearch collection' } });
+    return { outcome: 'skipped', tenantId: TENANT_ID, reason: 'Tenant already has an OpenSearch collection' };
+  });
+
+  assert.equal(events[0].outcome, 'skipped');
+  assert.equal(events[0].response.reason, 'Tenant already has an OpenSearch collection');
+  assert.equal(events[0].details.reason, 'Tenant already has an OpenSearch collection');
+});
+
+test('run records a failure without a response and rethrows it', async () => {
+  const { auditService, events } = createAuditService();
+  const error = new Error('Collection accreda-acme-corp is in FAILED status');
+  error.name = 'CollectionFailedError';
+
+  await assert.rejects(
+    auditService.run({ tenantId: TENANT_ID, action: 'provision', source: 'sqs' }, async () => { throw error; }),
+    error
+  );
+
+  assert.equal(events[0].outcome, 'failed');
+  assert.equal(events[0].error, 'CollectionFailedError: Collection accreda-acme-corp is in FAILED status');
+  assert.equal(events[0].response, null);
+});
+
+test('a failed audit write does not change the action outcome', async () => {
+  const auditService = new AuditService({
+    recordAuditEvent: async () => { throw new Error('connection refused'); }
+  });
+
+  const result = await auditService.run({ tenantId: TENANT_ID, action: 'deprovision', source: 'sqs' }, async () => 'done');
+
+  assert.equal(result, 'done');
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Placement overrides must be allowed before the configuration is loaded
+process.env.OPENSEARCH_ALLOWED_REGIONS = 'us-east-1,us-west-2';
+
+const logger = require('../utils/logger');
+const DatabaseService = require('../services/databaseService');
+const ProvisioningService = require('../services/provisioningService');
+const AuditService = require('../services/auditService');
+const { COMMANDS, parseArgs } = require('../cli');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * Replaces the database, audit and provisioning calls the CLI makes, recording them in order
+ */
+function stubServices(t, { claim = 1, provision = async () => ({ outcome: 'provisioned', tenantId: TENANT_ID }) } = {}) {
+  const calls = [];
+  t.mock.method(DatabaseService.prototype, 'getTenant', async tenantId => ({
+    id: tenantId,
+    slug: 'acme-corp',
+    status: 'active',
+    opensearch_status: 'failed',
+    opensearch_region: null,
+    opensearch_role_arn: null,
+    opensearch_kms_key_arn: null,
+    opensearch_network_mode: null
+  }));
+  t.mock.method(DatabaseService.prototype, 'claimTenantRetry', async (tenantId, options) => {
+    calls.push(['claim', tenantId, options]);
+    return claim;
+  });
+  t.mock.method(DatabaseService.prototype, 'recordTenantRetryFailure', async (tenantId, error, options) => {
+    calls.push(['failure', tenantId, error.message, options]);
+    return null;
+  });
+  t.mock.method(AuditService.prototype, 'run', async (entry, fn) => {
+    calls.push(['audit', entry.action, entry.details]);
+    return fn();
+  });
+  t.mock.method(ProvisioningService.prototype, 'provision', async (tenantId, options) => {
+    calls.push(['provision', tenantId, options]);
+    return provision();
+  });
+  return calls;
+}
+
+test('parseArgs separates positional arguments, options and flags', () => {
+  assert.deepEqual(parseArgs(['provision', TENANT_ID, '--region=us-west-2', '--dry-run']), {
+    positional: ['provision', TENANT_ID],
+    options: { region: 'us-west-2', 'dry-run': true }
+  });
+});
+
+test('provision rejects disallowed placement and key flags before touching the tenant', async (t) => {
+  const calls = stubServices(t);
+
+  await assert.rejects(
+    COMMANDS.provision.run([TENANT_ID], { region: 'eu-west-1' }),
+    { name: 'UsageError', message: /eu-west-1/ }
+  );
+  await assert.rejects(
+    COMMANDS.provision.run([TENANT_ID], { 'kms-key-arn': 'not-a-key' }),
+    { name: 'UsageError' }
+  );
+  assert.deepEqual(calls, []);
+});
+
+test('provision claims the retry lease before provisioning', async (t) => {
+  const calls = stubServices(t, { claim: 3 });
+
+  const result = await COMMANDS.provision.run([TENANT_ID], { region: 'us-west-2' });
+
+  assert.equal(result.outcome, 'provisioned');
+  assert.deepEqual(calls, [
+    ['claim', TENANT_ID, { leaseMinutes: 60, ignoreBackoff: true }],
+    ['audit', 'provision', { region: 'us-west-2', roleArn: null, kmsKeyArn: null, attempt: 3 }],
+    ['provision', TENANT_ID, { region: 'us-west-2', roleArn: null, kmsKeyArn: null, attempts: 3 }]
+  ]);
+});
+
+test('provision reports a tenant leased by another task as busy', async (t) => {
+  const calls = stubServices(t, { claim: null });
+
+  const result = await COMMANDS.provision.run([TENANT_ID], {});
+
+  assert.equal(result.outcome, 'busy');
+  assert.equal(result.failed, 1);
+  assert.deepEqual(calls.map(call => call[0]), ['claim']);
+});
+
+test('a failed provision releases the lease with a backoff and is reported', async (t) => {
+  const calls = stubServices(t, {
+    provision: async () => {
+      throw new Error('Rate exceeded');
+    }
+  });
+
+  await assert.rejects(COMMANDS.provision.run([TENANT_ID], {}), /Rate exceeded/);
+  assert.deepEqual(calls.at(-1), ['failure', TENANT_ID, 'Rate exceeded', { delaySeconds: 300 }]);
+});
+
+function failedTenant(id, slug, fields = {}) {
+  return { id, slug, status: 'active', opensearch_status: 'failed', opensearch_failure: { message: 'Rate exceeded' }, ...fields };
+}
+
+test('retry-failed lists retryable failed tenants without provisioning them in a dry run', async (t) => {
+  const calls = stubServices(t);
+  t.mock.method(DatabaseService.prototype, 'listTenants', async () => [
+    failedTenant('t1', 'acme-corp'),
+    failedTenant('t2', 'globex', { status: 'inactive' }),
+    failedTenant('t3', 'initech', { opensearch_status: 'ready' }),
+    failedTenant('t4', 'umbrella')
+  ]);
+
+  const result = await COMMANDS['retry-failed'].run([], { 'dry-run': true, limit: '1' });
+
+  assert.deepEqual(result, {
+    dryRun: true,
+    tenants: 1,
+    failed: 0,
+    results: [{ tenantId: 't1', tenantSlug: 'acme-corp', lastError: 'Rate exceeded', outcome: 'would-retry' }]
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('retry-failed skips tenants leased elsewhere and counts tenants that fail again', async (t) => {
+  const calls = stubServices(t, {
+    provision: async () => {
+      throw new Error('Access denied');
+    }
+  });
+  t.mock.method(DatabaseService.prototype, 'listTenants', async () => [failedTenant('t1', 'acme-corp'), failedTenant('t2', 'globex')]);
+  t.mock.method(DatabaseService.prototype, 'claimTenantRetry', async tenantId => (tenantId === 't1' ? null : 2));
+
+  const result = await COMMANDS['retry-failed'].run([], {});
+
+  assert.deepEqual(result.results.map(tenant => [tenant.tenantId, tenant.outcome, tenant.error]), [
+    ['t1', 'busy', 'being retried by another task'],
+    ['t2', 'failed', 'Access denied']
+  ]);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(calls.at(-1), ['failure', 't2', 'Access denied', { delaySeconds: 600 }]);
+});
+
+test('retry-failed rejects a limit that is not a positive integer', async () => {
+  await assert.rejects(COMMANDS['retry-failed'].run([], { limit: '0' }), { name: 'UsageError' });
+});
+
+test('deprovision requires --yes unless previewing', async (t) => {
+  const calls = stubServices(t);
+
+  await assert.rejects(COMMANDS.deprovision.run([TENANT_ID], {}), { name: 'UsageError', message: /pass --yes/ });
+  assert.deepEqual(calls, []);
+});
+
+test('provision needs a tenant id and an existing tenant', async (t) => {
+  stubServices(t);
+  t.mock.method(DatabaseService.prototype, 'getTenant', async () => null);
+
+  await assert.rejects(COMMANDS.provision.run([], {}), { name: 'UsageError' });
+  await assert.rejects(COMMANDS.provision.run([TENANT_ID], {}), { name: 'TenantNotFoundError' });
+});
+
+test('a dry run reports steps that would be blocked as failures', async (t) => {
+  const calls = stubServices(t);
+  t.mock.method(ProvisioningService.prototype, 'plan', async (tenantId, options) => ({
+    outcome: 'planned',
+    tenantId,
+    offline: options.offline,
+    plan: { steps: [{ step: 'encryption_policy', action: 'create' }, { step: 'collection', action: 'blocked' }] }
+  }));
+
+  const result = await COMMANDS.provision.run([TENANT_ID], { 'dry-run': true, offline: true });
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.offline, true);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, describeConfig } = require('../config');
+
+/**
+ * Loads the configuration and returns the ConfigurationError problems, if any
+ */
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.equal(error.name, 'ConfigurationError');
+    return error.problems;
+  }
+}
+
+test('defaults produce a valid configuration', () => {
+  const config = loadConfig({});
+
+  assert.equal(config.aws.region, 'us-east-1');
+  assert.equal(config.aws.partition, 'aws');
+  assert.equal(config.sqs.queueUrl, 'https://sqs.us-east-1.amazonaws.com/625867133463/tenant-opensearch.fifo');
+  assert.deepEqual(config.opensearch.allowedRegions, ['us-east-1']);
+  assert.equal(config.retry.enabled, true);
+  assert.ok(Object.isFrozen(config.sqs));
+});
+
+test('defaults follow values resolved earlier', () => {
+  const config = loadConfig({ AWS_REGION: 'us-gov-west-1', AWS_ACCOUNT_ID: '123456789012' });
+
+  assert.equal(config.aws.partition, 'aws-us-gov');
+  assert.equal(config.sqs.region, 'us-gov-west-1');
+  assert.equal(config.opensearch.accountId, '123456789012');
+});
+
+test('integers are coerced and range-checked', () => {
+  assert.equal(loadConfig({ SQS_MAX_CONCURRENCY: ' 12 ' }).sqs.maxConcurrency, 12);
+
+  assert.deepEqual(problemsOf({ SQS_MAX_CONCURRENCY: '0' }), [
+    'SQS_MAX_CONCURRENCY (sqs.maxConcurrency) must be an integer between 1 and 100'
+  ]);
+  assert.equal(problemsOf({ DB_PORT: '54.5' }).length, 1);
+});
+
+test('booleans accept true, false, 1 and 0 only', () => {
+  assert.equal(loadConfig({ DB_SSL: 'FALSE' }).database.ssl, false);
+  assert.equal(loadConfig({ DB_SSL: '1' }).database.ssl, true);
+
+  assert.deepEqual(problemsOf({ DB_SSL: 'yes' }), ['DB_SSL (database.ssl) must be true or false']);
+});
+
+test('enums, URLs, patterns, lists and JSON are validated', () => {
+  assert.deepEqual(problemsOf({
+    DB_AUTH: 'kerberos',
+    SQS_ENDPOINT: 'ftp://localhost',
+    AWS_ACCOUNT_ID: '1234',
+    OPENSEARCH_VPC_ENDPOINT_IDS: 'vpce-abc, endpoint-1',
+    OPENSEARCH_VECTOR_INDEX_MAPPINGS: '{'
+  }), [
+    'AWS_ACCOUNT_ID (aws.accountId) has an invalid format: \'1234\'',
+    'DB_AUTH (database.auth) must be one of iam, password',
+    'SQS_ENDPOINT (sqs.endpoint) must be an http(s) URL',
+    'OPENSEARCH_VPC_ENDPOINT_IDS (opensearch.network.vpcEndpointIds) contains invalid value \'endpoint-1\'',
+    'OPENSEARCH_VECTOR_INDEX_MAPPINGS (opensearch.vectorIndex.extraMappings) must be valid JSON'
+  ]);
+
+  assert.deepEqual(
+    loadConfig({ OPENSEARCH_VPC_ENDPOINT_IDS: 'vpce-abc, vpce-def,' }).opensearch.network.vpcEndpointIds,
+    ['vpce-abc', 'vpce-def']
+  );
+});
+
+test('every region setting must be a region name', () => {
+  assert.deepEqual(problemsOf({
+    AWS_REGION: 'us-east1',
+    DB_REGION: 'US-EAST-1',
+    SQS_REGION: 'us-east-1 ',
+    OPENSEARCH_REGION: 'useast-1',
+    OPENSEARCH_ALLOWED_REGIONS: 'us-east-1,us-west',
+    EVENTS_REGION: 'eu-west-1a'
+  }), [
+    'AWS_REGION (aws.region) has an invalid format: \'us-east1\'',
+    'DB_REGION (database.region) has an invalid format: \'US-EAST-1\'',
+    'SQS_REGION (sqs.region) has an invalid format: \'us-east-1 \'',
+    'OPENSEARCH_REGION (opensearch.region) has an invalid format: \'useast-1\'',
+    'OPENSEARCH_ALLOWED_REGIONS (opensearch.allowedRegions) contains invalid value \'us-west\'',
+    'EVENTS_REGION (events.region) has an invalid format: \'eu-west-1a\''
+  ]);
+
+  const config = loadConfig({ DB_REGION: 'us-west-2', SQS_REGION: 'eu-west-1', EVENTS_REGION: 'us-gov-east-1' });
+  assert.equal(config.database.region, 'us-west-2');
+  assert.equal(config.sqs.region, 'eu-west-1');
+  assert.equal(config.events.region, 'us-gov-east-1');
+});
+
+test('environment variables take precedence over CONFIG_FILE values', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-opensearch-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ sqs: { maxConcurrency: 8, maxReceiveCount: 3 } }));
+
+  const config = loadConfig({ CONFIG_FILE: file, SQS_MAX_CONCURRENCY: '2' });
+
+  assert.equal(config.sqs.maxConcurrency, 2);
+  assert.equal(config.sqs.maxReceiveCount, 3);
+  assert.match(problemsOf({ CONFIG_FILE: path.join(dir, 'missing.json') })[0], /could not be read/);
+});
+
+test('cross-field checks run once every value is valid', () => {
+  const crossFieldCases = [
+    [{ SQS_HEARTBEAT_INTERVAL_SECONDS: '300' }, 'SQS_HEARTBEAT_INTERVAL_SECONDS must be lower than SQS_VISIBILITY_TIMEOUT'],
+    [{ ADMIN_LIVENESS_MAX_AGE_SECONDS: '60' }, 'ADMIN_LIVENESS_MAX_AGE_SECONDS must be greater than SQS_HEARTBEAT_INTERVAL_SECONDS'],
+    [{ RETRY_STUCK_AFTER_MINUTES: '39' }, 'RETRY_STUCK_AFTER_MINUTES must be at least OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES plus 10'],
+    [{ RETRY_STUCK_AFTER_MINUTES: '60', OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES: '55' }, 'RETRY_STUCK_AFTER_MINUTES must be at least OPENSEARCH_COLLECTION_ACTIVE_TIMEOUT_MINUTES plus 10'],
+    [{ RETRY_BASE_DELAY_SECONDS: '600', RETRY_MAX_DELAY_SECONDS: '300' }, 'RETRY_MAX_DELAY_SECONDS must not be lower than RETRY_BASE_DELAY_SECONDS'],
+    [{ DB_AUTH: 'password' }, 'DB_PASSWORD is required when DB_AUTH is password'],
+    [{ OPENSEARCH_NETWORK_MODE: 'private', OPENSEARCH_SOURCE_SERVICES: ',' }, 'OPENSEARCH_NETWORK_MODE=private requires OPENSEARCH_VPC_ENDPOINT_IDS or OPENSEARCH_SOURCE_SERVICES'],
+    [{ OPENSEARCH_ALLOWED_REGIONS: 'us-west-2' }, 'OPENSEARCH_ALLOWED_REGIONS must include the default region us-east-1'],
+    [{ OPENSEARCH_KMS_KEY_ARN: 'arn:aws:kms:us-west-2:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab' }, 'OPENSEARCH_KMS_KEY_ARN must be a key in us-east-1'],
+    [{ OPENSEARCH_PERMISSION_SETS: '{"read-write": {"collection": ["aoss:*"], "index": []}}' }, 'OPENSEARCH_PERMISSION_SETS must define \'read-write\' with non-empty aoss: collection and index permission lists'],
+    [{ OPENSEARCH_VECTOR_INDEX_MAPPINGS: '{"AMAZON_BEDROCK_TEXT_CHUNK": {"type": "text"}}' }, 'OPENSEARCH_VECTOR_INDEX_MAPPINGS must not redefine the vector, text or metadata field'],
+    [{ EVENTS_TRANSPORT: 'sns' }, 'EVENTS_TARGET is required when EVENTS_TRANSPORT is sns'],
+    [{ EVENTS_TRANSPORT: 'sqs', EVENTS_TARGET: 'tenant-events' }, 'EVENTS_TARGET must be an SQS queue URL when EVENTS_TRANSPORT is sqs']
+  ];
+
+  for (const [env, problem] of crossFieldCases) {
+    assert.ok(problemsOf(env).includes(problem), `${JSON.stringify(env)} should report: ${problem}`);
+  }
+
+  // Invalid values are reported on their own, without cross-field noise
+  assert.equal(problemsOf({ DB_AUTH: 'password', DB_PORT: 'x' }).length, 1);
+});
+
+test('describeConfig masks secrets', () => {
+  const described = describeConfig(loadConfig({ DB_AUTH: 'password', DB_PASSWORD: 'hunter2' }));
+
+  assert.equal(described.database.password, '********');
+  assert.equal(described.database.auth, 'password');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv } = require('../utils/csv');
+
+test('writes a header line and one CRLF-terminated line per row', () => {
+  const csv = toCsv([{ id: 1, action: 'provision' }, { id: 2, action: 'deprovision' }], ['id', 'action']);
+
+  assert.equal(csv, 'id,action\r\n1,provision\r\n2,deprovision\r\n');
+});
+
+test('writes only the requested columns, in order, and empty fields for missing values', () => {
+  const csv = toCsv([{ outcome: 'failed', id: 7, error: null, extra: 'x' }], ['id', 'error', 'actor', 'outcome']);
+
+  assert.equal(csv, 'id,error,actor,outcome\r\n7,,,failed\r\n');
+});
+
+test('quotes fields containing commas, quotes or line breaks', () => {
+  const csv = toCsv([{ error: 'ThrottlingException: Rate exceeded, "retry"\nlater' }], ['error']);
+
+  assert.equal(csv, 'error\r\n"ThrottlingException: Rate exceeded, ""retry""\nlater"\r\n');
+});
+
+test('writes dates as ISO 8601 and objects as quoted JSON', () => {
+  const csv = toCsv([{
+    started_at: new Date('2026-01-01T12:00:00Z'),
+    details: { receiveCount: 2, dryRun: false }
+  }], ['started_at', 'details']);
+
+  assert.equal(csv, 'started_at,details\r\n2026-01-01T12:00:00.000Z,"{""receiveCount"":2,""dryRun"":false}"\r\n');
+});
+
+test('writes only the header for no rows', () => {
+  assert.equal(toCsv([], ['id', 'action']), 'id,action\r\n');
+});
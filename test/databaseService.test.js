@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const database = require('../config/database');
+
+// DatabaseService takes its connection helpers when it loads; route them to the client of the running test
+let currentClient = null;
+database.getClient = async () => currentClient;
+database.query = (sql, params) => currentClient.query(sql, params);
+
+const DatabaseService = require('../services/databaseService');
+const ProvisioningService = require('../services/provisioningService');
+const ProvisioningTracker = require('../services/provisioningTracker');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * Database client recording each statement's first line and parameters
+ * The respond callback supplies rows for a statement, by its SQL, or throws
+ */
+function useClient(respond = () => []) {
+  const statements = [];
+  currentClient = {
+    statements,
+    released: false,
+    query: async (sql, params = []) => {
+      statements.push([sql.trim().split('\n')[0].trim(), params]);
+      return { rows: respond(sql, params) };
+    },
+    release() {
+      this.released = true;
+    }
+  };
+  return currentClient;
+}
+
+/**
+ * Client for markTenantOpenSearchFailed of a tenant currently in previousStatus
+ */
+function useFailingTenant(previousStatus) {
+  return useClient((sql) => {
+    if (sql.startsWith('SELECT opensearch_status')) {
+      return [{ opensearch_status: previousStatus }];
+    }
+    return sql.startsWith('UPDATE public.accreda_tenants')
+      ? [{ id: TENANT_ID, slug: 'acme-corp', opensearch_status: 'failed' }]
+      : [];
+  });
+}
+
+function storedFailure(client) {
+  const update = client.statements.find(([sql]) => sql.startsWith('UPDATE public.accreda_tenants'));
+  return JSON.parse(update[1][2]);
+}
+
+function outboxEvents(client) {
+  return client.statements.filter(([sql]) => sql.startsWith('INSERT INTO public.tenant_opensearch_outbox'));
+}
+
+test('markTenantOpenSearchFailed records the error class, step, AWS request and attempts', async () => {
+  const client = useFailingTenant('initializing');
+  const error = new Error('Rate exceeded');
+  error.name = 'ThrottlingException';
+  error.$metadata = { requestId: 'req-1', httpStatusCode: 400 };
+  error.provisioningStep = 'collection';
+  error.stepAttempts = 2;
+
+  await new DatabaseService().markTenantOpenSearchFailed(TENANT_ID, error, { attempts: 3 });
+
+  const { failedAt, ...failure } = storedFailure(client);
+  assert.deepEqual(failure, {
+    errorClass: 'ThrottlingException',
+    message: 'Rate exceeded',
+    step: 'collection',
+    stepAttempts: 2,
+    awsRequestId: 'req-1',
+    httpStatusCode: 400,
+    attempts: 3,
+    deadLettered: false
+  });
+  assert.ok(!Number.isNaN(Date.parse(failedAt)));
+  assert.equal(outboxEvents(client).length, 1);
+  assert.equal(client.statements.at(-1)[0], 'COMMIT');
+});
+
+test('a tenant that was already failed gets the new details without a second failed event', async () => {
+  const client = useFailingTenant('failed');
+
+  await new DatabaseService().markTenantOpenSearchFailed(TENANT_ID, new Error('Rate exceeded'), { attempts: 4 });
+
+  assert.equal(storedFailure(client).attempts, 4);
+  assert.deepEqual(outboxEvents(client), []);
+});
+
+test('a dead-lettered message is recorded from its error description', async () => {
+  const client = useFailingTenant('initializing');
+
+  await new DatabaseService().markTenantOpenSearchFailed(TENANT_ID, 'Message exceeded 5 receives', { attempts: 5, deadLettered: true });
+
+  const failure = storedFailure(client);
+  assert.equal(failure.errorClass, null);
+  assert.equal(failure.message, 'Message exceeded 5 receives');
+  assert.equal(failure.deadLettered, true);
+});
+
+test('markTenantOpenSearchFailed rolls back and does not throw when the database fails', async () => {
+  const client = useClient((sql) => {
+    if (sql.startsWith('UPDATE')) {
+      throw new Error('connection lost');
+    }
+    return [{ opensearch_status: 'initializing' }];
+  });
+
+  await new DatabaseService().markTenantOpenSearchFailed(TENANT_ID, new Error('Rate exceeded'));
+
+  assert.equal(client.statements.at(-1)[0], 'ROLLBACK');
+  assert.equal(client.released, true);
+});
+
+test('a failed provisioning step is recorded on the tenant with the delivery attempt', async (t) => {
+  const failures = [];
+  const databaseService = {
+    getTenant: async () => ({ id: TENANT_ID, slug: 'acme-corp', status: 'active', opensearch_status: 'initializing', opensearch_region: 'us-east-1' }),
+    validateTenantForProvisioning: () => ({ isValid: true }),
+    getProvisioningSteps: async () => [],
+    recordProvisioningStep: async (tenantId, step, status) => ({ step, status, attempts: 2 }),
+    markTenantOpenSearchFailed: async (tenantId, error, context) => failures.push([error.provisioningStep, error.stepAttempts, context])
+  };
+  const openSearchService = {
+    resolvePlacement: () => ({ region: 'us-east-1', roleArn: null }),
+    forPlacement: () => ({
+      resolveKmsKeyArn: () => null,
+      resolveNetworkOptions: () => ({ mode: 'public' }),
+      createCollection: async (tenantId, slug, { tracker }) => {
+        assert.ok(tracker instanceof ProvisioningTracker);
+        return tracker.run('access_policy', async () => {
+          throw new Error('Access denied');
+        });
+      }
+    })
+  };
+
+  await assert.rejects(
+    new ProvisioningService(openSearchService, databaseService).provision(TENANT_ID, { attempts: 3 }),
+    /Access denied/
+  );
+  assert.deepEqual(failures, [['access_policy', 2, { attempts: 3 }]]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffJson } = require('../utils/jsonDiff');
+
+test('equal values have no differences', () => {
+  const policy = [{ Rules: [{ ResourceType: 'collection', Resource: ['collection/a'] }], AllowFromPublic: true }];
+
+  assert.deepEqual(diffJson(policy, JSON.parse(JSON.stringify(policy))), []);
+  assert.deepEqual(diffJson('a', 'a'), []);
+  assert.deepEqual(diffJson(null, null), []);
+});
+
+test('scalar changes are reported at their path', () => {
+  assert.deepEqual(
+    diffJson({ rule: { AllowFromPublic: true } }, { rule: { AllowFromPublic: false } }),
+    [{ path: '$.rule.AllowFromPublic', current: true, desired: false }]
+  );
+});
+
+test('added and removed keys are reported with undefined on the missing side', () => {
+  assert.deepEqual(diffJson({ a: 1, b: 2 }, { a: 1, c: 3 }), [
+    { path: '$.b', current: 2, desired: undefined },
+    { path: '$.c', current: undefined, desired: 3 }
+  ]);
+});
+
+test('arrays are compared by index, including extra elements', () => {
+  assert.deepEqual(diffJson({ Principal: ['x', 'y'] }, { Principal: ['x', 'z', 'w'] }), [
+    { path: '$.Principal[1]', current: 'y', desired: 'z' },
+    { path: '$.Principal[2]', current: undefined, desired: 'w' }
+  ]);
+});
+
+test('a change of type is reported once, at the value that changed', () => {
+  assert.deepEqual(diffJson({ a: [1] }, { a: { 0: 1 } }), [{ path: '$.a', current: [1], desired: { 0: 1 } }]);
+  assert.deepEqual(diffJson({ a: null }, { a: {} }), [{ path: '$.a', current: null, desired: {} }]);
+});
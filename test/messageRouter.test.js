@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const MessageRouter = require('../services/messageRouter');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+function message(fields = {}) {
+  return {
+    tenant_id: TENANT_ID,
+    tenant_slug: 'acme-corp',
+    timestamp: '2026-01-01T00:00:00Z',
+    ...fields
+  };
+}
+
+function createRouter() {
+  const calls = [];
+  const router = new MessageRouter()
+    .register('provision', async (body, context) => calls.push(['provision', body, context]), {
+      validate: body => (body.kms_key_arn === 'bad' ? 'kms_key_arn is invalid' : null)
+    })
+    .register('deprovision', async (body, context) => calls.push(['deprovision', body, context]))
+    .register('policy-update', async (body, context) => calls.push(['policy-update', body, context]), {
+      requiredFields: ['tenant_id', 'timestamp']
+    });
+  return { router, calls };
+}
+
+test('getAction reads action, then type, and defaults to provision', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.getAction(message({ action: 'deprovision' })), 'deprovision');
+  assert.equal(router.getAction(message({ type: 'deprovision' })), 'deprovision');
+  assert.equal(router.getAction(message()), 'provision');
+});
+
+test('validateMessage accepts a complete message of a registered action', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(message()), true);
+  assert.equal(router.validateMessage(message({ action: 'deprovision' })), true);
+});
+
+test('validateMessage rejects non-objects and unknown actions', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(null), false);
+  assert.equal(router.validateMessage('provision'), false);
+  assert.equal(router.validateMessage(message({ action: 'rename' })), false);
+});
+
+test('validateMessage applies the required fields of the action', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(message({ tenant_slug: undefined })), false);
+  assert.equal(router.validateMessage(message({ action: 'policy-update', tenant_slug: undefined })), true);
+  assert.equal(router.validateMessage(message({ action: 'policy-update', timestamp: '' })), false);
+});
+
+test('validateMessage checks the format of tenant_id and tenant_slug when present', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(message({ tenant_id: 'not-a-uuid' })), false);
+  assert.equal(router.validateMessage(message({ tenant_slug: 'Acme_Corp' })), false);
+  assert.equal(router.validateMessage(message({ action: 'policy-update', tenant_slug: '-x' })), false);
+});
+
+test('validateMessage rejects null and number values for formatted fields', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(message({ action: 'policy-update', tenant_slug: null })), false);
+  assert.equal(router.validateMessage(message({ action: 'policy-update', tenant_slug: 1234 })), false);
+  assert.equal(router.validateMessage(message({ tenant_slug: 1234 })), false);
+  assert.equal(router.validateMessage(message({ tenant_id: 12345678 })), false);
+});
+
+test('validateMessage runs the action validator', () => {
+  const { router } = createRouter();
+
+  assert.equal(router.validateMessage(message({ kms_key_arn: 'bad' })), false);
+  assert.equal(router.validateMessage(message({ action: 'deprovision', kms_key_arn: 'bad' })), true);
+});
+
+test('dispatch calls the handler of the action with the delivery context', async () => {
+  const { router, calls } = createRouter();
+  const body = message({ type: 'deprovision' });
+
+  await router.dispatch(body, { messageId: 'm-1', receiveCount: 2 });
+
+  assert.deepEqual(calls, [['deprovision', body, { messageId: 'm-1', receiveCount: 2 }]]);
+});
+
+test('dispatch rejects actions without a handler', async () => {
+  const { router } = createRouter();
+
+  await assert.rejects(router.dispatch(message({ action: 'rename' })), /No handler registered for action 'rename'/);
+});
+
+test('register rejects duplicate actions and non-function handlers', () => {
+  const { router } = createRouter();
+
+  assert.throws(() => router.register('provision', async () => {}), /already registered/);
+  assert.throws(() => router.register('archive', null), /must be a function/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const ProvisioningTracker = require('../services/provisioningTracker');
+const SQSService = require('../services/sqsService');
+
+logger.silent = true;
+
+/**
+ * Reads the value of a counter, or the sample count of a histogram, for the given labels
+ */
+async function valueOf(metric, labels) {
+  const { values } = await metric.get();
+  const matches = values.filter(sample => (
+    Object.entries(labels).every(([key, value]) => sample.labels[key] === value) &&
+    (!sample.metricName || sample.metricName.endsWith('_count'))
+  ));
+  return matches.reduce((sum, sample) => sum + sample.value, 0);
+}
+
+test('the registry exposes every metric under the tenant_opensearch_ prefix', async () => {
+  const text = await metrics.register.metrics();
+
+  for (const name of [
+    'messages_received_total',
+    'messages_processed_total',
+    'messages_dead_lettered_total',
+    'message_duration_seconds',
+    'provisioning_step_duration_seconds',
+    'collection_active_wait_seconds',
+    'provisioning_retries_total',
+    'aws_api_calls_total',
+    'aws_api_errors_total'
+  ]) {
+    assert.match(text, new RegExp(`^# TYPE tenant_opensearch_${name} `, 'm'));
+  }
+  // Without a database pool the pool gauges read zero instead of failing the scrape
+  assert.match(text, /^tenant_opensearch_db_pool_connections 0$/m);
+});
+
+test('the SDK middleware counts calls and errors by command name', async () => {
+  const middleware = metrics.createMetricsMiddleware('test-service');
+  const context = { commandName: 'CreateCollectionCommand' };
+  const throttled = new Error('Rate exceeded');
+  throttled.name = 'ThrottlingException';
+
+  await middleware(async () => ({ output: {} }), context)({});
+  await assert.rejects(middleware(async () => {
+    throw throttled;
+  }, context)({}), throttled);
+
+  const labels = { service: 'test-service', operation: 'CreateCollectionCommand' };
+  const calls = metrics.register.getSingleMetric('tenant_opensearch_aws_api_calls_total');
+  const errors = metrics.register.getSingleMetric('tenant_opensearch_aws_api_errors_total');
+  assert.equal(await valueOf(calls, { ...labels, outcome: 'success' }), 1);
+  assert.equal(await valueOf(calls, { ...labels, outcome: 'error' }), 1);
+  assert.equal(await valueOf(errors, { ...labels, error: 'ThrottlingException' }), 1);
+});
+
+test('provisioning steps are timed by step and outcome', async () => {
+  const tracker = new ProvisioningTracker('550e8400-e29b-41d4-a716-446655440000', {
+    recordProvisioningStep: async (tenantId, step, status) => ({ step, status, attempts: 1 })
+  });
+
+  await tracker.run('network_policy', async () => {});
+  await assert.rejects(tracker.run('access_policy', async () => {
+    throw new Error('Access denied');
+  }));
+  // Skipped steps are not timed
+  await tracker.run('network_policy', async () => {});
+
+  assert.equal(await valueOf(metrics.provisioningStepDuration, { step: 'network_policy', outcome: 'completed' }), 1);
+  assert.equal(await valueOf(metrics.provisioningStepDuration, { step: 'access_policy', outcome: 'failed' }), 1);
+});
+
+test('handled messages are counted and timed by action and outcome', async () => {
+  const service = new SQSService();
+  service.deleteMessage = async () => {};
+  const router = {
+    getAction: body => body.action,
+    validateMessage: () => true,
+    dispatch: async (body) => {
+      if (body.fail) {
+        throw new Error('failed');
+      }
+    }
+  };
+  const message = (id, body) => ({
+    MessageId: id,
+    ReceiptHandle: `receipt-${id}`,
+    Body: JSON.stringify({ tenant_id: '550e8400-e29b-41d4-a716-446655440000', action: 'policy-update', ...body }),
+    Attributes: { ApproximateReceiveCount: '1' }
+  });
+
+  await service.processMessage(message('m1', {}), router);
+  await service.processMessage(message('m2', { fail: true }), router);
+
+  const succeeded = { action: 'policy-update', outcome: 'succeeded' };
+  const failed = { action: 'policy-update', outcome: 'failed' };
+  assert.equal(await valueOf(metrics.messagesProcessed, succeeded), 1);
+  assert.equal(await valueOf(metrics.messagesProcessed, failed), 1);
+  assert.equal(await valueOf(metrics.messageDuration, succeeded), 1);
+});
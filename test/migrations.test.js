@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const { loadMigrations, runMigrations } = require('../config/migrations');
+
+logger.silent = true;
+
+/**
+ * Database client that records statements and answers the applied-versions query
+ * Statements matching failOn throw
+ */
+function createClient({ applied = [], failOn = null } = {}) {
+  const statements = [];
+  return {
+    statements,
+    query: async (sql, params) => {
+      // Applied versions are recorded as [version, name, checksum], other statements by their first line
+      statements.push(sql.startsWith('INSERT INTO public.tenant_opensearch_schema_migrations')
+        ? params.slice(0, 3)
+        : firstLine(sql));
+      if (failOn && sql === failOn) {
+        throw new Error('column already exists');
+      }
+      if (sql.startsWith('SELECT version, name, checksum')) {
+        return { rows: applied };
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+function firstLine(sql) {
+  return sql.trim().split('\n')[0];
+}
+
+function appliedRows(migrations) {
+  return migrations.map(({ version, name, checksum }) => ({ version, name, checksum }));
+}
+
+test('migration files are numbered without gaps and each starts with a comment', () => {
+  const migrations = loadMigrations();
+
+  assert.deepEqual(migrations.map(migration => migration.version), migrations.map((migration, index) => index + 1));
+  for (const migration of migrations) {
+    assert.match(migration.sql, /^-- \S/, `${migration.file} should explain itself in a header comment`);
+    assert.match(migration.checksum, /^[0-9a-f]{64}$/);
+  }
+});
+
+test('runMigrations applies only pending files, each in its own transaction, under the lock', async () => {
+  const migrations = loadMigrations();
+  const last = migrations[migrations.length - 1];
+  const client = createClient({ applied: appliedRows(migrations.slice(0, -1)) });
+
+  const result = await runMigrations(client);
+
+  assert.deepEqual(result, { applied: [last.file], pending: [] });
+  const statements = client.statements;
+  assert.ok(statements.indexOf('SELECT pg_advisory_lock(hashtext($1))') < statements.indexOf(firstLine(last.sql)));
+  assert.deepEqual(statements.slice(-5), [
+    'BEGIN',
+    firstLine(last.sql),
+    [last.version, last.name, last.checksum],
+    'COMMIT',
+    'SELECT pg_advisory_unlock(hashtext($1))'
+  ]);
+  assert.equal(statements.filter(statement => statement === 'BEGIN').length, 2);
+});
+
+test('runMigrations in dry-run mode lists pending files without applying them', async () => {
+  const migrations = loadMigrations();
+  const client = createClient({ applied: appliedRows(migrations.slice(0, 2)) });
+
+  const result = await runMigrations(client, { dryRun: true });
+
+  assert.deepEqual(result, { applied: [], pending: migrations.slice(2).map(migration => migration.file) });
+  assert.equal(client.statements.filter(statement => statement === 'BEGIN').length, 1);
+});
+
+test('runMigrations refuses to run when an applied file was modified', async () => {
+  const migrations = loadMigrations();
+  const applied = appliedRows(migrations);
+  applied[0].checksum = '0'.repeat(64);
+  const client = createClient({ applied });
+
+  await assert.rejects(runMigrations(client), { name: 'MigrationChecksumError', message: new RegExp(migrations[0].file) });
+  assert.equal(client.statements.at(-1), 'SELECT pg_advisory_unlock(hashtext($1))');
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  const migrations = loadMigrations();
+  const failing = migrations[migrations.length - 2];
+  const client = createClient({ applied: appliedRows(migrations.slice(0, -2)), failOn: failing.sql });
+
+  await assert.rejects(runMigrations(client), { name: 'MigrationError', message: `Migration ${failing.file} failed: column already exists` });
+  assert.deepEqual(client.statements.slice(-2), ['ROLLBACK', 'SELECT pg_advisory_unlock(hashtext($1))']);
+  assert.equal(client.statements.some(statement => Array.isArray(statement)), false);
+});
@@ -0,0 +1,298 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Data access policy principals are read from the configuration when the service loads
+process.env.OPENSEARCH_READ_WRITE_PRINCIPALS = 'arn:aws:iam::123456789012:role/app,arn:aws:iam::123456789012:role/shared';
+process.env.OPENSEARCH_READ_ONLY_PRINCIPALS = 'arn:aws:iam::123456789012:role/shared,arn:aws:iam::123456789012:role/auditor';
+process.env.OPENSEARCH_TENANT_ROLE_ARN_TEMPLATE = 'arn:aws:iam::123456789012:role/tenant-{tenantSlug}';
+process.env.OPENSEARCH_ALLOWED_REGIONS = 'us-east-1,us-west-2';
+process.env.OPENSEARCH_PLACEMENT_ROLE_ARNS = 'arn:aws:iam::210987654321:role/opensearch-placement';
+process.env.OPENSEARCH_KMS_KEY_ARN = 'arn:aws:kms:us-east-1:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab';
+
+const logger = require('../utils/logger');
+const OpenSearchService = require('../services/opensearchService');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+const COLLECTION = 'accreda-acme-corp';
+const service = new OpenSearchService();
+
+function networkOptions(overrides = {}) {
+  return {
+    mode: 'public',
+    vpcEndpointIds: [],
+    sourceServices: ['bedrock.amazonaws.com'],
+    dashboardsEnabled: true,
+    ...overrides
+  };
+}
+
+test('buildNetworkPolicy allows public access to the collection and its dashboard', () => {
+  assert.deepEqual(service.buildNetworkPolicy(COLLECTION, networkOptions()), [
+    {
+      Rules: [
+        { ResourceType: 'collection', Resource: [`collection/${COLLECTION}`] },
+        { ResourceType: 'dashboard', Resource: [`collection/${COLLECTION}`] }
+      ],
+      AllowFromPublic: true
+    }
+  ]);
+});
+
+test('buildNetworkPolicy leaves the dashboard out when dashboards are disabled', () => {
+  const [rule] = service.buildNetworkPolicy(COLLECTION, networkOptions({ dashboardsEnabled: false }));
+
+  assert.deepEqual(rule.Rules.map(item => item.ResourceType), ['collection']);
+});
+
+test('buildNetworkPolicy limits private collections to VPC endpoints and source services', () => {
+  const policy = service.buildNetworkPolicy(COLLECTION, networkOptions({
+    mode: 'private',
+    vpcEndpointIds: ['vpce-0a1b2c3d']
+  }));
+
+  assert.deepEqual(policy, [
+    {
+      Rules: [{ ResourceType: 'collection', Resource: [`collection/${COLLECTION}`] }],
+      AllowFromPublic: false,
+      SourceVPCEs: ['vpce-0a1b2c3d'],
+      SourceServices: ['bedrock.amazonaws.com']
+    },
+    {
+      Rules: [{ ResourceType: 'dashboard', Resource: [`collection/${COLLECTION}`] }],
+      AllowFromPublic: false,
+      SourceVPCEs: ['vpce-0a1b2c3d']
+    }
+  ]);
+});
+
+test('buildNetworkPolicy exposes no dashboard to private collections without VPC endpoints', () => {
+  const policy = service.buildNetworkPolicy(COLLECTION, networkOptions({ mode: 'private' }));
+
+  assert.equal(policy.length, 1);
+  assert.equal(policy[0].SourceVPCEs, undefined);
+  assert.deepEqual(policy[0].SourceServices, ['bedrock.amazonaws.com']);
+});
+
+test('resolveNetworkOptions applies the tenant mode and rejects unusable settings', () => {
+  assert.equal(service.resolveNetworkOptions().mode, 'public');
+  assert.equal(service.resolveNetworkOptions('private').mode, 'private');
+
+  assert.throws(() => service.resolveNetworkOptions('vpn'), { name: 'InvalidNetworkConfigError' });
+});
+
+test('buildDataAccessPolicy groups principals into one rule set per permission set', () => {
+  const policy = service.buildDataAccessPolicy(COLLECTION, TENANT_ID, 'acme-corp');
+
+  assert.deepEqual(policy.map(rule => rule.Description), [
+    `read-write access for collection ${COLLECTION}`,
+    `read-only access for collection ${COLLECTION}`
+  ]);
+  assert.deepEqual(policy[0].Principal, [
+    'arn:aws:iam::123456789012:role/app',
+    'arn:aws:iam::123456789012:role/shared',
+    'arn:aws:iam::123456789012:role/tenant-acme-corp'
+  ]);
+  // A principal granted read-write gets no separate read-only rule
+  assert.deepEqual(policy[1].Principal, ['arn:aws:iam::123456789012:role/auditor']);
+});
+
+test('buildDataAccessPolicy scopes the permission sets to the collection and its indexes', () => {
+  const [readWrite, readOnly] = service.buildDataAccessPolicy(COLLECTION, TENANT_ID, 'acme-corp');
+
+  assert.deepEqual(readWrite.Rules.map(rule => [rule.ResourceType, rule.Resource]), [
+    ['collection', [`collection/${COLLECTION}`]],
+    ['index', [`index/${COLLECTION}/*`]]
+  ]);
+  assert.ok(readWrite.Rules[1].Permission.includes('aoss:WriteDocument'));
+  assert.deepEqual(readOnly.Rules[0].Permission, ['aoss:DescribeCollectionItems']);
+  assert.deepEqual(readOnly.Rules[1].Permission, ['aoss:DescribeIndex', 'aoss:ReadDocument']);
+});
+
+test('buildDataAccessPolicy rejects a tenant role that is not a valid principal', () => {
+  assert.throws(
+    () => service.buildDataAccessPolicy(COLLECTION, TENANT_ID, 'acme corp'),
+    { name: 'InvalidPrincipalError', message: /role\/tenant-acme corp/ }
+  );
+});
+
+test('waitForCollectionActive reports progress after each check that does not end the wait', async () => {
+  const waiting = new OpenSearchService();
+  waiting.client = { send: async () => ({ collectionDetails: [{ name: COLLECTION, status: 'CREATING' }] }) };
+  const polls = [];
+
+  await assert.rejects(
+    waiting.waitForCollectionActive(COLLECTION, { maxAttempts: 1, onPoll: async attempt => polls.push(attempt) }),
+    { name: 'CollectionTimeoutError' }
+  );
+  assert.deepEqual(polls, [1]);
+});
+
+/**
+ * OpenSearch client answering each command type from a queue of responses
+ * A response that is an Error is thrown
+ */
+function fakeClient(responses) {
+  const sent = [];
+  return {
+    sent,
+    send: async (command) => {
+      const type = command.constructor.name;
+      sent.push(type);
+      const response = (responses[type] || []).shift();
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response || {};
+    }
+  };
+}
+
+function existingCollection(status, tenantId) {
+  return {
+    BatchGetCollectionCommand: [{ collectionDetails: [{ id: 'abc123', name: COLLECTION, arn: 'arn:aws:aoss:us-east-1:123456789012:collection/abc123', status }] }],
+    ListTagsForResourceCommand: [{ tags: tenantId ? [{ key: 'TenantId', value: tenantId }] : [] }]
+  };
+}
+
+test('createOrAdoptCollection adopts an existing collection tagged for the tenant', async () => {
+  const adopting = new OpenSearchService();
+  adopting.client = fakeClient(existingCollection('CREATING', TENANT_ID));
+
+  const result = await adopting.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp');
+
+  assert.deepEqual(result, { id: 'abc123', arn: 'arn:aws:aoss:us-east-1:123456789012:collection/abc123', adopted: true });
+  assert.deepEqual(adopting.client.sent, ['BatchGetCollectionCommand', 'ListTagsForResourceCommand']);
+});
+
+test('createOrAdoptCollection refuses a collection tagged for another tenant or not tagged', async () => {
+  for (const taggedTenantId of ['6ba7b810-9dad-11d1-80b4-00c04fd430c8', null]) {
+    const adopting = new OpenSearchService();
+    adopting.client = fakeClient(existingCollection('ACTIVE', taggedTenantId));
+
+    await assert.rejects(
+      adopting.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp'),
+      { name: 'CollectionOwnershipError', message: new RegExp(`'${taggedTenantId || '\\(missing\\)'}', expected '${TENANT_ID}'`) }
+    );
+  }
+});
+
+test('createOrAdoptCollection refuses collections that are failed or being deleted', async () => {
+  const failed = new OpenSearchService();
+  failed.client = fakeClient(existingCollection('FAILED', TENANT_ID));
+  await assert.rejects(failed.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp'), { name: 'CollectionFailedError' });
+
+  const deleting = new OpenSearchService();
+  deleting.client = fakeClient(existingCollection('DELETING', TENANT_ID));
+  await assert.rejects(deleting.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp'), /being deleted/);
+});
+
+test('createOrAdoptCollection creates a tagged collection, adopting one created concurrently', async () => {
+  const creating = new OpenSearchService();
+  creating.client = fakeClient({
+    BatchGetCollectionCommand: [{ collectionDetails: [] }],
+    CreateCollectionCommand: [{ createCollectionDetail: { id: 'new123', arn: 'arn:new', status: 'CREATING' } }]
+  });
+  assert.deepEqual(await creating.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp'), { id: 'new123', arn: 'arn:new', adopted: false });
+
+  const conflict = new Error('Collection already exists');
+  conflict.name = 'ConflictException';
+  const racing = new OpenSearchService();
+  const existing = existingCollection('CREATING', TENANT_ID);
+  racing.client = fakeClient({
+    BatchGetCollectionCommand: [{ collectionDetails: [] }, ...existing.BatchGetCollectionCommand],
+    CreateCollectionCommand: [conflict],
+    ListTagsForResourceCommand: existing.ListTagsForResourceCommand
+  });
+  assert.equal((await racing.createOrAdoptCollection(COLLECTION, TENANT_ID, 'acme-corp')).adopted, true);
+});
+
+test('buildCollectionRequest tags the collection with its tenant and owner', () => {
+  const tags = Object.fromEntries(service.buildCollectionRequest(COLLECTION, TENANT_ID, 'acme-corp').tags.map(tag => [tag.key, tag.value]));
+
+  assert.equal(tags.TenantId, TENANT_ID);
+  assert.equal(tags.TenantSlug, 'acme-corp');
+  assert.equal(tags.ManagedBy, 'tenant-opensearch-service');
+});
+
+const DEFAULT_KEY = 'arn:aws:kms:us-east-1:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab';
+const TENANT_KEY = 'arn:aws:kms:us-east-1:123456789012:key/mrk-0123456789abcdef0123456789abcdef';
+
+test('buildEncryptionPolicy uses a customer-managed key when given, an AWS-owned key otherwise', () => {
+  assert.deepEqual(service.buildEncryptionPolicy(COLLECTION, TENANT_KEY), {
+    Rules: [{ ResourceType: 'collection', Resource: [`collection/${COLLECTION}`] }],
+    AWSOwnedKey: false,
+    KmsARN: TENANT_KEY
+  });
+  assert.equal(service.buildEncryptionPolicy(COLLECTION).AWSOwnedKey, true);
+  assert.equal(service.buildEncryptionPolicy(COLLECTION).KmsARN, undefined);
+});
+
+test('resolveKmsKeyArn prefers the message key, then the tenant key, then the service default', () => {
+  assert.equal(service.resolveKmsKeyArn(TENANT_KEY, null), TENANT_KEY);
+  assert.equal(service.resolveKmsKeyArn(null, TENANT_KEY), TENANT_KEY);
+  assert.equal(service.resolveKmsKeyArn(null, null), DEFAULT_KEY);
+});
+
+test('resolveKmsKeyArn ignores the service default key outside its region', () => {
+  assert.equal(new OpenSearchService({ region: 'us-west-2' }).resolveKmsKeyArn(null, null), null);
+});
+
+test('resolveKmsKeyArn rejects malformed keys, aliases and keys in another region', () => {
+  for (const kmsKeyArn of [
+    'not-a-key',
+    'arn:aws:kms:us-east-1:123456789012:alias/tenant',
+    'arn:aws:kms:us-west-2:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab'
+  ]) {
+    assert.throws(() => service.resolveKmsKeyArn(kmsKeyArn), { name: 'InvalidKmsKeyError', message: /expected a key ARN in us-east-1/ });
+  }
+});
+
+test('createEncryptionPolicy sends the customer-managed key in the policy document', async () => {
+  const encrypting = new OpenSearchService();
+  const inputs = [];
+  encrypting.client = { send: async command => inputs.push(command.input) };
+
+  await encrypting.createEncryptionPolicy(COLLECTION, TENANT_KEY);
+
+  assert.equal(inputs[0].name, `${COLLECTION}-encryption`);
+  assert.equal(inputs[0].type, 'encryption');
+  assert.equal(JSON.parse(inputs[0].policy).KmsARN, TENANT_KEY);
+});
+
+const PLACEMENT_ROLE = 'arn:aws:iam::210987654321:role/opensearch-placement';
+
+test('resolvePlacement takes region and role together from the first candidate that sets either', () => {
+  assert.deepEqual(service.resolvePlacement(null, { region: 'us-west-2', roleArn: PLACEMENT_ROLE }), { region: 'us-west-2', roleArn: PLACEMENT_ROLE });
+  // A message role without a region is placed in the default region, not the tenant's
+  assert.deepEqual(
+    service.resolvePlacement({ region: null, roleArn: PLACEMENT_ROLE }, { region: 'us-west-2', roleArn: null }),
+    { region: 'us-east-1', roleArn: PLACEMENT_ROLE }
+  );
+  assert.deepEqual(service.resolvePlacement({}, null), { region: 'us-east-1', roleArn: null });
+});
+
+test('resolvePlacement rejects regions and roles that are not allowed', () => {
+  assert.throws(() => service.resolvePlacement({ region: 'eu-west-1' }), { name: 'InvalidPlacementError', message: /Region 'eu-west-1' is not allowed/ });
+  assert.throws(
+    () => service.resolvePlacement({ roleArn: 'arn:aws:iam::999999999999:role/anything' }),
+    { name: 'InvalidPlacementError', message: /not an allowed placement role/ }
+  );
+});
+
+test('forPlacement reuses one service per region and role, in the role\'s account', () => {
+  const placed = service.forPlacement({ region: 'us-west-2', roleArn: PLACEMENT_ROLE });
+
+  assert.equal(service.forPlacement({ region: 'us-west-2', roleArn: PLACEMENT_ROLE }), placed);
+  assert.equal(service.forPlacement(service.getPlacement()), service);
+  assert.equal(placed.region, 'us-west-2');
+  assert.equal(placed.accountId, '210987654321');
+  assert.notEqual(service.forPlacement({ region: 'us-west-2', roleArn: null }), placed);
+});
+
+test('forTenant places a tenant by its recorded region and role', () => {
+  assert.equal(service.forTenant({ opensearch_region: 'us-west-2', opensearch_role_arn: null }).region, 'us-west-2');
+  assert.equal(service.forTenant({ opensearch_region: null, opensearch_role_arn: null }), service);
+  assert.throws(() => service.forTenant({ opensearch_region: 'eu-west-1' }), { name: 'InvalidPlacementError' });
+});
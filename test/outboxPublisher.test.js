@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Transport settings are read from the configuration when the publisher loads
+process.env.EVENTS_TRANSPORT = 'sqs';
+process.env.EVENTS_TARGET = 'https://sqs.us-east-1.amazonaws.com/123456789012/tenant-events.fifo';
+process.env.EVENTS_BATCH_SIZE = '2';
+
+const logger = require('../utils/logger');
+const database = require('../config/database');
+
+// DatabaseService takes its connection helpers when it loads; route them to the client of the running test
+let currentClient = null;
+database.getClient = async () => currentClient;
+database.query = (sql, params) => currentClient.query(sql, params);
+
+const DatabaseService = require('../services/databaseService');
+const OutboxPublisher = require('../services/outboxPublisher');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * Database client recording each statement's first line and parameters
+ * The respond callback supplies rows for a statement, by its SQL
+ */
+function useClient(respond = () => []) {
+  const statements = [];
+  currentClient = {
+    statements,
+    released: false,
+    query: async (sql, params = []) => {
+      statements.push([sql.trim().split('\n')[0].trim(), params]);
+      return { rows: respond(sql, params) };
+    },
+    release() {
+      this.released = true;
+    }
+  };
+  return currentClient;
+}
+
+function event(id) {
+  return { id, type: 'tenant.opensearch.ready', occurred_at: '2026-01-01T00:00:00.000Z', tenant_id: TENANT_ID, data: {} };
+}
+
+test('events are sent to FIFO queues grouped by tenant and deduplicated by event id', async () => {
+  const publisher = new OutboxPublisher(null);
+  const sent = [];
+  publisher.client = { send: async command => sent.push(command.input) };
+
+  await publisher.send(event('e1'));
+
+  assert.deepEqual(sent, [{
+    QueueUrl: process.env.EVENTS_TARGET,
+    MessageBody: JSON.stringify(event('e1')),
+    MessageAttributes: { event_type: { DataType: 'String', StringValue: 'tenant.opensearch.ready' } },
+    MessageGroupId: TENANT_ID,
+    MessageDeduplicationId: 'e1'
+  }]);
+});
+
+test('an event EventBridge rejects fails to publish', async () => {
+  const publisher = new OutboxPublisher(null);
+  publisher.transport = 'eventbridge';
+  publisher.client = {
+    send: async () => ({ FailedEntryCount: 1, Entries: [{ ErrorCode: 'ThrottlingException', ErrorMessage: 'Rate exceeded' }] })
+  };
+
+  await assert.rejects(publisher.send(event('e1')), { name: 'EventPublishError', message: /ThrottlingException Rate exceeded/ });
+});
+
+test('publishPending keeps claiming while full batches come back', async () => {
+  const batches = [{ claimed: 2, published: 2, failed: 0 }, { claimed: 2, published: 2, failed: 0 }, { claimed: 1, published: 1, failed: 0 }];
+  const publisher = new OutboxPublisher({ processOutboxEvents: async () => batches.shift() });
+  publisher.isRunning = true;
+
+  assert.deepEqual(await publisher.publishPending(), { published: 5, failed: 0 });
+  assert.equal(batches.length, 0);
+});
+
+test('publishPending stops after a batch with a failure', async () => {
+  const batches = [{ claimed: 2, published: 1, failed: 1 }, { claimed: 2, published: 2, failed: 0 }];
+  const publisher = new OutboxPublisher({ processOutboxEvents: async () => batches.shift() });
+  publisher.isRunning = true;
+
+  assert.deepEqual(await publisher.publishPending(), { published: 1, failed: 1 });
+  assert.equal(batches.length, 1);
+});
+
+test('processOutboxEvents marks sent events published and backs off failed ones, in one transaction', async () => {
+  const client = useClient(sql => (sql.includes('FROM public.tenant_opensearch_outbox o')
+    ? [
+      { id: 1, event_id: 'e1', tenant_id: TENANT_ID, event_type: 'tenant.opensearch.ready', payload: event('e1'), attempts: 0 },
+      { id: 2, event_id: 'e2', tenant_id: 'other', event_type: 'tenant.opensearch.ready', payload: event('e2'), attempts: 3 }
+    ]
+    : []));
+
+  const counts = await new DatabaseService().processOutboxEvents(2, async (row) => {
+    if (row.id === 2) {
+      throw new Error('Queue does not exist');
+    }
+  });
+
+  assert.deepEqual(counts, { claimed: 2, published: 1, failed: 1 });
+  const statements = client.statements.map(([sql]) => sql);
+  assert.equal(statements[0], 'BEGIN');
+  assert.equal(statements.at(-1), 'COMMIT');
+  assert.deepEqual(client.statements[2][1], [1]);
+  assert.deepEqual(client.statements[3][1], [2, 'Queue does not exist', 300]);
+  assert.equal(client.released, true);
+});
+
+test('a tenant becoming ready writes its event in the same transaction as the update', async () => {
+  const updated = { id: TENANT_ID, slug: 'acme-corp', opensearch_status: 'ready', opensearch_arn: 'arn:new' };
+  const client = useClient(sql => {
+    if (sql.startsWith('SELECT opensearch_status')) {
+      return [{ opensearch_status: 'initializing', opensearch_arn: null }];
+    }
+    return sql.startsWith('UPDATE public.accreda_tenants') ? [updated] : [];
+  });
+
+  await new DatabaseService().updateTenantOpenSearch(TENANT_ID, 'arn:new', 'ready');
+
+  const statements = client.statements.map(([sql]) => sql);
+  const insert = statements.findIndex(sql => sql.startsWith('INSERT INTO public.tenant_opensearch_outbox'));
+  assert.ok(insert > statements.indexOf('BEGIN') && insert < statements.indexOf('COMMIT'));
+  const [, tenantId, eventType, payload] = client.statements[insert][1];
+  assert.equal(tenantId, TENANT_ID);
+  assert.equal(eventType, 'tenant.opensearch.ready');
+  assert.equal(JSON.parse(payload).data.opensearch_arn, 'arn:new');
+});
+
+test('an update that changes neither status nor ARN writes no event', async () => {
+  const updated = { id: TENANT_ID, slug: 'acme-corp', opensearch_status: 'ready', opensearch_arn: 'arn:new' };
+  const client = useClient(sql => {
+    if (sql.startsWith('SELECT opensearch_status')) {
+      return [{ opensearch_status: 'ready', opensearch_arn: 'arn:new' }];
+    }
+    return sql.startsWith('UPDATE public.accreda_tenants') ? [updated] : [];
+  });
+
+  await new DatabaseService().updateTenantOpenSearch(TENANT_ID, 'arn:new', 'ready', { endpoint: 'https://abc123.us-east-1.aoss.amazonaws.com' });
+
+  assert.equal(client.statements.some(([sql]) => sql.startsWith('INSERT INTO public.tenant_opensearch_outbox')), false);
+});
@@ -0,0 +1,243 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const OpenSearchService = require('../services/opensearchService');
+const DatabaseService = require('../services/databaseService');
+const ProvisioningService = require('../services/provisioningService');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+const COLLECTION = 'accreda-acme-corp';
+const COLLECTION_ARN = 'arn:aws:aoss:us-east-1:625867133463:collection/abc123';
+
+function notFound() {
+  const error = new Error('Resource not found');
+  error.name = 'ResourceNotFoundException';
+  return error;
+}
+
+/**
+ * OpenSearch client answering each command type from a queue of responses
+ * A response that is an Error is thrown
+ */
+function fakeClient(responses) {
+  const sent = [];
+  return {
+    sent,
+    send: async (command) => {
+      const type = command.constructor.name;
+      sent.push([type, command.input]);
+      const response = (responses[type] || []).shift();
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response || {};
+    }
+  };
+}
+
+test('deleteCollection deletes the collection before its access, network and encryption policies', async () => {
+  const service = new OpenSearchService();
+  service.client = fakeClient({
+    BatchGetCollectionCommand: [
+      { collectionDetails: [{ id: 'abc123', name: COLLECTION, arn: COLLECTION_ARN, status: 'ACTIVE' }] },
+      { collectionDetails: [] }
+    ],
+    DeleteCollectionCommand: [{ deleteCollectionDetail: { status: 'DELETING' } }],
+    // Policies removed by an earlier attempt count as deleted
+    DeleteSecurityPolicyCommand: [notFound()]
+  });
+
+  const result = await service.deleteCollection(TENANT_ID, 'acme-corp');
+
+  assert.deepEqual(result, { arn: COLLECTION_ARN, name: COLLECTION, collectionDeleted: true });
+  assert.deepEqual(service.client.sent, [
+    ['BatchGetCollectionCommand', { names: [COLLECTION] }],
+    ['DeleteCollectionCommand', { id: 'abc123' }],
+    ['BatchGetCollectionCommand', { names: [COLLECTION] }],
+    ['DeleteAccessPolicyCommand', { name: `${COLLECTION}-access`, type: 'data' }],
+    ['DeleteSecurityPolicyCommand', { name: `${COLLECTION}-network`, type: 'network' }],
+    ['DeleteSecurityPolicyCommand', { name: `${COLLECTION}-encryption`, type: 'encryption' }]
+  ]);
+});
+
+test('deleteCollection still removes the policies of a collection that is already gone', async () => {
+  const service = new OpenSearchService();
+  service.client = fakeClient({ BatchGetCollectionCommand: [{ collectionDetails: [] }] });
+
+  const result = await service.deleteCollection(TENANT_ID, 'acme-corp');
+
+  assert.equal(result.collectionDeleted, false);
+  assert.deepEqual(service.client.sent.map(([type]) => type), [
+    'BatchGetCollectionCommand',
+    'DeleteAccessPolicyCommand',
+    'DeleteSecurityPolicyCommand',
+    'DeleteSecurityPolicyCommand'
+  ]);
+});
+
+test('deleteCollection stops on policy errors other than not found', async () => {
+  const service = new OpenSearchService();
+  const denied = new Error('Access denied');
+  denied.name = 'AccessDeniedException';
+  service.client = fakeClient({ BatchGetCollectionCommand: [{ collectionDetails: [] }], DeleteAccessPolicyCommand: [denied] });
+
+  await assert.rejects(service.deleteCollection(TENANT_ID, 'acme-corp'), { name: 'AccessDeniedException' });
+  assert.equal(service.client.sent.length, 2);
+});
+
+function createDeprovisioning(tenant) {
+  const calls = [];
+  const databaseService = {
+    getTenant: async () => tenant,
+    validateTenantForDeprovisioning: DatabaseService.prototype.validateTenantForDeprovisioning,
+    markTenantOpenSearchDeleted: async tenantId => calls.push(['deleted', tenantId]),
+    clearProvisioningSteps: async tenantId => calls.push(['steps cleared', tenantId])
+  };
+  const openSearchService = {
+    forTenant: () => ({
+      deleteCollection: async (tenantId, tenantSlug) => {
+        calls.push(['delete collection', tenantId, tenantSlug]);
+        return { arn: COLLECTION_ARN, name: COLLECTION, collectionDeleted: true };
+      }
+    })
+  };
+  return { service: new ProvisioningService(openSearchService, databaseService), calls };
+}
+
+test('deprovision deletes the collection, then clears the tenant record and its steps', async () => {
+  const { service, calls } = createDeprovisioning({ id: TENANT_ID, slug: 'acme-corp', opensearch_status: 'ready', opensearch_arn: COLLECTION_ARN });
+
+  const result = await service.deprovision(TENANT_ID);
+
+  assert.equal(result.outcome, 'deleted');
+  assert.deepEqual(calls, [
+    ['delete collection', TENANT_ID, 'acme-corp'],
+    ['deleted', TENANT_ID],
+    ['steps cleared', TENANT_ID]
+  ]);
+});
+
+test('deprovision skips tenants that are missing or already deleted', async () => {
+  for (const tenant of [null, { id: TENANT_ID, slug: 'acme-corp', opensearch_status: 'deleted', opensearch_arn: null }]) {
+    const { service, calls } = createDeprovisioning(tenant);
+
+    const result = await service.deprovision(TENANT_ID);
+
+    assert.equal(result.outcome, 'skipped');
+    assert.deepEqual(calls, []);
+  }
+});
+
+function createPlanning(tenant, steps = []) {
+  const openSearchService = new OpenSearchService();
+  const databaseService = {
+    getTenant: async () => tenant,
+    validateTenantForProvisioning: DatabaseService.prototype.validateTenantForProvisioning,
+    getProvisioningSteps: async () => steps
+  };
+  return { openSearchService, service: new ProvisioningService(openSearchService, databaseService) };
+}
+
+function initializingTenant() {
+  return {
+    id: TENANT_ID,
+    slug: 'acme-corp',
+    status: 'active',
+    opensearch_status: 'initializing',
+    opensearch_arn: null,
+    opensearch_region: null,
+    opensearch_role_arn: null,
+    opensearch_kms_key_arn: null,
+    opensearch_network_mode: null
+  };
+}
+
+test('plan offline sends no AWS requests and plans every step not yet completed', async () => {
+  const { openSearchService, service } = createPlanning(initializingTenant(), [
+    { step: 'encryption_policy', status: 'completed' },
+    { step: 'network_policy', status: 'failed' }
+  ]);
+  openSearchService.client = fakeClient({});
+
+  const result = await service.plan(TENANT_ID, { offline: true });
+
+  assert.equal(result.outcome, 'planned');
+  assert.deepEqual(result.placement, { region: 'us-east-1', roleArn: null });
+  assert.deepEqual(openSearchService.client.sent, []);
+  assert.deepEqual(result.plan.steps.map(({ step, action }) => [step, action]), [
+    ['encryption_policy', 'completed'],
+    ['network_policy', 'create'],
+    ['collection', 'create'],
+    ['access_policy', 'create'],
+    ['collection_active', 'wait'],
+    ['vector_index', 'create'],
+    ['tenant_record', 'update']
+  ]);
+
+  const tenantRecord = result.plan.steps.at(-1);
+  assert.equal(tenantRecord.input.opensearch_arn, '(known after creation)');
+  assert.equal(tenantRecord.input.opensearch_collection_name, COLLECTION);
+  assert.deepEqual(tenantRecord.events, ['tenant.opensearch.ready']);
+});
+
+test('plan compares policies and the collection with what exists, sending only read requests', async () => {
+  const { openSearchService, service } = createPlanning(initializingTenant());
+  openSearchService.client = fakeClient({
+    GetSecurityPolicyCommand: [
+      { securityPolicyDetail: { policy: openSearchService.buildEncryptionPolicy(COLLECTION, null) } },
+      { securityPolicyDetail: { policy: [{ Rules: [], AllowFromPublic: false }] } }
+    ],
+    BatchGetCollectionCommand: [{
+      collectionDetails: [{
+        id: 'abc123',
+        name: COLLECTION,
+        arn: COLLECTION_ARN,
+        status: 'ACTIVE',
+        collectionEndpoint: 'https://abc123.us-east-1.aoss.amazonaws.com'
+      }]
+    }],
+    ListTagsForResourceCommand: [{ tags: [{ key: 'TenantId', value: TENANT_ID }] }],
+    GetAccessPolicyCommand: [notFound()]
+  });
+
+  const result = await service.plan(TENANT_ID);
+
+  assert.ok(openSearchService.client.sent.every(([type]) => /^(Get|BatchGet|ListTags)/.test(type)));
+  const steps = Object.fromEntries(result.plan.steps.map(step => [step.step, step]));
+  assert.equal(steps.encryption_policy.action, 'unchanged');
+  assert.equal(steps.network_policy.action, 'keep-existing');
+  assert.ok(steps.network_policy.changes.length > 0);
+  assert.equal(steps.collection.action, 'adopt');
+  assert.equal(steps.access_policy.action, 'create');
+  assert.equal(steps.collection_active.action, 'unchanged');
+  assert.equal(steps.tenant_record.input.opensearch_arn, COLLECTION_ARN);
+  assert.equal(steps.tenant_record.input.opensearch_collection_id, 'abc123');
+  assert.equal(steps.tenant_record.input.opensearch_endpoint, 'https://abc123.us-east-1.aoss.amazonaws.com');
+});
+
+test('plan reports a collection that provisioning would refuse as blocked', async () => {
+  const { openSearchService, service } = createPlanning(initializingTenant());
+  openSearchService.client = fakeClient({
+    BatchGetCollectionCommand: [{ collectionDetails: [{ id: 'abc123', name: COLLECTION, arn: COLLECTION_ARN, status: 'ACTIVE' }] }],
+    ListTagsForResourceCommand: [{ tags: [{ key: 'TenantId', value: 'another-tenant' }] }]
+  });
+
+  const result = await service.plan(TENANT_ID);
+
+  const collection = result.plan.steps.find(step => step.step === 'collection');
+  assert.equal(collection.action, 'blocked');
+  assert.match(collection.reason, /tagged for tenant 'another-tenant'/);
+});
+
+test('plan skips tenants that provisioning would skip', async () => {
+  const { openSearchService, service } = createPlanning({ ...initializingTenant(), opensearch_arn: COLLECTION_ARN });
+  openSearchService.client = fakeClient({});
+
+  const result = await service.plan(TENANT_ID);
+
+  assert.deepEqual(result, { outcome: 'skipped', tenantId: TENANT_ID, reason: 'Tenant already has an OpenSearch collection' });
+  assert.deepEqual(openSearchService.client.sent, []);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const ProvisioningTracker = require('../services/provisioningTracker');
+const OpenSearchService = require('../services/opensearchService');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+const COLLECTION_ARN = 'arn:aws:aoss:us-east-1:625867133463:collection/abc123';
+
+/**
+ * In-memory stand-in for the provisioning step table
+ */
+function createDatabase(rows = []) {
+  const writes = [];
+  let attempts = 0;
+  return {
+    writes,
+    getProvisioningSteps: async () => rows,
+    recordProvisioningStep: async (tenantId, step, status, { details = null, error = null } = {}) => {
+      writes.push([step, status, details || error]);
+      if (status === 'in_progress') {
+        attempts++;
+      }
+      return { step, status, attempts, details };
+    },
+    touchProvisioningStep: async (tenantId, step) => writes.push([step, 'touched', null])
+  };
+}
+
+test('run records a step as in progress, then completed with its result', async () => {
+  const database = createDatabase();
+  const tracker = await new ProvisioningTracker(TENANT_ID, database).load();
+
+  const result = await tracker.run('collection', async () => ({ id: 'abc123' }));
+
+  assert.deepEqual(result, { id: 'abc123' });
+  assert.equal(tracker.isCompleted('collection'), true);
+  assert.deepEqual(database.writes, [
+    ['collection', 'in_progress', null],
+    ['collection', 'completed', { id: 'abc123' }]
+  ]);
+});
+
+test('run skips a step completed by an earlier attempt and returns its stored result', async () => {
+  const database = createDatabase([{ step: 'collection', status: 'completed', details: { id: 'abc123' } }]);
+  const tracker = await new ProvisioningTracker(TENANT_ID, database).load();
+
+  const result = await tracker.run('collection', async () => assert.fail('completed step ran again'));
+
+  assert.deepEqual(result, { id: 'abc123' });
+  assert.deepEqual(database.writes, []);
+});
+
+test('run records a failed step and tags the error with the step and its attempts', async () => {
+  const database = createDatabase([{ step: 'access_policy', status: 'failed', details: null }]);
+  const tracker = await new ProvisioningTracker(TENANT_ID, database).load();
+
+  await assert.rejects(
+    tracker.run('access_policy', async () => {
+      throw new Error('Access denied');
+    }),
+    { message: 'Access denied', provisioningStep: 'access_policy', stepAttempts: 1 }
+  );
+  assert.equal(tracker.isCompleted('access_policy'), false);
+  assert.deepEqual(database.writes.at(-1), ['access_policy', 'failed', 'Error: Access denied']);
+});
+
+test('run rejects steps that are not provisioning steps', async () => {
+  const tracker = new ProvisioningTracker(TENANT_ID, createDatabase());
+
+  await assert.rejects(tracker.run('coffee', async () => {}), /Unknown provisioning step 'coffee'/);
+});
+
+test('touch refreshes the step and tolerates database errors', async () => {
+  const touched = [];
+  const tracker = new ProvisioningTracker(TENANT_ID, {
+    touchProvisioningStep: async (tenantId, step) => {
+      touched.push([tenantId, step]);
+      throw new Error('connection lost');
+    }
+  });
+
+  await tracker.touch('collection_active');
+
+  assert.deepEqual(touched, [[TENANT_ID, 'collection_active']]);
+});
+
+test('createCollection resumes after the steps an earlier attempt completed', async () => {
+  const database = createDatabase(['encryption_policy', 'network_policy', 'collection'].map(step => ({
+    step,
+    status: 'completed',
+    details: null
+  })));
+  const tracker = await new ProvisioningTracker(TENANT_ID, database).load();
+
+  const service = new OpenSearchService();
+  const ran = [];
+  const record = name => async () => {
+    ran.push(name);
+  };
+  service.createEncryptionPolicy = record('encryption_policy');
+  service.createNetworkPolicy = record('network_policy');
+  service.createOrAdoptCollection = record('collection');
+  service.createDataAccessPolicy = record('access_policy');
+  service.waitForCollectionActive = async () => {
+    ran.push('collection_active');
+    return { arn: COLLECTION_ARN, id: 'abc123', collectionEndpoint: 'https://abc123.us-east-1.aoss.amazonaws.com', status: 'ACTIVE' };
+  };
+  service.vectorIndexService.ensureIndex = async () => {
+    ran.push('vector_index');
+    return { indexName: 'bedrock-knowledge-base-default-index' };
+  };
+
+  const collection = await service.createCollection(TENANT_ID, 'acme-corp', { tracker });
+
+  assert.deepEqual(ran, ['access_policy', 'collection_active', 'vector_index']);
+  assert.equal(collection.arn, COLLECTION_ARN);
+  assert.equal(collection.vectorIndexName, 'bedrock-knowledge-base-default-index');
+  assert.deepEqual(
+    database.writes.filter(([, status]) => status === 'completed').map(([step]) => step),
+    ['access_policy', 'collection_active', 'vector_index']
+  );
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const ReconciliationService = require('../services/reconciliationService');
+
+logger.silent = true;
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440000';
+const COLLECTION_ARN = 'arn:aws:aoss:us-east-1:625867133463:collection/abc123';
+
+/**
+ * Creates an OpenSearch service double for one placement, holding the given
+ * collections and every policy of each of them
+ */
+function createOpenSearch(collections, { region = 'us-east-1', roleArn = null } = {}) {
+  const calls = [];
+  const service = {
+    region,
+    roleArn,
+    calls,
+    forTenant: () => service,
+    forPlacement: () => service,
+    getCollectionName: slug => `accreda-${slug}`,
+    getPolicyNames: name => ({ encryption: `${name}-encryption`, network: `${name}-network`, access: `${name}-access` }),
+    listManagedCollections: async () => collections,
+    listPolicyNames: async () => {
+      const names = collections.map(collection => service.getPolicyNames(collection.name));
+      return {
+        encryption: new Set(names.map(policy => policy.encryption)),
+        network: new Set(names.map(policy => policy.network)),
+        access: new Set(names.map(policy => policy.access))
+      };
+    },
+    getCollection: async name => {
+      calls.push(['getCollection', name]);
+      return { collectionEndpoint: `https://${name}.us-east-1.aoss.amazonaws.com` };
+    }
+  };
+  return service;
+}
+
+function createReconciliation(tenants, collections, openSearch = createOpenSearch(collections)) {
+  const updates = [];
+  const sent = [];
+  const databaseService = {
+    listTenants: async () => [].concat(tenants),
+    updateTenantOpenSearch: async (...args) => updates.push(args)
+  };
+  const sqsService = { sendMessage: async message => sent.push(message) };
+
+  return {
+    reconciliation: new ReconciliationService(openSearch, databaseService, sqsService),
+    openSearch,
+    updates,
+    sent
+  };
+}
+
+function activeCollection() {
+  return {
+    name: 'accreda-acme-corp',
+    arn: COLLECTION_ARN,
+    id: 'abc123',
+    status: 'ACTIVE',
+    tags: { TenantId: TENANT_ID, TenantSlug: 'acme-corp' }
+  };
+}
+
+function tenant(fields = {}) {
+  return {
+    id: TENANT_ID,
+    slug: 'acme-corp',
+    opensearch_status: 'ready',
+    opensearch_arn: COLLECTION_ARN,
+    opensearch_endpoint: 'https://accreda-acme-corp.us-east-1.aoss.amazonaws.com',
+    opensearch_collection_id: 'abc123',
+    ...fields
+  };
+}
+
+test('an ARN mismatch of a ready tenant is repaired in the tenant record', async () => {
+  const { reconciliation, updates, sent } = createReconciliation(tenant({ opensearch_arn: null }), [activeCollection()]);
+
+  const report = await reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.repair]), [
+    ['arn_mismatch', { success: true, action: 'Updated tenant record to collection ARN and details' }]
+  ]);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].slice(0, 3), [TENANT_ID, COLLECTION_ARN, 'ready']);
+  assert.equal(updates[0][3].endpoint, 'https://accreda-acme-corp.us-east-1.aoss.amazonaws.com');
+  assert.deepEqual(sent, []);
+});
+
+test('an ARN mismatch of a failed or initializing tenant re-enqueues provisioning', async () => {
+  for (const status of ['failed', 'initializing']) {
+    const { reconciliation, updates, sent } = createReconciliation(
+      tenant({ opensearch_status: status, opensearch_arn: null }),
+      [activeCollection()]
+    );
+
+    const report = await reconciliation.reconcile({ autoRepair: true });
+
+    assert.deepEqual(report.issues.map(issue => [issue.type, issue.tenantStatus, issue.repair]), [
+      ['arn_mismatch', status, { success: true, action: 'Re-enqueued provision' }]
+    ]);
+    assert.deepEqual(updates, [], `a ${status} tenant must not be marked ready`);
+    assert.deepEqual(sent.map(message => [message.action, message.tenant_id, message.tenant_slug]), [
+      ['provision', TENANT_ID, 'acme-corp']
+    ]);
+  }
+});
+
+test('missing details of a ready tenant are filled in, of other tenants re-provisioned', async () => {
+  const ready = createReconciliation(tenant({ opensearch_endpoint: null }), [activeCollection()]);
+  const readyReport = await ready.reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(readyReport.issues.map(issue => issue.type), ['missing_details']);
+  assert.equal(ready.updates.length, 1);
+  assert.deepEqual(ready.sent, []);
+
+  const failed = createReconciliation(
+    tenant({ opensearch_status: 'failed', opensearch_endpoint: null }),
+    [activeCollection()]
+  );
+  await failed.reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(failed.updates, []);
+  assert.deepEqual(failed.sent.map(message => message.action), ['provision']);
+});
+
+test('a ready tenant matching its collection and policies reports no drift', async () => {
+  const { reconciliation } = createReconciliation(tenant(), [activeCollection()]);
+
+  const report = await reconciliation.detectDrift();
+
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.summary, { tenants: 1, placements: 1, collections: 1, issues: 0 });
+});
+
+test('a ready tenant whose collection is missing or FAILED is deprovisioned and provisioned again', async () => {
+  const missing = createReconciliation(tenant(), []);
+  const failed = createReconciliation(tenant(), [{ ...activeCollection(), status: 'FAILED' }]);
+
+  const missingReport = await missing.reconciliation.reconcile({ autoRepair: true });
+  const failedReport = await failed.reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(missingReport.issues.map(issue => issue.type), ['missing_collection']);
+  assert.deepEqual(failedReport.issues.map(issue => issue.type), ['failed_collection']);
+  for (const { sent } of [missing, failed]) {
+    assert.deepEqual(sent.map(message => message.action), ['deprovision', 'provision']);
+  }
+});
+
+test('a tenant without a collection is not drift unless it is ready', async () => {
+  const { reconciliation } = createReconciliation(tenant({ opensearch_status: 'initializing', opensearch_arn: null }), []);
+
+  assert.deepEqual((await reconciliation.detectDrift()).issues, []);
+});
+
+test('collections without a live tenant are reported as orphans and never repaired', async () => {
+  const deletedTenant = tenant({ opensearch_status: 'deleted', opensearch_arn: null });
+  const stranger = {
+    ...activeCollection(),
+    name: 'accreda-globex',
+    arn: 'arn:aws:aoss:us-east-1:625867133463:collection/def456',
+    tags: { TenantId: '6ba7b810-9dad-11d1-80b4-00c04fd430c8', TenantSlug: 'globex' }
+  };
+  const { reconciliation, updates, sent } = createReconciliation(deletedTenant, [activeCollection(), stranger]);
+
+  const report = await reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.collectionName, issue.details, issue.repair.action]), [
+    ['orphaned_collection', 'accreda-acme-corp', 'Tenant OpenSearch status is deleted', 'Reported only'],
+    ['orphaned_collection', 'accreda-globex', 'Tenant record not found', 'Reported only']
+  ]);
+  assert.deepEqual(updates, []);
+  assert.deepEqual(sent, []);
+});
+
+test('a collection tagged for another tenant is not taken for the tenant\'s own', async () => {
+  const other = { ...activeCollection(), tags: { TenantId: '6ba7b810-9dad-11d1-80b4-00c04fd430c8', TenantSlug: 'acme-corp' } };
+  const { reconciliation } = createReconciliation(tenant({ opensearch_arn: null }), [other]);
+
+  const report = await reconciliation.detectDrift();
+
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.details]), [
+    ['orphaned_collection', 'Tenant record not found']
+  ]);
+});
+
+test('missing policies are detected and recreated', async () => {
+  const openSearch = createOpenSearch([activeCollection()]);
+  const listPolicyNames = openSearch.listPolicyNames;
+  openSearch.listPolicyNames = async () => {
+    const names = await listPolicyNames();
+    names.network.clear();
+    return names;
+  };
+  openSearch.resolveNetworkOptions = mode => ({ mode: mode || 'public' });
+  openSearch.createNetworkPolicy = async (name, network) => openSearch.calls.push(['createNetworkPolicy', name, network.mode]);
+  const { reconciliation } = createReconciliation(tenant(), [activeCollection()], openSearch);
+
+  const report = await reconciliation.reconcile({ autoRepair: true });
+
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.missingPolicies, issue.repair.action]), [
+    ['missing_policies', ['network'], 'Recreated network policy']
+  ]);
+  assert.deepEqual(openSearch.calls, [['createNetworkPolicy', 'accreda-acme-corp', 'public']]);
+});
+
+test('every tenant placement is scanned; disallowed placements and misplaced collections are reported', async () => {
+  // The tenant moved to us-west-2, leaving a collection in the default region
+  const openSearch = createOpenSearch([activeCollection()]);
+  const west = createOpenSearch([activeCollection()], { region: 'us-west-2' });
+  const placed = tenant({ opensearch_region: 'us-west-2' });
+  openSearch.forTenant = (record) => {
+    if (record.opensearch_region === 'eu-west-1') {
+      const error = new Error("Region 'eu-west-1' is not allowed");
+      error.name = 'InvalidPlacementError';
+      throw error;
+    }
+    return record.opensearch_region === 'us-west-2' ? west : openSearch;
+  };
+  const misplaced = tenant({ id: '6ba7b810-9dad-11d1-80b4-00c04fd430c8', slug: 'globex', opensearch_region: 'eu-west-1' });
+  const { reconciliation } = createReconciliation([placed, misplaced], [], openSearch);
+
+  const report = await reconciliation.detectDrift();
+
+  assert.equal(report.summary.placements, 2);
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.tenantSlug, issue.region]), [
+    ['invalid_placement', 'globex', 'eu-west-1'],
+    ['orphaned_collection', 'acme-corp', 'us-east-1']
+  ]);
+  assert.equal(report.issues[1].details, 'Collection is in us-east-1 but tenant is placed in us-west-2');
+});
+
+test('without autoRepair drift is only reported', async () => {
+  const { reconciliation, updates, sent } = createReconciliation(tenant(), []);
+
+  const report = await reconciliation.reconcile();
+
+  assert.equal(report.issues[0].repair, undefined);
+  assert.deepEqual(updates, []);
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Placement overrides must be allowed before the configuration is loaded
+process.env.OPENSEARCH_ALLOWED_REGIONS = 'us-east-1,us-west-2';
+
+const logger = require('../utils/logger');
+const RetryScheduler = require('../services/retryScheduler');
+const ProvisioningService = require('../services/provisioningService');
+const OpenSearchService = require('../services/opensearchService');
+
+const { isTransientFailure, retryDelaySeconds } = RetryScheduler;
+
+logger.silent = true;
+
+function failure(errorClass, httpStatusCode = null) {
+  return { errorClass, message: `${errorClass} happened`, httpStatusCode };
+}
+
+test('isTransientFailure accepts throttling, timeouts, 429 and 5xx responses', () => {
+  assert.equal(isTransientFailure(failure('ThrottlingException', 400)), true);
+  assert.equal(isTransientFailure(failure('CollectionTimeoutError')), true);
+  assert.equal(isTransientFailure(failure('SomeNewException', 429)), true);
+  assert.equal(isTransientFailure(failure('InternalServerException', 500)), true);
+  assert.equal(isTransientFailure(failure('Error', '503')), true);
+});
+
+test('isTransientFailure accepts messages dead-lettered after stalling their worker', () => {
+  assert.equal(isTransientFailure(failure('MaxReceiveCountExceededError')), true);
+});
+
+test('isTransientFailure rejects errors that need a person', () => {
+  assert.equal(isTransientFailure(null), false);
+  assert.equal(isTransientFailure(failure('ValidationException', 400)), false);
+  assert.equal(isTransientFailure(failure('AccessDeniedException', 403)), false);
+  assert.equal(isTransientFailure(failure('CollectionOwnershipError')), false);
+  assert.equal(isTransientFailure(failure('CollectionFailedError')), false);
+});
+
+test('retryDelaySeconds doubles the base delay per attempt up to the maximum', () => {
+  const backoff = { baseDelaySeconds: 60, maxDelaySeconds: 600 };
+
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempts => retryDelaySeconds(attempts, backoff)), [60, 120, 240, 480, 600, 600]);
+});
+
+test('retryDelaySeconds defaults to RETRY_BASE_DELAY_SECONDS and RETRY_MAX_DELAY_SECONDS', () => {
+  assert.equal(retryDelaySeconds(1), 300);
+  assert.equal(retryDelaySeconds(2), 600);
+  assert.equal(retryDelaySeconds(20), 21600);
+});
+
+function createScheduler({ candidates = [], claims = {}, provision = async () => ({ outcome: 'provisioned' }) } = {}) {
+  const calls = [];
+  const databaseService = {
+    listRetryCandidates: async options => candidates,
+    claimTenantRetry: async (tenantId, options) => {
+      calls.push(['claim', tenantId, options]);
+      return tenantId in claims ? claims[tenantId] : 1;
+    },
+    recordTenantRetryFailure: async (tenantId, error, options) => {
+      calls.push(['failure', tenantId, error.message, options]);
+      return { attempts: claims[tenantId], next_attempt_at: new Date() };
+    }
+  };
+  const provisioningService = {
+    provision: async (tenantId, options) => {
+      calls.push(['provision', tenantId, options]);
+      return provision(tenantId);
+    }
+  };
+
+  const scheduler = new RetryScheduler(provisioningService, databaseService);
+  scheduler.isRunning = true;
+  return { scheduler, calls };
+}
+
+test('findDueTenants keeps stalled and transiently failed tenants, up to RETRY_BATCH_SIZE', async () => {
+  const candidates = [
+    { id: 't1', opensearch_status: 'initializing', opensearch_failure: null },
+    { id: 't2', opensearch_status: 'failed', opensearch_failure: failure('ValidationException', 400) },
+    ...['t3', 't4', 't5', 't6', 't7'].map(id => ({ id, opensearch_status: 'failed', opensearch_failure: failure('ThrottlingException') }))
+  ];
+  const { scheduler } = createScheduler({ candidates });
+
+  const due = await scheduler.findDueTenants();
+
+  assert.deepEqual(due.map(tenant => tenant.id), ['t1', 't3', 't4', 't5', 't6']);
+});
+
+test('retryDue skips tenants claimed by another task and backs off after a failure', async () => {
+  const candidates = ['t1', 't2', 't3'].map(id => ({ id, opensearch_status: 'failed', opensearch_failure: failure('ThrottlingException') }));
+  const { scheduler, calls } = createScheduler({
+    candidates,
+    claims: { t2: null, t3: 3 },
+    provision: async (tenantId) => {
+      if (tenantId === 't3') {
+        throw new Error('Rate exceeded');
+      }
+      return { outcome: 'provisioned' };
+    }
+  });
+
+  const counts = await scheduler.retryDue();
+
+  assert.deepEqual(counts, { due: 3, retried: 2, provisioned: 1, skipped: 0, failed: 1 });
+  assert.deepEqual(calls.filter(call => call[0] !== 'claim'), [
+    ['provision', 't1', { attempts: 1 }],
+    ['provision', 't3', { attempts: 3 }],
+    ['failure', 't3', 'Rate exceeded', { delaySeconds: 1200 }]
+  ]);
+});
+
+test('a retry provisions in the region the original message requested', async (t) => {
+  const tenant = {
+    id: '550e8400-e29b-41d4-a716-446655440000',
+    slug: 'acme-corp',
+    status: 'active',
+    opensearch_status: 'initializing',
+    opensearch_arn: null,
+    opensearch_region: null,
+    opensearch_role_arn: null,
+    opensearch_kms_key_arn: null,
+    opensearch_network_mode: null
+  };
+  const updates = [];
+  const databaseService = {
+    getTenant: async () => ({ ...tenant }),
+    validateTenantForProvisioning: () => ({ isValid: true }),
+    recordTenantPlacement: async (tenantId, { region, roleArn, kmsKeyArn }) => {
+      Object.assign(tenant, { opensearch_region: region, opensearch_role_arn: roleArn, opensearch_kms_key_arn: kmsKeyArn });
+    },
+    getProvisioningSteps: async () => [],
+    recordProvisioningStep: async (tenantId, step, status) => ({ step, status, attempts: 1 }),
+    markTenantOpenSearchFailed: async () => {
+      tenant.opensearch_status = 'failed';
+    },
+    updateTenantOpenSearch: async (tenantId, arn, status, details) => updates.push(details.region),
+    claimTenantRetry: async () => 1,
+    recordTenantRetryFailure: async () => null
+  };
+
+  const regions = [];
+  t.mock.method(OpenSearchService.prototype, 'createCollection', async function () {
+    regions.push(this.region);
+    if (regions.length === 1) {
+      const error = new Error('Rate exceeded');
+      error.name = 'ThrottlingException';
+      throw error;
+    }
+    return { arn: 'arn:aws:aoss:us-west-2:625867133463:collection/abc123', name: 'accreda-acme-corp', policyNames: {} };
+  });
+
+  const provisioningService = new ProvisioningService(new OpenSearchService(), databaseService);
+  await assert.rejects(provisioningService.provision(tenant.id, { region: 'us-west-2', attempts: 1 }), /Rate exceeded/);
+  assert.equal(tenant.opensearch_region, 'us-west-2');
+
+  const scheduler = new RetryScheduler(provisioningService, databaseService);
+  const outcome = await scheduler.retryTenant(tenant);
+
+  assert.equal(outcome, 'provisioned');
+  assert.deepEqual(regions, ['us-west-2', 'us-west-2']);
+  assert.deepEqual(updates, ['us-west-2']);
+});
+
+test('retryTenant resumes an initializing tenant under a lease as long as the stuck threshold', async () => {
+  const tenant = { id: 't1', slug: 'acme-corp', opensearch_status: 'initializing', opensearch_failure: null };
+  const { scheduler, calls } = createScheduler({ claims: { t1: 2 } });
+
+  const outcome = await scheduler.retryTenant(tenant);
+
+  assert.equal(outcome, 'provisioned');
+  assert.deepEqual(calls, [
+    ['claim', 't1', { maxAttempts: 5, leaseMinutes: 60 }],
+    ['provision', 't1', { attempts: 2 }]
+  ]);
+});
+
+test('retryTenant leaves a tenant alone when the claim is refused', async () => {
+  const tenant = { id: 't1', slug: 'acme-corp', opensearch_status: 'initializing', opensearch_failure: null };
+  const { scheduler, calls } = createScheduler({ claims: { t1: null } });
+
+  assert.equal(await scheduler.retryTenant(tenant), null);
+  assert.deepEqual(calls.map(call => call[0]), ['claim']);
+});
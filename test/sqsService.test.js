@@ -0,0 +1,320 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../utils/logger');
+const SQSService = require('../services/sqsService');
+
+logger.silent = true;
+
+const TENANT_A = '550e8400-e29b-41d4-a716-446655440000';
+const TENANT_B = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+
+function sqsMessage(id, groupId, body, receiveCount = 1) {
+  return {
+    MessageId: id,
+    ReceiptHandle: `receipt-${id}`,
+    Body: JSON.stringify({ tenant_id: groupId, tenant_slug: 'acme-corp', timestamp: '2026-01-01T00:00:00Z', ...body }),
+    Attributes: { MessageGroupId: groupId, ApproximateReceiveCount: String(receiveCount) }
+  };
+}
+
+/**
+ * Creates a service whose SQS calls are recorded instead of sent, and a router
+ * whose handler records each message and fails those marked { fail: true }
+ */
+function createService() {
+  const calls = [];
+  const service = new SQSService();
+  service.deleteMessage = async receiptHandle => calls.push(['delete', receiptHandle]);
+  service.changeMessageVisibility = async (receiptHandle, timeout) => calls.push(['visibility', receiptHandle, timeout]);
+  service.sendToDeadLetterQueue = async message => calls.push(['dead-letter', message.MessageId]);
+
+  const router = {
+    getAction: body => body.action || 'provision',
+    validateMessage: () => true,
+    dispatch: async (body) => {
+      calls.push(['start', body.action]);
+      await new Promise(resolve => setImmediate(resolve));
+      calls.push(['end', body.action]);
+      if (body.fail) {
+        throw new Error(`${body.action} failed`);
+      }
+    }
+  };
+
+  return { service, router, calls };
+}
+
+test('messages of one group run one after another, in order', async () => {
+  const { service, router, calls } = createService();
+
+  const results = await Promise.all([
+    service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'deprovision' }), router),
+    service.enqueueMessage(sqsMessage('2', TENANT_A, { action: 'provision' }), router)
+  ]);
+
+  assert.deepEqual(results, [true, true]);
+  assert.deepEqual(calls, [
+    ['start', 'deprovision'],
+    ['end', 'deprovision'],
+    ['delete', 'receipt-1'],
+    ['start', 'provision'],
+    ['end', 'provision'],
+    ['delete', 'receipt-2']
+  ]);
+  assert.equal(service.groupTails.size, 0);
+  assert.equal(service.inFlight.size, 0);
+});
+
+test('a failure releases the rest of its group without processing it, other groups continue', async () => {
+  const { service, router, calls } = createService();
+
+  const results = await Promise.all([
+    service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'deprovision', fail: true }), router),
+    service.enqueueMessage(sqsMessage('2', TENANT_A, { action: 'provision' }), router),
+    service.enqueueMessage(sqsMessage('3', TENANT_A, { action: 'policy-update' }), router),
+    service.enqueueMessage(sqsMessage('4', TENANT_B, { action: 'provision' }), router)
+  ]);
+
+  assert.deepEqual(results, [false, false, false, true]);
+  // The failed message stays invisible until its visibility timeout; the rest are released right away
+  assert.deepEqual(calls.filter(call => call[0] === 'visibility'), [
+    ['visibility', 'receipt-2', 0],
+    ['visibility', 'receipt-3', 0]
+  ]);
+  assert.deepEqual(calls.filter(call => call[0] === 'start').map(call => call[1]), ['deprovision', 'provision']);
+  assert.deepEqual(calls.filter(call => call[0] === 'delete'), [['delete', 'receipt-4']]);
+  assert.deepEqual(service.attemptHistory.get('1').map(attempt => attempt.errorMessage), ['deprovision failed']);
+});
+
+test('a message dead-lettered on its last attempt lets the rest of its group run', async () => {
+  const { service, router, calls } = createService();
+
+  const results = await Promise.all([
+    service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'deprovision', fail: true }, service.maxReceiveCount), router),
+    service.enqueueMessage(sqsMessage('2', TENANT_A, { action: 'provision' }), router)
+  ]);
+
+  assert.deepEqual(results, [true, true]);
+  assert.deepEqual(calls.filter(call => call[0] !== 'start' && call[0] !== 'end'), [
+    ['dead-letter', '1'],
+    ['delete', 'receipt-1'],
+    ['delete', 'receipt-2']
+  ]);
+});
+
+test('a failure does not hold back messages of the group received in a later batch', async () => {
+  const { service, router, calls } = createService();
+
+  await service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'provision', fail: true }), router);
+  const result = await service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'provision' }, 2), router);
+
+  assert.equal(result, true);
+  assert.deepEqual(calls.filter(call => call[0] === 'delete'), [['delete', 'receipt-1']]);
+});
+
+test('stopping the heartbeat waits for a visibility extension already in flight', async () => {
+  const { service } = createService();
+  const calls = [];
+  let settleBeat;
+  service.heartbeatIntervalSeconds = 0.01;
+  service.changeMessageVisibility = (receiptHandle, timeout) => {
+    calls.push(['visibility', receiptHandle, timeout]);
+    return new Promise(resolve => { settleBeat = resolve; });
+  };
+  const message = sqsMessage('1', TENANT_A, { action: 'provision' });
+
+  service.heartbeats.set(message.MessageId, service.startHeartbeat(message));
+  while (calls.length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  let stopped = false;
+  const stopping = service.stopHeartbeat(message).then(() => { stopped = true; });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(stopped, false);
+
+  settleBeat();
+  await stopping;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(calls, [['visibility', 'receipt-1', service.visibilityTimeout]]);
+  assert.equal(service.heartbeats.size, 0);
+});
+
+test('a released message is not hidden again by a late heartbeat', async () => {
+  const { service, router, calls } = createService();
+  service.heartbeatIntervalSeconds = 0.01;
+  service.changeMessageVisibility = async (receiptHandle, timeout) => {
+    calls.push(['visibility', receiptHandle, timeout]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  };
+  router.dispatch = async (body) => {
+    // Long enough for the heartbeats of both messages to be in flight
+    await new Promise(resolve => setTimeout(resolve, 25));
+    throw new Error(`${body.action} failed`);
+  };
+
+  await Promise.all([
+    service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'provision' }), router),
+    service.enqueueMessage(sqsMessage('2', TENANT_A, { action: 'policy-update' }), router)
+  ]);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const released = calls.filter(call => call[1] === 'receipt-2');
+  assert.deepEqual(released[released.length - 1], ['visibility', 'receipt-2', 0]);
+  assert.ok(released.length > 1);
+  assert.equal(service.heartbeats.size, 0);
+});
+
+test('the heartbeat keeps extending visibility after a failed extension, until stopped', async () => {
+  const { service } = createService();
+  const calls = [];
+  service.heartbeatIntervalSeconds = 0.01;
+  service.changeMessageVisibility = async (receiptHandle, timeout) => {
+    calls.push(['visibility', receiptHandle, timeout]);
+    if (calls.length === 1) {
+      throw new Error('Throttled');
+    }
+  };
+  const message = sqsMessage('1', TENANT_A, { action: 'provision' });
+
+  service.heartbeats.set(message.MessageId, service.startHeartbeat(message));
+  while (calls.length < 3) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await service.stopHeartbeat(message);
+  const beats = calls.length;
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.equal(calls.length, beats);
+  assert.ok(calls.every(call => call[2] === service.visibilityTimeout));
+  assert.ok(service.lastHeartbeatAt > 0);
+});
+
+test('a processed message is deleted only after its heartbeat stopped', async () => {
+  const { service, router, calls } = createService();
+  service.heartbeatIntervalSeconds = 0.01;
+  service.changeMessageVisibility = async (receiptHandle, timeout) => {
+    calls.push(['visibility', receiptHandle, timeout]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  };
+  router.dispatch = () => new Promise(resolve => setTimeout(resolve, 40));
+
+  await service.enqueueMessage(sqsMessage('1', TENANT_A, { action: 'provision' }), router);
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.ok(calls.length > 1);
+  assert.deepEqual(calls[calls.length - 1], ['delete', 'receipt-1']);
+  assert.equal(service.heartbeats.size, 0);
+});
+
+/**
+ * Creates a service that records deletions and the dead-letter messages it sends
+ */
+function createDeadLetterService(dispatch = async () => {}) {
+  const calls = [];
+  const service = new SQSService();
+  service.client = {
+    send: async command => calls.push(['dead-letter', command.input.QueueUrl, JSON.parse(command.input.MessageBody), command.input.MessageDeduplicationId])
+  };
+  service.deleteMessage = async receiptHandle => calls.push(['delete', receiptHandle]);
+
+  const router = {
+    getAction: body => body.action || 'provision',
+    validateMessage: body => typeof body.tenant_id === 'string',
+    dispatch
+  };
+  const deadLettered = [];
+  const onDeadLetter = async (body, error, receiveCount, context) => deadLettered.push([body.tenant_id, error.name, receiveCount, context.messageId]);
+
+  return { service, router, calls, deadLettered, onDeadLetter };
+}
+
+test('unparseable and invalid messages are quarantined right away without the callback', async () => {
+  const { service, router, calls, deadLettered, onDeadLetter } = createDeadLetterService();
+  const unparseable = { ...sqsMessage('m1', TENANT_A, {}), Body: '{not json' };
+  const invalid = sqsMessage('m2', TENANT_A, { tenant_id: 42 });
+
+  assert.equal(await service.processMessage(unparseable, router, onDeadLetter), true);
+  assert.equal(await service.processMessage(invalid, router, onDeadLetter), true);
+
+  const [first, , second] = calls;
+  assert.equal(first[2].reason, 'InvalidJson');
+  assert.equal(first[2].originalBody, '{not json');
+  assert.equal(second[2].reason, 'InvalidMessage');
+  assert.equal(second[2].error.name, 'InvalidMessageError');
+  assert.deepEqual(calls.filter(call => call[0] === 'delete'), [['delete', 'receipt-m1'], ['delete', 'receipt-m2']]);
+  assert.deepEqual(deadLettered, []);
+});
+
+test('a failing message stays queued until its last receive, then is dead-lettered with its attempts', async () => {
+  const { service, router, calls, deadLettered, onDeadLetter } = createDeadLetterService(async () => {
+    throw new Error('Rate exceeded');
+  });
+
+  assert.equal(await service.processMessage(sqsMessage('m1', TENANT_A, {}, 4), router, onDeadLetter), false);
+  assert.deepEqual(calls, []);
+
+  assert.equal(await service.processMessage(sqsMessage('m1', TENANT_A, {}, 5), router, onDeadLetter), true);
+
+  const [[, queueUrl, payload, deduplicationId], deletion] = calls;
+  assert.equal(queueUrl, service.deadLetterQueueUrl);
+  assert.equal(deduplicationId, 'm1');
+  assert.equal(payload.reason, 'MaxReceiveCountExceeded');
+  assert.equal(payload.receiveCount, 5);
+  assert.equal(payload.error.message, 'Rate exceeded');
+  assert.deepEqual(payload.attempts.map(attempt => [attempt.receiveCount, attempt.errorMessage]), [[4, 'Rate exceeded'], [5, 'Rate exceeded']]);
+  assert.deepEqual(deletion, ['delete', 'receipt-m1']);
+  assert.deepEqual(deadLettered, [[TENANT_A, 'Error', 5, 'm1']]);
+  assert.equal(service.attemptHistory.has('m1'), false);
+});
+
+test('a message received more often than allowed is dead-lettered without running it', async () => {
+  let dispatched = false;
+  const { service, router, calls, deadLettered, onDeadLetter } = createDeadLetterService(async () => {
+    dispatched = true;
+  });
+
+  assert.equal(await service.processMessage(sqsMessage('m1', TENANT_A, {}, 6), router, onDeadLetter), true);
+
+  assert.equal(dispatched, false);
+  assert.equal(calls[0][2].error.name, 'MaxReceiveCountExceededError');
+  assert.deepEqual(deadLettered, [[TENANT_A, 'MaxReceiveCountExceededError', 6, 'm1']]);
+});
+
+test('a message stays queued when it cannot be dead-lettered', async () => {
+  const { service, router, calls, onDeadLetter } = createDeadLetterService(async () => {
+    throw new Error('Rate exceeded');
+  });
+  service.client = {
+    send: async () => {
+      throw new Error('Queue does not exist');
+    }
+  };
+
+  assert.equal(await service.processMessage(sqsMessage('m1', TENANT_A, {}, 5), router, onDeadLetter), false);
+  assert.deepEqual(calls, []);
+});
+
+test('the consumer is alive while it polls, or while busy workers keep extending their messages', () => {
+  const { service } = createService();
+  const now = Date.now();
+
+  assert.equal(service.isAlive(60000), false);
+
+  service.isPolling = true;
+  service.lastPollAt = now - 1000;
+  assert.equal(service.isAlive(60000), true);
+
+  // The loop waits on busy workers; their heartbeats show progress
+  service.lastPollAt = now - 120000;
+  service.lastHeartbeatAt = now - 1000;
+  assert.equal(service.isAlive(60000), false);
+  for (let i = 0; i < service.maxConcurrency; i++) {
+    service.inFlight.set(`m${i}`, Promise.resolve());
+  }
+  assert.equal(service.isAlive(60000), true);
+
+  service.lastHeartbeatAt = now - 120000;
+  assert.equal(service.isAlive(60000), false);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Index template settings are read from the configuration when the service loads
+process.env.OPENSEARCH_VECTOR_DIMENSION = '1536';
+process.env.OPENSEARCH_VECTOR_INDEX_MAPPINGS = '{"tenant_id": {"type": "keyword"}}';
+
+const logger = require('../utils/logger');
+const VectorIndexService = require('../services/vectorIndexService');
+
+logger.silent = true;
+
+const ENDPOINT = 'https://abc123.us-east-1.aoss.amazonaws.com';
+const INDEX_PATH = '/bedrock-knowledge-base-default-index';
+const CREDENTIALS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+
+/**
+ * Creates a service whose data plane requests are answered from a list of responses
+ */
+function createService(responses) {
+  const service = new VectorIndexService({ region: 'us-east-1', credentials: CREDENTIALS });
+  const requests = [];
+  service.request = async (endpoint, method, path, body = null) => {
+    requests.push([method, path, body]);
+    return responses.shift();
+  };
+  return { service, requests };
+}
+
+test('buildIndexBody defines the Bedrock vector, text and metadata fields from the configuration', () => {
+  const { service } = createService([]);
+  const body = service.buildIndexBody();
+
+  assert.equal(body.settings.index.knn, true);
+  assert.deepEqual(body.mappings.properties['bedrock-knowledge-base-default-vector'], {
+    type: 'knn_vector',
+    dimension: 1536,
+    method: { name: 'hnsw', engine: 'faiss', space_type: 'l2' }
+  });
+  assert.deepEqual(body.mappings.properties.AMAZON_BEDROCK_TEXT_CHUNK, { type: 'text', index: true });
+  assert.deepEqual(body.mappings.properties.AMAZON_BEDROCK_METADATA, { type: 'text', index: false });
+  assert.deepEqual(body.mappings.properties.tenant_id, { type: 'keyword' });
+});
+
+test('ensureIndex leaves an existing index untouched', async () => {
+  const { service, requests } = createService([{ status: 200, body: {} }]);
+
+  assert.deepEqual(await service.ensureIndex(ENDPOINT), { indexName: 'bedrock-knowledge-base-default-index', created: false });
+  assert.deepEqual(requests, [['GET', INDEX_PATH, null]]);
+});
+
+test('ensureIndex creates a missing index from the template', async () => {
+  const { service, requests } = createService([{ status: 404, body: null }, { status: 200, body: { acknowledged: true } }]);
+
+  assert.deepEqual(await service.ensureIndex(ENDPOINT), { indexName: 'bedrock-knowledge-base-default-index', created: true });
+  assert.deepEqual(requests[1], ['PUT', INDEX_PATH, service.buildIndexBody()]);
+});
+
+test('ensureIndex accepts an index created concurrently', async () => {
+  const { service } = createService([
+    { status: 404, body: null },
+    { status: 400, body: { error: { type: 'resource_already_exists_exception', reason: 'index already exists' } } }
+  ]);
+
+  assert.equal((await service.ensureIndex(ENDPOINT)).created, false);
+});
+
+test('ensureIndex fails with the status and reason of a rejected request', async () => {
+  const { service } = createService([
+    { status: 404, body: null },
+    { status: 400, body: { error: { type: 'mapper_parsing_exception', reason: 'unknown engine' } }, requestId: 'req-1' }
+  ]);
+
+  await assert.rejects(service.ensureIndex(ENDPOINT), {
+    name: 'VectorIndexError',
+    message: `PUT ${INDEX_PATH} failed with status 400: unknown engine`,
+    statusCode: 400,
+    requestId: 'req-1'
+  });
+});
+
+test('requestWithRetry retries while the data access policy propagates', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { service, requests } = createService([
+    { status: 403, body: { message: 'Forbidden' } },
+    { status: 503, body: null },
+    { status: 404, body: null }
+  ]);
+
+  const pending = service.requestWithRetry(ENDPOINT, 'GET', INDEX_PATH);
+  for (let retry = 0; retry < 2; retry++) {
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(15000);
+  }
+
+  assert.equal((await pending).status, 404);
+  assert.equal(requests.length, 3);
+});
+
+test('request signs the call for the aoss service and parses the response', async (t) => {
+  const service = new VectorIndexService({ region: 'us-east-1', credentials: CREDENTIALS });
+  const sent = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    sent.push([String(url), options]);
+    return new Response('{"acknowledged":true}', { status: 200, headers: { 'x-request-id': 'req-1' } });
+  });
+
+  const response = await service.request(ENDPOINT, 'PUT', INDEX_PATH, { settings: {} });
+
+  assert.deepEqual(response, { status: 200, body: { acknowledged: true }, requestId: 'req-1' });
+  assert.equal(sent[0][0], `${ENDPOINT}${INDEX_PATH}`);
+  assert.match(sent[0][1].headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/aoss\/aws4_request/);
+  assert.equal(sent[0][1].body, '{"settings":{}}');
+});
@@ -0,0 +1,130 @@
+/**
+ * Audit context
+ * 
+ * Tracks the AWS API calls and policy documents made while handling one
+ * provisioning action. The context follows the action through every await via
+ * AsyncLocalStorage, so concurrently processed messages never mix their records
+ * and services record calls without passing anything around.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Operations whose `policy` input is a policy document worth keeping verbatim
+const POLICY_OPERATIONS = new Set([
+  'CreateSecurityPolicyCommand',
+  'UpdateSecurityPolicyCommand',
+  'CreateAccessPolicyCommand',
+  'UpdateAccessPolicyCommand'
+]);
+
+/**
+ * Summarizes an AWS response for the audit log
+ * Response metadata is recorded separately (request id, HTTP status)
+ * 
+ * @param {object} output - Command output
+ * @returns {object|null} Output fields without $metadata
+ */
+function summarizeOutput(output) {
+  if (!output || typeof output !== 'object') {
+    return null;
+  }
+
+  const { $metadata, ...fields } = output;
+  return fields;
+}
+
+/**
+ * Runs a function with a fresh audit context
+ * 
+ * @param {object} context - Context object; awsCalls and policies arrays are added
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function runWithAuditContext(context, fn) {
+  return storage.run(Object.assign(context, { awsCalls: [], policies: [] }), fn);
+}
+
+/**
+ * Returns the audit context of the current action, if any
+ * 
+ * @returns {object|undefined} Audit context
+ */
+function getAuditContext() {
+  return storage.getStore();
+}
+
+/**
+ * Records an AWS API call against the current action
+ * 
+ * @param {object} call - Call summary (service, operation, input, output, requestId, httpStatusCode, durationMs, error)
+ */
+function recordAwsCall(call) {
+  const context = storage.getStore();
+  if (context) {
+    context.awsCalls.push({ at: new Date().toISOString(), ...call });
+  }
+}
+
+/**
+ * Creates SDK middleware that records every call made by a client
+ * Policy documents sent by create/update policy calls are recorded separately
+ * 
+ * @param {string} service - Service name recorded with each call
+ * @returns {Function} Middleware for client.middlewareStack.add()
+ */
+function createAuditMiddleware(service) {
+  return (next, middlewareContext) => async (args) => {
+    if (!storage.getStore()) {
+      return next(args);
+    }
+
+    const operation = middlewareContext.commandName;
+    const { policy, clientToken, ...input } = args.input || {};
+    const startedAt = Date.now();
+
+    if (policy && POLICY_OPERATIONS.has(operation)) {
+      let document = policy;
+      try {
+        document = JSON.parse(policy);
+      } catch (error) {
+        // Keep the raw string
+      }
+      storage.getStore().policies.push({ operation, name: input.name, type: input.type, document });
+    }
+
+    try {
+      const result = await next(args);
+      recordAwsCall({
+        service,
+        operation,
+        input,
+        output: summarizeOutput(result.output),
+        requestId: result.output?.$metadata?.requestId || null,
+        httpStatusCode: result.output?.$metadata?.httpStatusCode || null,
+        durationMs: Date.now() - startedAt
+      });
+      return result;
+    } catch (error) {
+      recordAwsCall({
+        service,
+        operation,
+        input,
+        requestId: error.$metadata?.requestId || null,
+        httpStatusCode: error.$metadata?.httpStatusCode || null,
+        durationMs: Date.now() - startedAt,
+        error: `${error.name}: ${error.message}`
+      });
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  runWithAuditContext,
+  getAuditContext,
+  recordAwsCall,
+  createAuditMiddleware,
+  summarizeOutput
+};
@@ -0,0 +1,48 @@
+/**
+ * CSV utility
+ * 
+ * Serializes rows to RFC 4180 CSV. Objects and arrays are written as JSON
+ * and dates as ISO 8601, so exports open cleanly in spreadsheets.
+ */
+
+/**
+ * Formats a single CSV field, quoting it when needed
+ * 
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV with a header line
+ * 
+ * @param {Array<object>} rows - Rows to serialize
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV document
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  toCsv
+};
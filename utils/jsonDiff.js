@@ -0,0 +1,36 @@
+/**
+ * JSON diff utility
+ * 
+ * Compares two JSON-compatible values and lists the paths that differ.
+ * Used to decide whether an OpenSearch policy needs updating and to show
+ * operators exactly what would change.
+ */
+
+/**
+ * Lists differences between two JSON-compatible values
+ * 
+ * @param {*} current - Current value
+ * @param {*} desired - Desired value
+ * @param {string} path - Path of the values being compared (used in recursion)
+ * @returns {Array<object>} Differences as { path, current, desired }
+ */
+function diffJson(current, desired, path = '$') {
+  const isObject = value => value !== null && typeof value === 'object';
+
+  if (!isObject(current) || !isObject(desired) || Array.isArray(current) !== Array.isArray(desired)) {
+    return current === desired ? [] : [{ path, current, desired }];
+  }
+
+  const keys = Array.isArray(current)
+    ? [...Array(Math.max(current.length, desired.length)).keys()]
+    : [...new Set([...Object.keys(current), ...Object.keys(desired)])];
+
+  return keys.flatMap((key) => {
+    const childPath = Array.isArray(current) ? `${path}[${key}]` : `${path}.${key}`;
+    return diffJson(current[key], desired[key], childPath);
+  });
+}
+
+module.exports = {
+  diffJson
+};
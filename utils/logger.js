@@ -9,6 +9,9 @@ const winston = require('winston');
 
 const logLevel = process.env.LOG_LEVEL || 'info';
 
+// Command-line tools write logs to stderr so their stdout output stays machine-readable
+const stderrLevels = process.env.LOG_TO_STDERR === 'true' ? Object.keys(winston.config.npm.levels) : [];
+
 const logger = winston.createLogger({
   level: logLevel,
   format: winston.format.combine(
@@ -22,6 +25,7 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'tenant-opensearch' },
   transports: [
     new winston.transports.Console({
+      stderrLevels,
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.printf(({ level, message, timestamp, ...metadata }) => {
@@ -0,0 +1,154 @@
+/**
+ * Prometheus metrics
+ * 
+ * Single registry shared by all services and exposed on the admin server's
+ * /metrics endpoint. Metric names are prefixed with tenant_opensearch_.
+ * 
+ * Labels are kept to bounded sets (action, outcome, step, AWS operation and
+ * error name); tenant ids are never used as labels.
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'tenant_opensearch_';
+
+// Provisioning steps and collection creation range from milliseconds to tens of minutes
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1200, 2400];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const messagesReceived = new client.Counter({
+  name: `${PREFIX}messages_received_total`,
+  help: 'SQS messages received',
+  registers: [register]
+});
+
+const messagesInvalid = new client.Counter({
+  name: `${PREFIX}messages_invalid_total`,
+  help: 'SQS messages quarantined without processing, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const messagesProcessed = new client.Counter({
+  name: `${PREFIX}messages_processed_total`,
+  help: 'SQS messages handled, by action and outcome (succeeded or failed)',
+  labelNames: ['action', 'outcome'],
+  registers: [register]
+});
+
+const messagesDeadLettered = new client.Counter({
+  name: `${PREFIX}messages_dead_lettered_total`,
+  help: 'SQS messages forwarded to the dead-letter queue, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const messageDuration = new client.Histogram({
+  name: `${PREFIX}message_duration_seconds`,
+  help: 'Time spent handling a message, by action and outcome',
+  labelNames: ['action', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const provisioningStepDuration = new client.Histogram({
+  name: `${PREFIX}provisioning_step_duration_seconds`,
+  help: 'Duration of each createCollection provisioning step, by step and outcome',
+  labelNames: ['step', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const collectionActiveWait = new client.Histogram({
+  name: `${PREFIX}collection_active_wait_seconds`,
+  help: 'Time waited for a new collection to become ACTIVE, by outcome (active, failed or timeout)',
+  labelNames: ['outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const provisioningRetries = new client.Counter({
+  name: `${PREFIX}provisioning_retries_total`,
+  help: 'Automatic provisioning retries, by outcome (provisioned, skipped or failed)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const awsApiCalls = new client.Counter({
+  name: `${PREFIX}aws_api_calls_total`,
+  help: 'AWS API calls, by service, operation and outcome (success or error)',
+  labelNames: ['service', 'operation', 'outcome'],
+  registers: [register]
+});
+
+const awsApiErrors = new client.Counter({
+  name: `${PREFIX}aws_api_errors_total`,
+  help: 'Failed AWS API calls, by service, operation and error name',
+  labelNames: ['service', 'operation', 'error'],
+  registers: [register]
+});
+
+// Pool statistics are read when metrics are scraped
+[
+  ['db_pool_connections', 'Connections in the database pool', 'total'],
+  ['db_pool_idle_connections', 'Idle connections in the database pool', 'idle'],
+  ['db_pool_waiting_clients', 'Queries waiting for a database connection', 'waiting']
+].forEach(([name, help, field]) => new client.Gauge({
+  name: `${PREFIX}${name}`,
+  help,
+  registers: [register],
+  collect() {
+    // Required lazily: config/database loads the configuration
+    const stats = require('../config/database').getPoolStats();
+    this.set(stats ? stats[field] : 0);
+  }
+}));
+
+/**
+ * Records the outcome of an AWS API call
+ * 
+ * @param {string} service - Service name (e.g. 'opensearchserverless')
+ * @param {string} operation - Operation name (e.g. 'CreateCollectionCommand')
+ * @param {Error|null} error - Error of a failed call
+ */
+function recordAwsApiCall(service, operation, error = null) {
+  awsApiCalls.inc({ service, operation, outcome: error ? 'error' : 'success' });
+  if (error) {
+    awsApiErrors.inc({ service, operation, error: error.name || 'Error' });
+  }
+}
+
+/**
+ * Creates SDK middleware that counts every call and error made by a client
+ * 
+ * @param {string} service - Service name used as the metric label
+ * @returns {Function} Middleware for client.middlewareStack.add()
+ */
+function createMetricsMiddleware(service) {
+  return (next, context) => async (args) => {
+    try {
+      const result = await next(args);
+      recordAwsApiCall(service, context.commandName);
+      return result;
+    } catch (error) {
+      recordAwsApiCall(service, context.commandName, error);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  register,
+  messagesReceived,
+  messagesInvalid,
+  messagesProcessed,
+  messagesDeadLettered,
+  messageDuration,
+  provisioningStepDuration,
+  collectionActiveWait,
+  provisioningRetries,
+  recordAwsApiCall,
+  createMetricsMiddleware
+};